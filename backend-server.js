@@ -15,8 +15,60 @@
 
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 require('dotenv').config();
+const { availableProviders, resolveProvider, streamGenerate } = require('./lib/providers');
+const { orchestrate, parseGenerationRequest } = require('./lib/generation');
+const { modelCatalog } = require('./lib/models');
+const { pipeGenerationStream, wantsEventStream } = require('./lib/sse');
+const {
+  HttpError, PROBLEM_CONTENT_TYPE, ProviderError, ValidationError,
+} = require('./lib/errors');
+const { bodyLimit } = require('./lib/validation');
+const { AuthError, bearerToken, verifyToken } = require('./lib/auth');
+const { createStore } = require('./lib/storage');
+const {
+  createProgramme, deleteProgramme, getProgramme, listProgrammes, updateProgramme,
+} = require('./lib/programmes');
+const {
+  createScript, deleteScript, getScript, listScripts, restoreScriptRevision, updateScript,
+} = require('./lib/scripts');
+const { diffRevisions, getRevision, listRevisions } = require('./lib/revisions');
+const { changeStatus, scriptHistory } = require('./lib/workflow');
+const {
+  addComment, deleteComment, listComments, updateComment,
+} = require('./lib/comments');
+const { programmeCalendar, toICalendar } = require('./lib/calendar');
+const {
+  addReference, deleteReference, listReferences, reindexReferences,
+} = require('./lib/references');
+const { checkScript, checkText, latestFactCheck } = require('./lib/fact-check');
+const { exportScript } = require('./lib/export');
+const { analyzeScript } = require('./lib/analysis');
+const {
+  applyToScript, createSession, deleteSession, getSession, listSessions, sendMessage,
+} = require('./lib/chat');
+const { generateProgrammeScript } = require('./lib/script-generation');
+const {
+  deleteIdea, generateIdeas, listIdeas, promoteIdea, updateIdea,
+} = require('./lib/ideas');
+const {
+  attachResearch, deleteResearch, failInterruptedResearch, getResearch, listResearch, startResearch,
+} = require('./lib/research');
+const {
+  cancelJob, deleteJob, getJob, listJobs, pipeJobEvents, recoverJobs, submitJob,
+} = require('./lib/jobs');
+const { exportWorkspace, importWorkspace, parseImportRequest } = require('./lib/archive');
+const { checkLimits, usageReport, withUsage } = require('./lib/usage');
+const { deleteApiKey, listApiKeys, saveApiKey } = require('./lib/api-keys');
+const { parseSearchQuery, search } = require('./lib/search');
+const { healthReport } = require('./lib/health');
+const { addLogContext, log, withLogContext } = require('./lib/log');
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE, metricsAllowed, renderMetrics, trackRequest,
+} = require('./lib/metrics');
+const {
+  invite, listInvitations, listMembers, removeMember, respondToInvitation, revokeInvitation, updateMember,
+} = require('./lib/sharing');
 
 // Optional: if using Firebase Auth and Firestore for storage.
 // Uncomment the following lines and add your service account
@@ -30,303 +82,674 @@ require('dotenv').config();
 // const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
 const app = express();
+// Count, time and log every request under its route's pattern (see
+// lib/metrics.js and lib/log.js).
+app.use((req, res, next) => {
+  res.locals.logContext = trackRequest(req, res, () => (req.route ? req.baseUrl + req.route.path : null));
+  next();
+});
 app.use(cors());
-app.use(express.json());
+// Workspace archives can be much larger than other bodies (see
+// lib/validation.js for both limits).
+app.use('/api/import', express.json({ limit: bodyLimit('import') }));
+app.use(express.json({ limit: bodyLimit() }));
+// The body parsers carry on from stream events, outside any async
+// context, so the request's log context is entered after them.
+app.use((req, res, next) => withLogContext(res.locals.logContext, next));
 
 /*
- * Middleware to authenticate incoming requests.  In a production
- * environment you should verify the user’s identity token from
- * Firebase, Supabase or another auth provider and attach the decoded
- * user information to `req.user`.  Without authentication, any
- * anonymous client could read or write data.
+ * Middleware to authenticate incoming requests.  The bearer token is
+ * verified as a JWT by lib/auth.js – HS256 with a shared secret, or
+ * RS256/ES256 against a JWKS such as Firebase's or Supabase's – and the
+ * user is attached to `req.user` as `{ uid, email, claims }`.  See
+ * lib/auth.js for the AUTH_* environment variables.
  */
 async function authenticateUser(req, res, next) {
   // Expect an Authorization header: `Bearer <idToken>`.
-  const authHeader = req.headers.authorization || '';
-  const token = authHeader.startsWith('Bearer ')
-    ? authHeader.slice('Bearer '.length)
-    : null;
+  const token = bearerToken(req);
   if (!token) {
     return res.status(401).json({ error: 'Missing authorization token' });
   }
   try {
-    /*
-     * Example using Firebase Auth – uncomment if using Firebase:
-     * const decodedToken = await admin.auth().verifyIdToken(token);
-     * req.user = decodedToken;
-     */
-    /*
-     * Example using Supabase – verify a JWT manually or via your own
-     * Supabase function.  See the Supabase docs for details.
-     */
-    // Placeholder: trust all tokens in development.  You MUST
-    // implement proper verification before deploying to production.
-    req.user = { uid: 'demo-user' };
-    next();
+    req.user = await verifyToken(token);
+    addLogContext({ userId: req.user.uid });
   } catch (err) {
-    console.error('Authentication error', err);
-    return res.status(401).json({ error: 'Invalid authorization token' });
+    if (err instanceof HttpError) return next(err);
+    if (!(err instanceof AuthError)) log.error('Authentication error', { err });
+    return res.status(401).json({ error: err instanceof AuthError ? err.message : 'Invalid authorization token' });
   }
+  next();
 }
 
-/**
- * Helper to call the Gemini API using a REST endpoint.  See
- * https://cloud.google.com/ai/generative-ai/docs/model-quickstart for
- * details.  You can also use the @google/generative-ai SDK
- * directly, but the REST call keeps dependencies minimal.
- *
- * @param {string} prompt - The user prompt.
- * @returns {Promise<object>} The API response JSON.
+/*
+ * Middleware for routes that call a provider.  The caller must be
+ * within their rate limits and token budgets (lib/usage.js), or gets a
+ * 429 with Retry-After before any work starts; every provider call the
+ * route then makes, including from background jobs it starts, is
+ * counted against them.
  */
-async function callGemini(prompt) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY not configured');
-  }
-  const url = `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-  const body = {
-    contents: [ { parts: [ { text: prompt } ] } ],
-    generationConfig: {
-      maxOutputTokens: 2048,
-      temperature: 0.7,
-    },
-  };
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Gemini API error: ${response.status} – ${text}`);
-  }
-  return await response.json();
+function meterUsage(req, res, next) {
+  checkLimits(store, req.user.uid, resolveProvider(req.body && req.body.model))
+    .then(() => withUsage(store, req.user.uid, next), next);
 }
 
 /**
- * Helper to call Anthropic’s Claude API.  See
- * https://docs.anthropic.com/claude/docs/api-reference for details.
- *
- * @param {string} prompt - The user prompt.
- * @returns {Promise<object>} The API response JSON.
+ * Generic endpoint for generating content.  The client sends a
+ * prompt, selects which model to use and optionally a `mode`
+ * (single, hybrid or cross_check – see lib/generation.js).  Whatever
+ * the provider, the response is the normalized envelope produced by
+ * lib/providers.js; pass `raw: true` in the body (or `?raw=1`) to also
+ * receive the upstream JSON for debugging.  `model` is a provider or
+ * a model id from GET /api/models, and `temperature`, `maxTokens` and
+ * `system` override its defaults.  `fallback` lists models to try in
+ * order if the selected one fails; the envelope's `provider` says which
+ * one answered.
  */
-async function callClaude(prompt) {
-  const apiKey = process.env.CLAUDE_API_KEY;
-  if (!apiKey) {
-    throw new Error('CLAUDE_API_KEY not configured');
-  }
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'claude-3-opus-20240229',
-      max_tokens: 2048,
-      messages: [ { role: 'user', content: prompt } ],
-    }),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Claude API error: ${response.status} – ${text}`);
+app.post('/api/generate', authenticateUser, meterUsage, async (req, res, next) => {
+  const { request, error, errors } = parseGenerationRequest(req.body);
+  if (error) return next(new ValidationError(error, errors));
+  if (wantsEventStream(req)) return streamGeneration(req, res, request);
+  const includeRaw = req.body.raw === true || req.query.raw === '1';
+  try {
+    res.json(await orchestrate(request, { includeRaw }));
+  } catch (err) {
+    sendGenerationError(res, err);
   }
-  return await response.json();
-}
+});
 
 /**
- * Helper to call OpenAI’s ChatGPT API.  See
- * https://platform.openai.com/docs/api-reference/chat for details.
- *
- * @param {string} prompt - The user prompt.
- * @returns {Promise<object>} The API response JSON.
+ * Streaming variant of /api/generate.  Responds with Server‑Sent
+ * Events: `delta` events carrying `{ text }`, then a single `done`
+ * event with the provider, model, finish reason, usage and sources,
+ * or an `error` event.  Clients can also get the same stream from
+ * /api/generate by sending `Accept: text/event-stream`.  Only the
+ * single mode can be streamed.
  */
-async function callOpenAI(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY not configured');
+app.post('/api/generate/stream', authenticateUser, meterUsage, (req, res, next) => {
+  const { request, error, errors } = parseGenerationRequest(req.body);
+  if (error) return next(new ValidationError(error, errors));
+  streamGeneration(req, res, request);
+});
+
+function streamGeneration(req, res, { mode, provider, prompt, fallback, params }) {
+  if (mode !== 'single') {
+    return res.status(400).json({ error: 'Streaming is only available in single mode' });
   }
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4-turbo',
-      messages: [ { role: 'user', content: prompt } ],
-      max_tokens: 2048,
-    }),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} – ${text}`);
+  pipeGenerationStream(res, (signal) => streamGenerate(provider, prompt, { signal, fallback, params }));
+}
+
+// Translate a failed generation into a JSON error.  ProviderErrors
+// carry their own status and typed body; anything else is a 500.
+function sendGenerationError(res, err) {
+  log.error('Generation error', { err });
+  if (err instanceof ProviderError) {
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    return res.status(err.status).json(err);
   }
-  return await response.json();
+  res.status(500).json({ error: err.message });
 }
 
-/**
- * Generic endpoint for generating content.  The client sends a
- * prompt and selects which model to use.  The response is
- * forwarded as received.  Authentication is optional here but can
- * be enabled by adding `authenticateUser` as middleware.
+/*
+ * Persistent storage.  Programmes, scripts and everything attached to
+ * them go through the store selected by STORAGE_DRIVER (see
+ * lib/storage).  Records carry the owner's `userId` and every query
+ * below is scoped to `req.user.uid`.  When using Firestore or Supabase,
+ * implement the same store interface and enable security rules or Row
+ * Level Security for `user_id = auth.uid()` as a second line of
+ * defence【876323371830981†L1404-L1460】.
  */
-app.post('/api/generate', authenticateUser, async (req, res) => {
-  const { model, prompt } = req.body;
-  try {
-    let result;
-    switch ((model || '').toLowerCase()) {
-      case 'gemini':
-        result = await callGemini(prompt);
-        break;
-      case 'claude':
-        result = await callClaude(prompt);
-        break;
-      case 'openai':
-      case 'chatgpt':
-        result = await callOpenAI(prompt);
-        break;
-      default:
-        return res.status(400).json({ error: 'Unsupported model' });
-    }
-    res.json(result);
-  } catch (err) {
-    console.error('Generation error', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+const store = createStore();
+
+// Express 4 does not pass rejected promises from async handlers on to
+// the error middleware, so routes that touch the store are wrapped.
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
 
 /*
- * CRUD endpoints for programmes.  These demonstrate how you might
- * persist user data in a database.  Replace the in‑memory store
- * with Firestore, Supabase or another database.  When using
- * Firestore, you would call db.collection('programmes').doc(...).set(...)
- * after verifying the user’s identity.  When using Supabase, call
- * supabase.from('programmes').insert(...) with row level security
- * enabled for `user_id = auth.uid()`.
+ * CRUD endpoints for programmes.  Programmes shared with the caller are
+ * included, and every programme carries the caller's `role` on it
+ * (owner, editor, reviewer or viewer; see lib/sharing.js).
  */
-const programmes = {}; // In‑memory store keyed by user ID
 
-// Get all programmes for the authenticated user.
-app.get('/api/programmes', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  // TODO: Replace with Firestore or Supabase query
-  res.json(programmes[userId] || []);
-});
+// Get all programmes the authenticated user owns or is a member of.
+app.get('/api/programmes', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listProgrammes(store, req.user.uid));
+}));
 
 // Create a new programme
-app.post('/api/programmes', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { name, genre, targetAudience, episodeLength, styleReferences } = req.body;
-  const programme = {
-    id: `programme-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    name,
-    genre,
-    targetAudience,
-    episodeLength,
-    styleReferences: styleReferences || [],
-    createdAt: new Date().toISOString(),
-  };
-  if (!programmes[userId]) programmes[userId] = [];
-  programmes[userId].unshift(programme);
+app.post('/api/programmes', authenticateUser, asyncRoute(async (req, res) => {
+  const programme = await createProgramme(store, req.user.uid, req.body);
   res.status(201).json(programme);
-});
+}));
 
-// Update an existing programme
-app.put('/api/programmes/:id', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { id } = req.params;
-  const { name, genre, targetAudience, episodeLength, styleReferences } = req.body;
-  const userProgrammes = programmes[userId] || [];
-  const index = userProgrammes.findIndex((p) => p.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Programme not found' });
-  const updated = {
-    ...userProgrammes[index],
-    name,
-    genre,
-    targetAudience,
-    episodeLength,
-    styleReferences,
-    updatedAt: new Date().toISOString(),
-  };
-  userProgrammes[index] = updated;
+// Update an existing programme: PUT replaces its fields, PATCH only
+// changes those present.
+app.put('/api/programmes/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const updated = await updateProgramme(store, req.user.uid, req.params.id, req.body);
+  if (!updated) return res.status(404).json({ error: 'Programme not found' });
   res.json(updated);
-});
+}));
+
+app.patch('/api/programmes/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const updated = await updateProgramme(store, req.user.uid, req.params.id, req.body, { partial: true });
+  if (!updated) return res.status(404).json({ error: 'Programme not found' });
+  res.json(updated);
+}));
 
-// Delete a programme
-app.delete('/api/programmes/:id', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { id } = req.params;
-  const userProgrammes = programmes[userId] || [];
-  const index = userProgrammes.findIndex((p) => p.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Programme not found' });
-  userProgrammes.splice(index, 1);
+// Delete a programme and its ideas; its scripts, chats and research are kept
+app.delete('/api/programmes/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const deleted = await deleteProgramme(store, req.user.uid, req.params.id);
+  if (!deleted) return res.status(404).json({ error: 'Programme not found' });
   res.status(204).end();
-});
+}));
 
 /*
- * CRUD endpoints for saved scripts.  Structure is similar to the
- * programme endpoints.  In a real implementation you would write
- * these entries to a database table/collection keyed by the user’s
- * unique ID.  Ensure row‑level or document‑level security so users
- * can only access their own data – Firestore security rules and
- * Supabase Row Level Security policies make this straightforward【876323371830981†L1404-L1460】.
+ * Sharing a programme (see lib/sharing.js).  Owners invite people by
+ * `{ userId }` or `{ email }` with a `role`, change roles and remove
+ * members; any member can see who else is in and remove themselves.
  */
-const scripts = {};
+app.get('/api/programmes/:id/members', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listMembers(store, req.user.uid, req.params.id));
+}));
 
-app.get('/api/scripts', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  res.json(scripts[userId] || []);
-});
+app.post('/api/programmes/:id/invitations', authenticateUser, asyncRoute(async (req, res) => {
+  res.status(201).json(await invite(store, req.user.uid, req.params.id, req.body));
+}));
+
+app.delete('/api/programmes/:id/invitations/:inviteId', authenticateUser, asyncRoute(async (req, res) => {
+  await revokeInvitation(store, req.user.uid, req.params.id, req.params.inviteId);
+  res.status(204).end();
+}));
 
-app.post('/api/scripts', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { programmeId, topic, content, sources } = req.body;
-  const script = {
-    id: `script-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    programmeId,
-    topic,
-    content,
-    sources,
-    createdAt: new Date().toISOString(),
-  };
-  if (!scripts[userId]) scripts[userId] = [];
-  scripts[userId].unshift(script);
+app.patch('/api/programmes/:id/members/:userId', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await updateMember(store, req.user.uid, req.params.id, req.params.userId, req.body));
+}));
+
+app.delete('/api/programmes/:id/members/:userId', authenticateUser, asyncRoute(async (req, res) => {
+  await removeMember(store, req.user.uid, req.params.id, req.params.userId);
+  res.status(204).end();
+}));
+
+// The caller's pending invitations, by user ID or verified email.
+app.get('/api/invitations', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listInvitations(store, req.user));
+}));
+
+app.post('/api/invitations/:id/accept', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await respondToInvitation(store, req.user, req.params.id, true));
+}));
+
+app.post('/api/invitations/:id/decline', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await respondToInvitation(store, req.user, req.params.id, false));
+}));
+
+/*
+ * Generate a script for a programme.  The body only needs a `topic`
+ * plus the usual `model` and optional `mode`; the prompt is built from
+ * the stored programme, its prompt templates and the passages of its
+ * reference library most relevant to the topic, and the result is
+ * saved as a new script.  `fitLength: true` has the script shortened
+ * or expanded toward the programme's episodeLength when it misses it.
+ * Responds with `{ script, generation, references, fit }`,
+ * `references` listing those passages and `fit` reporting the length
+ * before and after (see lib/script-generation.js).
+ */
+app.post('/api/programmes/:id/scripts/generate', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  const result = await generateProgrammeScript(store, req.user.uid, req.params.id, req.body);
+  res.status(201).json(result);
+}));
+
+/*
+ * The programme's episode calendar: scripts with an `airDate`, in air
+ * order, optionally between `?from=` and `?to=`.  `?format=ics` (or
+ * `Accept: text/calendar`) downloads it as iCalendar.
+ */
+app.get('/api/programmes/:id/calendar', authenticateUser, asyncRoute(async (req, res) => {
+  const calendar = await programmeCalendar(store, req.user.uid, req.params.id, req.query);
+  if (req.query.format !== 'ics' && !String(req.headers.accept || '').includes('text/calendar')) {
+    return res.json(calendar);
+  }
+  const file = toICalendar(calendar);
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': file.disposition,
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  });
+  res.send(file.body);
+}));
+
+/*
+ * A programme's style reference library (see lib/references.js).  POST
+ * uploads `{ title, kind, content }`, a past script or transcript, and
+ * indexes it; /reindex chunks every reference again.  The passages
+ * most relevant to a topic or chat message are added to its prompt.
+ */
+app.get('/api/programmes/:id/references', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listReferences(store, req.user.uid, req.params.id));
+}));
+
+app.post('/api/programmes/:id/references', authenticateUser, asyncRoute(async (req, res) => {
+  res.status(201).json(await addReference(store, req.user.uid, req.params.id, req.body));
+}));
+
+app.post('/api/programmes/:id/references/reindex', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await reindexReferences(store, req.user.uid, req.params.id));
+}));
+
+app.delete('/api/programmes/:id/references/:referenceId', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteReference(store, req.user.uid, req.params.id, req.params.referenceId);
+  res.status(204).end();
+}));
+
+/*
+ * Episode ideas backlog for a programme (see lib/ideas.js).  Ideas are
+ * generated from the programme profile, triaged by status (new,
+ * shortlisted, rejected) and promoted to scripts, which marks them used.
+ */
+app.get('/api/programmes/:id/ideas', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listIdeas(store, req.user.uid, req.params.id, req.query.status));
+}));
+
+// Generate `count` new ideas (default 5) with the given model/mode.
+app.post('/api/programmes/:id/ideas/generate', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  res.status(201).json(await generateIdeas(store, req.user.uid, req.params.id, req.body));
+}));
+
+// Change an idea's status, title or description.
+app.patch('/api/programmes/:id/ideas/:ideaId', authenticateUser, asyncRoute(async (req, res) => {
+  const { id, ideaId } = req.params;
+  res.json(await updateIdea(store, req.user.uid, id, ideaId, req.body));
+}));
+
+app.delete('/api/programmes/:id/ideas/:ideaId', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteIdea(store, req.user.uid, req.params.id, req.params.ideaId);
+  res.status(204).end();
+}));
+
+// Create a script from an idea; pass `model` to generate it in full.
+app.post('/api/programmes/:id/ideas/:ideaId/promote', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  const { id, ideaId } = req.params;
+  res.status(201).json(await promoteIdea(store, req.user.uid, id, ideaId, req.body));
+}));
+
+/*
+ * CRUD endpoints for saved scripts.  Structure is similar to the
+ * programme endpoints; scripts in shared programmes are included.
+ */
+app.get('/api/scripts', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listScripts(store, req.user.uid));
+}));
+
+app.post('/api/scripts', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await createScript(store, req.user.uid, req.body);
   res.status(201).json(script);
-});
+}));
 
-// Update a script
-app.put('/api/scripts/:id', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { id } = req.params;
-  const { content, sources } = req.body;
-  const userScripts = scripts[userId] || [];
-  const index = userScripts.findIndex((s) => s.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Script not found' });
-  const updated = { ...userScripts[index], content, sources, updatedAt: new Date().toISOString() };
-  userScripts[index] = updated;
+// Update a script: PUT replaces its content and sources, PATCH only
+// changes the fields present (see lib/scripts.js).
+app.put('/api/scripts/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const updated = await updateScript(store, req.user.uid, req.params.id, req.body);
+  if (!updated) return res.status(404).json({ error: 'Script not found' });
   res.json(updated);
-});
+}));
+
+app.patch('/api/scripts/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const updated = await updateScript(store, req.user.uid, req.params.id, req.body, { partial: true });
+  if (!updated) return res.status(404).json({ error: 'Script not found' });
+  res.json(updated);
+}));
 
 // Delete a script
-app.delete('/api/scripts/:id', authenticateUser, async (req, res) => {
-  const userId = req.user.uid;
-  const { id } = req.params;
-  const userScripts = scripts[userId] || [];
-  const index = userScripts.findIndex((s) => s.id === id);
-  if (index === -1) return res.status(404).json({ error: 'Script not found' });
-  userScripts.splice(index, 1);
+app.delete('/api/scripts/:id', authenticateUser, asyncRoute(async (req, res) => {
+  const deleted = await deleteScript(store, req.user.uid, req.params.id);
+  if (!deleted) return res.status(404).json({ error: 'Script not found' });
+  res.status(204).end();
+}));
+
+/*
+ * Search the scripts (topic and content) and programmes (name) the
+ * caller owns or that are shared with them; Arabic spelling variants
+ * and affixes are matched (see lib/search.js).  `?q=` is required;
+ * `programmeId`, `type` (all, scripts, programmes), `from` and `to`
+ * (ISO dates, on creation) filter and `limit`/`offset` page the ranked
+ * results.
+ */
+app.get('/api/search', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await search(store, req.user.uid, parseSearchQuery(req.query)));
+}));
+
+/*
+ * Script revision history.  Every create, update and restore appends
+ * an immutable revision (see lib/revisions.js).  PUT /api/scripts/:id
+ * accepts an optional `origin`, e.g. `{ type: 'generated', provider:
+ * 'claude', model: '…' }`, to record where the new text came from.
+ */
+
+// Load a script the caller may `action` (see lib/sharing.js) or answer
+// 404; a role that does not allow it throws a 403.
+async function requireScript(req, res, action = 'read') {
+  const script = await getScript(store, req.user.uid, req.params.id, action);
+  if (!script) res.status(404).json({ error: 'Script not found' });
+  return script;
+}
+
+app.get('/api/scripts/:id/revisions', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await listRevisions(store, script.id));
+}));
+
+app.get('/api/scripts/:id/revisions/:number', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await getRevision(store, script.id, req.params.number));
+}));
+
+// Diff two revisions: ?from=&to=&granularity=line|word
+app.get('/api/scripts/:id/diff', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  const { from, to, granularity } = req.query;
+  res.json(await diffRevisions(store, script, { from, to, granularity }));
+}));
+
+// Restore an old revision by copying it into a new one.
+app.post('/api/scripts/:id/revisions/:number/restore', authenticateUser, asyncRoute(async (req, res) => {
+  const restored = await restoreScriptRevision(store, req.user.uid, req.params.id, req.params.number);
+  if (!restored) return res.status(404).json({ error: 'Script not found' });
+  res.json(restored);
+}));
+
+/*
+ * Editorial workflow (see lib/workflow.js).  POST `{ status, note }`
+ * moves a script along draft -> in_review -> approved -> recorded ->
+ * aired; /history lists status and air date changes together with the
+ * revisions, and the statuses the caller can move it to next.
+ */
+app.post('/api/scripts/:id/status', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await changeStatus(store, req.user.uid, script, req.body));
+}));
+
+app.get('/api/scripts/:id/history', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await scriptHistory(store, script));
+}));
+
+/*
+ * Review comments on a range of the script's text, `{ start, end,
+ * body }` (see lib/comments.js).  PATCH changes the `body` or sets
+ * `resolved`; GET takes `?resolved=true|false`.
+ */
+app.get('/api/scripts/:id/comments', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await listComments(store, script, { resolved: req.query.resolved }));
+}));
+
+app.post('/api/scripts/:id/comments', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res, 'comment');
+  if (!script) return;
+  res.status(201).json(await addComment(store, req.user.uid, script, req.body));
+}));
+
+app.patch('/api/scripts/:id/comments/:commentId', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res, 'comment');
+  if (!script) return;
+  res.json(await updateComment(store, req.user.uid, script, req.params.commentId, req.body));
+}));
+
+app.delete('/api/scripts/:id/comments/:commentId', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  await deleteComment(store, req.user.uid, script, req.params.commentId);
+  res.status(204).end();
+}));
+
+/*
+ * Download a script as markdown, html, fountain, srt or vtt
+ * (?format=, default markdown).  See lib/export.js.
+ */
+app.get('/api/scripts/:id/export', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  const programme = script.programmeId ? await getProgramme(store, req.user.uid, script.programmeId) : null;
+  const file = exportScript(script, programme, req.query.format);
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': file.disposition,
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  });
+  res.send(file.body);
+}));
+
+/*
+ * Script analysis (see lib/analysis.js): word and sentence counts, the
+ * estimated spoken duration at SPEAKING_WPM against the programme's
+ * episodeLength, sections, readability, repeated phrases and sources.
+ */
+app.get('/api/scripts/:id/analysis', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  const programme = script.programmeId ? await getProgramme(store, req.user.uid, script.programmeId) : null;
+  res.json({ scriptId: script.id, revision: script.revision, ...analyzeScript(script, programme) });
+}));
+
+/*
+ * Structured fact-checking (see lib/fact-check.js).  The body takes
+ * `model` and optionally `crossCheck: true` (or `mode: 'cross_check'`)
+ * to have every configured provider verify the claims.  Reports on a
+ * script are stored; GET returns the latest with `stale: true` once
+ * the script's content has changed.
+ */
+app.post('/api/scripts/:id/fact-check', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res, 'comment');
+  if (!script) return;
+  res.status(201).json(await checkScript(store, script, req.body));
+}));
+
+app.get('/api/scripts/:id/fact-check', authenticateUser, asyncRoute(async (req, res) => {
+  const script = await requireScript(req, res);
+  if (!script) return;
+  res.json(await latestFactCheck(store, script));
+}));
+
+// Check arbitrary text without storing the report: `{ text, model }`.
+app.post('/api/fact-check', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  res.json(await checkText(req.body.text, req.body));
+}));
+
+/*
+ * Multi-turn chat sessions (see lib/chat.js), optionally tied to a
+ * programme and a script.  Posting a message returns the stored
+ * `message` and the assistant's `reply`; /apply saves a reply as a new
+ * revision of the session's script.
+ */
+app.get('/api/chat/sessions', authenticateUser, asyncRoute(async (req, res) => {
+  const { programmeId, scriptId } = req.query;
+  res.json(await listSessions(store, req.user.uid, { programmeId, scriptId }));
+}));
+
+app.post('/api/chat/sessions', authenticateUser, asyncRoute(async (req, res) => {
+  res.status(201).json(await createSession(store, req.user.uid, req.body));
+}));
+
+app.get('/api/chat/sessions/:id', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await getSession(store, req.user.uid, req.params.id));
+}));
+
+app.delete('/api/chat/sessions/:id', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteSession(store, req.user.uid, req.params.id);
   res.status(204).end();
+}));
+
+app.post('/api/chat/sessions/:id/messages', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  res.status(201).json(await sendMessage(store, req.user.uid, req.params.id, req.body));
+}));
+
+// Apply `{ messageId }` (default: the latest reply) to the script.
+app.post('/api/chat/sessions/:id/apply', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await applyToScript(store, req.user.uid, req.params.id, req.body));
+}));
+
+/*
+ * Deep research jobs (see lib/research.js).  POST /api/research takes
+ * `{ topic, model, mode }` and answers 202 with the job; poll
+ * GET /api/research/:id until `status` is completed or failed.
+ */
+app.get('/api/research', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listResearch(store, req.user.uid));
+}));
+
+app.post('/api/research', authenticateUser, meterUsage, asyncRoute(async (req, res) => {
+  res.status(202).json(await startResearch(store, req.user.uid, req.body));
+}));
+
+app.get('/api/research/:id', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await getResearch(store, req.user.uid, req.params.id));
+}));
+
+app.delete('/api/research/:id', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteResearch(store, req.user.uid, req.params.id);
+  res.status(204).end();
+}));
+
+// Add a completed job's sources to a script: `{ scriptId }`.
+app.post('/api/research/:id/attach', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await attachResearch(store, req.user.uid, req.params.id, req.body.scriptId));
+}));
+
+/*
+ * Background jobs (see lib/jobs.js).  POST /api/jobs takes `{ type,
+ * ...input }` (generate, script or fact-check) and answers 202 with
+ * the queued job; poll GET /api/jobs/:id or follow GET
+ * /api/jobs/events for its progress and result.
+ */
+app.get('/api/jobs', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listJobs(store, req.user.uid, { status: req.query.status }));
+}));
+
+app.post('/api/jobs', authenticateUser, asyncRoute(async (req, res) => {
+  res.status(202).json(await submitJob(store, req.user.uid, req.body));
+}));
+
+app.get('/api/jobs/events', authenticateUser, asyncRoute(async (req, res) => {
+  await pipeJobEvents(store, req.user.uid, res);
+}));
+
+app.get('/api/jobs/:id', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await getJob(store, req.user.uid, req.params.id));
+}));
+
+app.post('/api/jobs/:id/cancel', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await cancelJob(store, req.user.uid, req.params.id));
+}));
+
+app.delete('/api/jobs/:id', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteJob(store, req.user.uid, req.params.id);
+  res.status(204).end();
+}));
+
+/*
+ * Workspace backup (see lib/archive.js).  GET /api/export downloads
+ * everything the user owns as a versioned JSON archive; POST
+ * /api/import merges one back in, remapping IDs that already exist
+ * according to `strategy` (skip, overwrite or duplicate).  With
+ * `dryRun` nothing is written and the report shows what would change.
+ */
+app.get('/api/export', authenticateUser, asyncRoute(async (req, res) => {
+  const archive = await exportWorkspace(store, req.user.uid);
+  res.set({
+    'Content-Disposition': `attachment; filename="workspace-${archive.exportedAt.slice(0, 10)}.json"`,
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  });
+  res.json(archive);
+}));
+
+app.post('/api/import', authenticateUser, asyncRoute(async (req, res) => {
+  const { archive, options } = parseImportRequest(req.body, req.query);
+  const report = await importWorkspace(store, req.user.uid, archive, options);
+  res.status(report.dryRun ? 200 : 201).json(report);
+}));
+
+// The caller's provider calls and tokens per day (?days=, default 7),
+// their limits and what is left of them.
+app.get('/api/usage', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await usageReport(store, req.user.uid, { days: req.query.days }));
+}));
+
+// The model registry: every provider and model, whether the caller
+// can use it with this server's keys or their own, and the limits
+// requests must keep to.
+app.get('/api/models', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(modelCatalog(await availableProviders({ store, userId: req.user.uid })));
+}));
+
+/*
+ * The caller's own provider API keys (see lib/api-keys.js).  PUT
+ * saves or replaces `{ apiKey }` for a provider; keys are never
+ * returned, only masked.  Calls made for the caller use their key
+ * before the server's.
+ */
+app.get('/api/keys', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await listApiKeys(store, req.user.uid));
+}));
+
+app.put('/api/keys/:provider', authenticateUser, asyncRoute(async (req, res) => {
+  res.json(await saveApiKey(store, req.user.uid, req.params.provider, req.body));
+}));
+
+app.delete('/api/keys/:provider', authenticateUser, asyncRoute(async (req, res) => {
+  await deleteApiKey(store, req.user.uid, req.params.provider);
+  res.status(204).end();
+}));
+
+/*
+ * Health and readiness of the storage layer and the provider
+ * configuration (see lib/health.js); 503 when the server cannot serve.
+ */
+app.get('/api/health', asyncRoute(async (_req, res) => {
+  const report = await healthReport(store);
+  res.status(report.status === 'unavailable' ? 503 : 200).json(report);
+}));
+
+// Prometheus metrics (see lib/metrics.js), behind METRICS_TOKEN if set.
+app.get('/metrics', (req, res) => {
+  if (!metricsAllowed(bearerToken(req))) return res.status(401).json({ error: 'Missing or invalid metrics token' });
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics());
 });
 
-// Health check endpoint
-app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok' });
+// Bodies express.json() could not read, as problem+json like any other
+// invalid body.
+function bodyParserError(err) {
+  if (err.type === 'entity.parse.failed') return new ValidationError(`Invalid JSON in request body: ${err.message}`);
+  if (err.type === 'entity.too.large') return new ValidationError(`Request body is larger than ${err.limit} bytes`, [], 413);
+  return err;
+}
+
+// Report errors raised inside lib/ (HttpError) with their own status,
+// invalid request bodies as problem+json, and storage or other
+// unexpected failures as a 500.
+app.use((error, _req, res, _next) => {
+  const err = bodyParserError(error);
+  if (err instanceof ValidationError) return res.status(err.status).type(PROBLEM_CONTENT_TYPE).json(err);
+  if (err instanceof HttpError) return res.status(err.status).json(err);
+  if (err instanceof ProviderError) return sendGenerationError(res, err);
+  log.error('Unhandled error', { err });
+  res.status(500).json({ error: err.message || 'Internal Server Error' });
 });
 
 // Start server
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Backend proxy server listening on port ${PORT}`);
-});
+// Research and background jobs run in this process, so any left
+// running were cut off: fail the research, requeue the jobs.
+failInterruptedResearch(store)
+  .catch((err) => log.error('Could not check for interrupted research jobs', { err }))
+  .then(() => recoverJobs(store))
+  .catch((err) => log.error('Could not recover background jobs', { err }))
+  .then(() => app.listen(PORT, () => {
+    log.info('Backend proxy server listening', { port: Number(PORT) });
+  }));
@@ -0,0 +1,213 @@
+/*
+ * Script analysis: how long a script runs when read out and how it
+ * reads.
+ *
+ * The spoken text is the script's Markdown without its title line,
+ * headings, segment labels, link targets and formatting (see
+ * export.js).  Its duration is estimated at SPEAKING_WPM (see
+ * duration.js) and compared with the programme's episodeLength; a
+ * script within LENGTH_TOLERANCE percent of it (default 10) is on
+ * target.
+ *
+ * Sections start at a `#` heading or at a line that is wholly bold,
+ * such as `**المقدمة:**`, the way models label segments.
+ */
+
+const { normalizeUri } = require('./citations');
+const { tokenize } = require('./arabic');
+const { parseDuration, speakingRate, speakingSeconds } = require('./duration');
+const { body, plainText, spokenSentences } = require('./export');
+const { STOP_WORDS } = require('./search');
+
+const DEFAULT_TOLERANCE = 10;
+// Sentences longer than this are hard to read out in one breath.
+const LONG_SENTENCE_WORDS = 25;
+// Repeated phrases are two to this many words long.
+const MAX_PHRASE_WORDS = 5;
+const MAX_PHRASES = 10;
+
+const HEADING = /^\s*#{1,6}\s+(.*?)\s*#*\s*$/;
+const LABEL = /^\s*\*\*([^*\n]{1,60}?)\*\*\s*:?\s*$/;
+const LINK = /\[[^\]]*\]\((https?:\/\/[^)\s]+)\)|(https?:\/\/[^\s)\]]+)/g;
+
+/**
+ * @returns {number} How far, in percent of the target, a script may
+ *   run short or long and still be on target.
+ */
+function lengthTolerance() {
+  const value = Number(process.env.LENGTH_TOLERANCE);
+  return value > 0 ? value : DEFAULT_TOLERANCE;
+}
+
+function round(value, digits = 0) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function countWords(sentences) {
+  return sentences.reduce((sum, s) => sum + tokenize(s).length, 0);
+}
+
+/* ------------------------------------------------------------------
+ * Sections
+ */
+
+// The spoken text split at headings and segment labels.
+function splitSections(markdown) {
+  const sections = [{ heading: null, lines: [] }];
+  for (const line of markdown.split(/\r?\n/)) {
+    const match = HEADING.exec(line) || LABEL.exec(line);
+    if (match) sections.push({ heading: plainText(match[1]).replace(/:\s*$/, '').trim(), lines: [] });
+    else sections[sections.length - 1].lines.push(line);
+  }
+  return sections
+    .map(({ heading, lines }) => ({ heading, sentences: spokenSentences(lines.join('\n')) }))
+    .filter((s, i) => i > 0 || s.sentences.length);
+}
+
+/* ------------------------------------------------------------------
+ * Readability and repetition
+ */
+
+function readability(sentences, tokens) {
+  const lengths = sentences.map((s) => tokenize(s).length);
+  const letters = tokens.reduce((sum, t) => sum + t.word.length, 0);
+  return {
+    averageSentenceWords: round(tokens.length / sentences.length || 0, 1),
+    averageWordLength: round(letters / tokens.length || 0, 1),
+    longSentences: lengths.filter((n) => n > LONG_SENTENCE_WORDS).length,
+    longestSentenceWords: Math.max(0, ...lengths),
+    // Share of distinct words: low values mean a small vocabulary.
+    lexicalDiversity: round(new Set(tokens.map((t) => t.word)).size / tokens.length || 0, 2),
+  };
+}
+
+/**
+ * Phrases of two to MAX_PHRASE_WORDS words used more than once, within
+ * sentences and compared in normalized form.  Phrases that begin or
+ * end with a stop word are skipped, as is a phrase that only occurs as
+ * part of a longer repeated one.
+ *
+ * @param {string[]} sentences
+ * @returns {{phrase: string, words: number, count: number}[]} Most
+ *   repeated first; `phrase` as first written.
+ */
+function repeatedPhrases(sentences) {
+  const found = new Map(); // normalized phrase -> { phrase, words, count }
+  for (const sentence of sentences) {
+    const tokens = tokenize(sentence);
+    for (let n = 2; n <= MAX_PHRASE_WORDS; n++) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        const first = tokens[i];
+        const last = tokens[i + n - 1];
+        if (STOP_WORDS.has(first.word) || STOP_WORDS.has(last.word)) continue;
+        const key = tokens.slice(i, i + n).map((t) => t.word).join(' ');
+        if (!found.has(key)) found.set(key, { phrase: sentence.slice(first.start, last.end), words: n, count: 0 });
+        found.get(key).count += 1;
+      }
+    }
+  }
+  const repeated = Array.from(found).filter(([, p]) => p.count > 1);
+  // The counts of the longer repeated phrases each phrase is part of.
+  const within = new Map();
+  for (const [key, p] of repeated) {
+    const words = key.split(' ');
+    for (let n = 2; n < p.words; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const part = words.slice(i, i + n).join(' ');
+        if (!within.has(part)) within.set(part, new Set());
+        within.get(part).add(p.count);
+      }
+    }
+  }
+  return repeated
+    .filter(([key, p]) => !(within.has(key) && within.get(key).has(p.count)))
+    .map(([, p]) => p)
+    .sort((a, b) => b.count - a.count || b.words - a.words)
+    .slice(0, MAX_PHRASES);
+}
+
+/* ------------------------------------------------------------------
+ * Sources
+ */
+
+function countSources(script) {
+  const inline = new Set();
+  for (const match of String(script.content || '').matchAll(LINK)) {
+    const uri = normalizeUri(match[1] || match[2]);
+    if (uri) inline.add(uri);
+  }
+  const attached = new Set((script.sources || []).map((s) => s && normalizeUri(s.uri)).filter(Boolean));
+  return {
+    inline: inline.size,
+    attached: attached.size,
+    total: new Set([...inline, ...attached]).size,
+  };
+}
+
+/* ------------------------------------------------------------------
+ * Analysis
+ */
+
+/**
+ * Analyze a script against its programme's episode length.
+ *
+ * @param {object} script - `{ content, sources }`, e.g. from scripts.getScript().
+ * @param {object} [programme] - For its episodeLength.
+ * @returns {object} `{ wordsPerMinute, words, sentences,
+ *   estimatedSeconds, target, difference, sections, readability,
+ *   repeatedPhrases, sources }`.  `target` is `{ episodeLength,
+ *   seconds, words }` and `difference` `{ seconds, words, percent,
+ *   verdict }` with verdict short, on_target or long; both are null if
+ *   the programme has no parseable episodeLength.
+ */
+function analyzeScript(script, programme) {
+  const markdown = body(script);
+  const sections = splitSections(markdown);
+  const sentences = sections.flatMap((s) => s.sentences);
+  const tokens = sentences.flatMap((s) => tokenize(s));
+  const words = tokens.length;
+  const estimatedSeconds = speakingSeconds(words);
+
+  const targetSeconds = parseDuration(programme && programme.episodeLength);
+  let target = null;
+  let difference = null;
+  if (targetSeconds) {
+    const targetWords = Math.round(targetSeconds * speakingRate() / 60);
+    const percent = (estimatedSeconds - targetSeconds) / targetSeconds * 100;
+    let verdict = 'on_target';
+    if (percent > lengthTolerance()) verdict = 'long';
+    else if (percent < -lengthTolerance()) verdict = 'short';
+    target = { episodeLength: programme.episodeLength, seconds: targetSeconds, words: targetWords };
+    difference = {
+      seconds: round(estimatedSeconds - targetSeconds),
+      words: words - targetWords,
+      percent: round(percent, 1),
+      verdict,
+    };
+  }
+
+  return {
+    wordsPerMinute: speakingRate(),
+    words,
+    sentences: sentences.length,
+    estimatedSeconds: round(estimatedSeconds),
+    target,
+    difference,
+    sections: sections.map(({ heading, sentences: lines }) => {
+      const count = countWords(lines);
+      return {
+        heading,
+        words: count,
+        sentences: lines.length,
+        estimatedSeconds: round(speakingSeconds(count)),
+        share: round(count / words || 0, 2),
+      };
+    }),
+    readability: readability(sentences, tokens),
+    repeatedPhrases: repeatedPhrases(sentences),
+    sources: countSources(script),
+  };
+}
+
+module.exports = { analyzeScript, lengthTolerance };
@@ -0,0 +1,199 @@
+/*
+ * Users' own provider API keys ("bring your own key").
+ *
+ * A user can save a key per provider (gemini, claude, openai or its
+ * alias chatgpt, other); provider calls made on their behalf then use
+ * it instead of the server's key from the environment (see
+ * providers.js).  Keys are write‑only: they are never returned, only a
+ * masked hint such as `sk-…abcd`.
+ *
+ * Keys are encrypted at rest with AES‑256‑GCM under a server master
+ * key, with the user and provider as additional authenticated data so
+ * a stored key cannot be moved to another user or provider.
+ *
+ *   KEY_ENCRYPTION_KEY    the master key: 32 bytes as 64 hex digits or
+ *                         base64.  Without it keys cannot be saved.
+ *   SERVER_KEY_FALLBACK   `false` to stop lending the server's keys:
+ *                         users then need their own key for every
+ *                         provider they call (default true)
+ *
+ * Stored in `apiKeys`, one record per user and provider (ID
+ * `<userId>:<provider>`).  They are left out of workspace archives.
+ */
+
+const crypto = require('crypto');
+const { HttpError, ProviderError } = require('./errors');
+const { PROVIDERS, PROVIDER_ALIASES } = require('./models');
+const { assertValid } = require('./validation');
+
+const COLLECTION = 'apiKeys';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// Request body of PUT /api/keys/:provider (see validation.js).
+const API_KEY_SCHEMA = {
+  apiKey: { type: 'string', required: true, minLength: 8, maxLength: 1000 },
+};
+
+/**
+ * @returns {boolean} Whether calls for a user without their own key
+ *   may use the server's key.
+ */
+function serverKeysAllowed() {
+  return String(process.env.SERVER_KEY_FALLBACK || '').trim().toLowerCase() !== 'false';
+}
+
+// The master key, or null if none is set.
+function masterKey() {
+  const value = String(process.env.KEY_ENCRYPTION_KEY || '').trim();
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error('KEY_ENCRYPTION_KEY must be 32 bytes, as 64 hex digits or base64');
+  return key;
+}
+
+/**
+ * @returns {boolean} Whether users can save keys: KEY_ENCRYPTION_KEY is set.
+ * @throws {Error} If it is set but not a usable key.
+ */
+function userKeysEnabled() {
+  return masterKey() !== null;
+}
+
+// Identifies the master key a record was encrypted with, so a changed
+// key is reported as such rather than as a corrupt record.
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function encrypt(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return {
+    keyId: fingerprint(key),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decrypt(key, encrypted, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(encrypted.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function mask(apiKey) {
+  return apiKey.length >= 16 ? `${apiKey.slice(0, 3)}…${apiKey.slice(-4)}` : '…';
+}
+
+// A provider named in the URL, which may be an alias.
+function keyProvider(name) {
+  const key = String(name || '').trim().toLowerCase();
+  const provider = PROVIDER_ALIASES[key] || key;
+  if (!PROVIDERS[provider]) {
+    throw new HttpError(404, `Unknown provider; expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+// A key as listed: everything but the ciphertext.
+function summary({ encrypted, id, userId, ...rest }) {
+  return rest;
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @returns {Promise<object>} `{ serverKeyFallback, keys }`, each key
+ *   `{ provider, masked, createdAt, updatedAt }`.
+ */
+async function listApiKeys(store, userId) {
+  const keys = await store.list(COLLECTION, { userId });
+  return {
+    serverKeyFallback: serverKeysAllowed(),
+    keys: keys.map(summary).sort((a, b) => a.provider.localeCompare(b.provider)),
+  };
+}
+
+/**
+ * Save a user's key for a provider, replacing any they saved before.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} providerName - A provider or its alias.
+ * @param {object} body - `{ apiKey }`.
+ * @returns {Promise<object>} The key as listed.
+ * @throws {ValidationError} For an invalid body.
+ * @throws {HttpError} 404 for an unknown provider, 503 if the server
+ *   has no KEY_ENCRYPTION_KEY.
+ */
+async function saveApiKey(store, userId, providerName, body) {
+  const provider = keyProvider(providerName);
+  assertValid(API_KEY_SCHEMA, body);
+  const key = masterKey();
+  if (!key) throw new HttpError(503, 'Saving API keys is not enabled on this server (KEY_ENCRYPTION_KEY)');
+  const apiKey = body.apiKey.trim();
+  if (/\s/.test(apiKey)) throw new HttpError(400, 'apiKey must not contain spaces');
+
+  const id = `${userId}:${provider}`;
+  const now = new Date().toISOString();
+  const changes = { encrypted: encrypt(key, apiKey, id), masked: mask(apiKey), updatedAt: now };
+  const saved = await store.update(COLLECTION, id, changes)
+    || await store.insert(COLLECTION, { id, userId, provider, ...changes, createdAt: now });
+  return summary(saved);
+}
+
+/**
+ * @throws {HttpError} 404 if the user has no key for the provider.
+ */
+async function deleteApiKey(store, userId, providerName) {
+  const provider = keyProvider(providerName);
+  if (!(await store.remove(COLLECTION, `${userId}:${provider}`))) throw new HttpError(404, 'API key not found');
+}
+
+/**
+ * The user's own key for a provider, decrypted for a call.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} provider
+ * @returns {Promise<string|null>} null if they have not saved one.
+ * @throws {ProviderError} `not_configured` if the saved key cannot be
+ *   decrypted, e.g. after KEY_ENCRYPTION_KEY changed.
+ */
+async function userApiKey(store, userId, provider) {
+  const record = await store.get(COLLECTION, `${userId}:${provider}`);
+  if (!record) return null;
+  const key = masterKey();
+  const unreadable = () => new ProviderError('not_configured',
+    `Your saved ${PROVIDERS[provider].label} API key can no longer be read; save it again`, { provider });
+  if (!key || record.encrypted.keyId !== fingerprint(key)) throw unreadable();
+  try {
+    return decrypt(key, record.encrypted, record.id);
+  } catch (_err) {
+    throw unreadable();
+  }
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @returns {Promise<string[]>} The providers the user has saved a key for.
+ */
+async function savedKeyProviders(store, userId) {
+  return (await store.list(COLLECTION, { userId })).map((record) => record.provider);
+}
+
+module.exports = {
+  deleteApiKey,
+  listApiKeys,
+  saveApiKey,
+  savedKeyProviders,
+  serverKeysAllowed,
+  userApiKey,
+  userKeysEnabled,
+};
@@ -0,0 +1,136 @@
+/*
+ * Arabic text normalization for comparing and matching text.
+ *
+ * The same word can be typed many ways: with or without diacritics
+ * (tashkeel), stretched with tatweel, or with different hamza/alef
+ * forms.  normalizeArabic() folds these together so comparisons see
+ * one spelling, and stem() strips the common prefixes and suffixes so
+ * that e.g. البرنامج, وبرنامجه and برنامجها meet.  The output is for
+ * matching only and must never be shown to users or stored in place
+ * of the original text.
+ */
+
+// Tashkeel, Quranic annotation marks and superscript alef.
+const DIACRITICS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06DC\u06DF-\u06E8\u06EA-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+
+/**
+ * @param {string} text
+ * @returns {string} Lower‑cased, NFKC‑normalized text with diacritics
+ *   and tatweel removed and letter variants unified.
+ */
+function normalizeArabic(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .replace(DIACRITICS, '')
+    .replace(TATWEEL, '')
+    .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // آ أ إ ٱ -> ا
+    .replace(/\u0649/g, '\u064A') // ى -> ي
+    .replace(/\u0629/g, '\u0647') // ة -> ه
+    .replace(/\u0624/g, '\u0648') // ؤ -> و
+    .replace(/\u0626/g, '\u064A') // ئ -> ي
+    .toLowerCase();
+}
+
+// Light stemming in the manner of Larkey et al.'s "light10": a leading
+// و, then one article or preposition+article, then each suffix once,
+// always leaving at least two letters.  Applied to normalized words,
+// so ة and ى have already become ه and ي.
+const PREFIXES = ['وال', 'فال', 'بال', 'كال', 'لل', 'ال'];
+const SUFFIXES = ['ها', 'ان', 'ات', 'ون', 'ين', 'يه', 'ه', 'ي'];
+const ARABIC_LETTER = /[\u0621-\u064A]/;
+
+/**
+ * @param {string} word - A normalized word (see words()).
+ * @returns {string} Its light stem; words that are not Arabic are
+ *   returned unchanged.
+ */
+function stem(word) {
+  if (!ARABIC_LETTER.test(word)) return word;
+  let w = word;
+  if (w.length > 3 && w.startsWith('\u0648')) w = w.slice(1);
+  const prefix = PREFIXES.find((p) => w.startsWith(p) && w.length - p.length >= 2);
+  if (prefix) w = w.slice(prefix.length);
+  for (const suffix of SUFFIXES) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 2) w = w.slice(0, -suffix.length);
+  }
+  return w;
+}
+
+/**
+ * Split text into normalized words, dropping punctuation.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function words(text) {
+  return normalizeArabic(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Fold `text` like normalizeArabic() and collapse whitespace, keeping
+// for every output character the offset of the input character it came
+// from.
+function fold(text) {
+  const chars = [];
+  const offsets = [];
+  let offset = 0;
+  for (const ch of String(text || '')) {
+    const folded = /\s/.test(ch) ? ' ' : normalizeArabic(ch);
+    for (const c of folded) {
+      if (c === ' ' && (!chars.length || chars[chars.length - 1] === ' ')) continue;
+      chars.push(c);
+      offsets.push(offset);
+    }
+    offset += ch.length;
+  }
+  return { text: chars.join(''), offsets };
+}
+
+/**
+ * Find `needle` in `text` the way normalizeArabic() compares text:
+ * ignoring diacritics, tatweel, letter variants, case and differences
+ * in whitespace.  Useful for anchoring a quote a model copied from the
+ * text, which rarely keeps every mark.
+ *
+ * @param {string} text
+ * @param {string} needle
+ * @param {number} [fromIndex] - Offset in `text` to start searching at.
+ * @returns {{start: number, end: number}|null} Offsets into `text`
+ *   (end exclusive), or null if not found.
+ */
+function locate(text, needle, fromIndex = 0) {
+  const haystack = fold(text);
+  const pin = fold(needle).text.trim();
+  if (!pin) return null;
+  const from = haystack.offsets.findIndex((o) => o >= fromIndex);
+  if (from === -1) return null;
+  const index = haystack.text.indexOf(pin, from);
+  if (index === -1) return null;
+  const start = haystack.offsets[index];
+  const after = index + pin.length;
+  let end = after < haystack.offsets.length ? haystack.offsets[after] : text.length;
+  while (end > start && /\s/.test(text[end - 1])) end -= 1;
+  return { start, end };
+}
+
+/**
+ * Split text into words with their position in it.  Diacritics and
+ * tatweel stay inside the word they belong to.
+ *
+ * @param {string} text
+ * @returns {{word: string, start: number, end: number}[]} `word` is
+ *   normalized; offsets are into `text` (end exclusive).
+ */
+function tokenize(text) {
+  const source = String(text || '');
+  const tokens = [];
+  for (const match of source.matchAll(/[\p{L}\p{N}][\p{L}\p{N}\p{M}\u0640]*/gu)) {
+    const word = normalizeArabic(match[0]).replace(/[^\p{L}\p{N}]+/gu, '');
+    if (word) tokens.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+module.exports = {
+  locate, normalizeArabic, stem, tokenize, words,
+};
@@ -0,0 +1,460 @@
+/*
+ * Workspace backup and import.
+ *
+ * exportWorkspace() collects everything a user owns into one JSON
+ * archive:
+ *
+ *   {
+ *     format: 'creative-studio-workspace', version: 1,
+ *     schemaVersion,            // of the records, see storage/migrations.js
+ *     exportedAt, userId,
+ *     collections: { programmes: [...], scripts: [...], ... }  // oldest first
+ *   }
+ *
+ * importWorkspace() merges an archive into the caller's workspace.
+ * Records keep their IDs unless a record with the same ID already
+ * exists, in which case the `strategy` decides:
+ *
+ *   skip       keep the existing record; references to it point there
+ *   overwrite  replace it
+ *   duplicate  store the import under a new ID
+ *
+ * An ID taken by another user's record is always duplicated.
+ *
+ * References between records (`programmeId`, `scriptId`, …) follow
+ * the new IDs, and references to records that are neither in the
+ * archive nor owned by the caller are dropped.  What hangs off a record
+ * (a script's revisions, fact‑check reports, comments and workflow
+ * events, a programme's ideas backlog and reference library, a
+ * session's messages) is skipped with it, and with it when the record
+ * it hangs off is neither in the archive nor the caller's, and is
+ * replaced along with it on overwrite.  IDs inside a revision's
+ * `origin` are kept as they are.
+ *
+ * Every record must have the shape the API would have stored (see
+ * RECORD_SCHEMAS), or the whole import is refused.  References are
+ * chunked again rather than trusting the archive's offsets.  Nothing
+ * in an archive proves who reviewed a script, so scripts are imported
+ * as drafts, with a workflow event saying so, and go through review
+ * again; the archive's own workflow events are kept as history.
+ */
+
+const { HttpError, ValidationError } = require('./errors');
+const { VERDICTS } = require('./fact-check');
+const { STATUSES: IDEA_STATUSES } = require('./ideas');
+const { PROGRAMME_SCHEMA } = require('./programmes');
+const { sanitizeTemplates } = require('./prompts');
+const { resolveProvider } = require('./providers');
+const { REFERENCE_SCHEMA, referenceChunks } = require('./references');
+const { normalizeOrigin } = require('./revisions');
+const { SCRIPT_SCHEMA } = require('./scripts');
+const { forgetIndex } = require('./search');
+const { generateId } = require('./storage');
+const { migrate, SCHEMA_VERSION } = require('./storage/migrations');
+const { validate } = require('./validation');
+const {
+  INITIAL_STATUS, STATUSES, parseAirDate, recordEvent, scriptStatus,
+} = require('./workflow');
+
+const FORMAT = 'creative-studio-workspace';
+const VERSION = 1;
+const STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+/*
+ * Every collection a user owns records in, parents before children.
+ * `refs` maps reference fields to the collection they point into;
+ * `parent` names the reference a record cannot exist without.
+ */
+const COLLECTIONS = [
+  { name: 'programmes', prefix: 'programme', refs: {} },
+  { name: 'scripts', prefix: 'script', refs: { programmeId: 'programmes', ideaId: 'ideas' } },
+  { name: 'revisions', prefix: 'revision', refs: { scriptId: 'scripts' }, parent: 'scriptId' },
+  { name: 'factChecks', prefix: 'factcheck', refs: { scriptId: 'scripts' }, parent: 'scriptId' },
+  { name: 'comments', prefix: 'comment', refs: { scriptId: 'scripts' }, parent: 'scriptId' },
+  { name: 'workflowEvents', prefix: 'event', refs: { scriptId: 'scripts' }, parent: 'scriptId' },
+  { name: 'ideas', prefix: 'idea', refs: { programmeId: 'programmes', scriptId: 'scripts' }, parent: 'programmeId' },
+  { name: 'references', prefix: 'reference', refs: { programmeId: 'programmes' }, parent: 'programmeId' },
+  { name: 'research', prefix: 'research', refs: { programmeId: 'programmes' } },
+  { name: 'chatSessions', prefix: 'chat', refs: { programmeId: 'programmes', scriptId: 'scripts' } },
+  { name: 'chatMessages', prefix: 'message', refs: { sessionId: 'chatSessions' }, parent: 'sessionId' },
+];
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @returns {Promise<object>} The archive.
+ */
+async function exportWorkspace(store, userId) {
+  const collections = {};
+  for (const { name } of COLLECTIONS) {
+    collections[name] = (await store.list(name, { userId })).reverse();
+  }
+  return {
+    format: FORMAT,
+    version: VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    userId,
+    collections,
+  };
+}
+
+/* ------------------------------------------------------------------
+ * Validation
+ */
+
+const SOURCE = {
+  type: 'object',
+  fields: { uri: { type: 'string' }, url: { type: 'string' }, title: { type: 'string', nullable: true } },
+};
+const SOURCES = { type: 'array', nullable: true, items: SOURCE };
+const ID = { type: 'string', required: true, minLength: 1 };
+const REF = { type: 'string', nullable: true };
+
+// The shape of the records the API stores, beyond those checked with
+// the request schemas (see validation.js).
+const RECORD_SCHEMAS = {
+  revisions: {
+    scriptId: ID,
+    number: { type: 'integer', required: true, min: 1 },
+    content: { type: 'string', required: true },
+    sources: SOURCES,
+    author: { type: 'string', nullable: true },
+    origin: { type: ['string', 'object'], nullable: true },
+  },
+  factChecks: {
+    scriptId: ID,
+    revision: { type: 'integer', min: 1 },
+    contentHash: { type: 'string', required: true },
+    claims: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          quote: { type: 'string', required: true },
+          verdict: { type: 'string', required: true, enum: VERDICTS },
+          confidence: { type: 'number', min: 0, max: 1 },
+          explanation: { type: 'string' },
+          sources: SOURCES,
+        },
+      },
+    },
+    summary: { type: 'object', required: true },
+  },
+  comments: {
+    scriptId: ID,
+    author: ID,
+    revision: { type: 'integer', min: 1 },
+    start: { type: 'integer', required: true, min: 0 },
+    end: { type: 'integer', required: true, min: 0 },
+    quote: { type: 'string', required: true },
+    body: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+    resolved: { type: 'boolean' },
+  },
+  workflowEvents: {
+    scriptId: ID,
+    author: ID,
+    type: { type: 'string', required: true, enum: ['status', 'airDate'] },
+    from: REF,
+    to: REF,
+    note: { type: 'string', nullable: true, maxLength: 2000 },
+  },
+  ideas: {
+    programmeId: ID,
+    scriptId: REF,
+    title: { type: 'string', required: true, minLength: 1 },
+    description: { type: 'string', nullable: true },
+    sources: SOURCES,
+    status: { type: 'string', required: true, enum: IDEA_STATUSES },
+  },
+  references: { programmeId: ID, ...REFERENCE_SCHEMA },
+  research: {
+    programmeId: REF,
+    topic: { type: 'string', required: true, minLength: 1 },
+    status: { type: 'string', required: true, enum: ['running', 'completed', 'failed'] },
+    questions: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          question: { type: 'string', required: true },
+          status: { type: 'string', required: true, enum: ['pending', 'completed', 'failed'] },
+        },
+      },
+    },
+    report: REF,
+    sources: { ...SOURCES, nullable: false, required: true },
+  },
+  chatSessions: {
+    programmeId: REF,
+    scriptId: REF,
+    title: REF,
+    provider: { type: 'string', required: true },
+    messageCount: { type: 'integer', min: 0 },
+  },
+  chatMessages: {
+    sessionId: ID,
+    role: { type: 'string', required: true, enum: ['user', 'assistant'] },
+    content: { type: 'string', required: true },
+    sources: SOURCES,
+  },
+};
+
+// Field problems of each kind of record.
+const RECORD_CHECKS = {
+  ...Object.fromEntries(Object.entries(RECORD_SCHEMAS).map(([name, schema]) => [name, (r) => validate(schema, r)])),
+  programmes(record) {
+    const errors = validate(PROGRAMME_SCHEMA, record);
+    if (record.promptTemplates) {
+      try {
+        sanitizeTemplates(record.promptTemplates);
+      } catch (err) {
+        errors.push({ field: 'promptTemplates', message: err.message });
+      }
+    }
+    return errors;
+  },
+  scripts(record) {
+    const errors = validate(SCRIPT_SCHEMA, record);
+    if (record.status !== undefined && !STATUSES.includes(record.status)) {
+      errors.push({ field: 'status', message: `must be one of ${STATUSES.join(', ')}` });
+    }
+    if (record.airDate !== undefined && parseAirDate(record.airDate) === undefined) {
+      errors.push({ field: 'airDate', message: 'must be a date (YYYY-MM-DD) or a date-time with a time zone' });
+    }
+    return errors;
+  },
+  chatSessions(record) {
+    const errors = validate(RECORD_SCHEMAS.chatSessions, record);
+    if (typeof record.provider === 'string' && resolveProvider(record.provider) !== record.provider) {
+      errors.push({ field: 'provider', message: 'is not a known provider' });
+    }
+    return errors;
+  },
+};
+
+// Every invalid field of the archive's records, named by their place
+// in it.
+function checkRecords(data) {
+  const errors = [];
+  for (const [name, check] of Object.entries(RECORD_CHECKS)) {
+    (data[name] || []).forEach((record, i) => {
+      for (const { field, message } of check(record)) {
+        errors.push({ field: `collections.${name}[${i}].${field}`, message });
+      }
+    });
+  }
+  return errors;
+}
+
+function validateArchive(archive) {
+  if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+    throw new HttpError(400, 'The archive must be a JSON object');
+  }
+  if (archive.format !== FORMAT) throw new HttpError(400, `Not a workspace archive (format must be "${FORMAT}")`);
+  if (archive.version !== VERSION) throw new HttpError(400, `Unsupported archive version ${archive.version}`);
+  const schemaVersion = archive.schemaVersion;
+  if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+    throw new HttpError(400, 'schemaVersion must be a positive integer');
+  }
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new HttpError(400, `The archive has schema version ${schemaVersion}, newer than this server (${SCHEMA_VERSION})`);
+  }
+  const { collections } = archive;
+  if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+    throw new HttpError(400, 'collections must be an object');
+  }
+  const known = COLLECTIONS.map((c) => c.name);
+  for (const [name, records] of Object.entries(collections)) {
+    if (!known.includes(name)) throw new HttpError(400, `Unknown collection "${name}"`);
+    if (!Array.isArray(records)) throw new HttpError(400, `collections.${name} must be an array`);
+    const ids = new Set();
+    records.forEach((record, i) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new HttpError(400, `collections.${name}[${i}] must be an object`);
+      }
+      if (typeof record.id !== 'string' || !record.id) {
+        throw new HttpError(400, `collections.${name}[${i}].id must be a non-empty string`);
+      }
+      if (ids.has(record.id)) throw new HttpError(400, `collections.${name} repeats id ${record.id}`);
+      ids.add(record.id);
+    });
+  }
+  // Records from an older schema are upgraded like an old journal.
+  const data = {};
+  for (const name of known) data[name] = (collections[name] || []).map((r) => ({ ...r }));
+  const migrated = migrate(data, schemaVersion);
+  const errors = checkRecords(migrated);
+  if (errors.length) throw new ValidationError('Invalid records in the archive', errors);
+  return migrated;
+}
+
+/* ------------------------------------------------------------------
+ * Import
+ */
+
+// Whether the caller owns a stored record.
+async function owns(store, userId, collection, id) {
+  const record = await store.get(collection, id);
+  return Boolean(record) && record.userId === userId;
+}
+
+// Decide what happens to every record: [{ spec, record, action, id, existing }].
+async function plan(store, userId, data, strategy, warnings) {
+  const ids = Object.fromEntries(COLLECTIONS.map((c) => [c.name, new Map()]));
+  const skipped = Object.fromEntries(COLLECTIONS.map((c) => [c.name, new Set()]));
+  const steps = [];
+  for (const spec of COLLECTIONS) {
+    for (const record of data[spec.name] || []) {
+      let action;
+      let id = record.id;
+      const existing = await store.get(spec.name, record.id);
+      const parentId = spec.parent && record[spec.parent];
+      const parents = spec.parent && spec.refs[spec.parent];
+      if (parentId && skipped[parents].has(parentId)) {
+        action = 'skip';
+      } else if (parentId && !ids[parents].has(parentId) && !(await owns(store, userId, parents, parentId))) {
+        action = 'skip';
+        warnings.push(`${spec.name} ${record.id}: skipped, its ${spec.parent} ${parentId} is not in the archive or workspace`);
+      } else if (!existing) {
+        action = 'create';
+      } else if (existing.userId === userId && strategy !== 'duplicate') {
+        action = strategy;
+      } else {
+        action = 'duplicate';
+        id = generateId(spec.prefix);
+      }
+      if (action === 'skip') skipped[spec.name].add(record.id);
+      // A skipped record's references resolve to the one already stored
+      // if it is the caller's, not if it was skipped for its parent.
+      if (action !== 'skip' || (existing && existing.userId === userId)) ids[spec.name].set(record.id, id);
+      steps.push({ spec, record, action, id, existing });
+    }
+  }
+  return { steps, ids };
+}
+
+// Point a record's references at the imported IDs, or at records the
+// caller already owns; drop the rest.
+async function rewire(store, userId, spec, record, ids, warnings) {
+  const result = { ...record };
+  for (const [field, target] of Object.entries(spec.refs)) {
+    const ref = record[field];
+    if (ref === undefined || ref === null) continue;
+    if (ids[target].has(ref)) {
+      result[field] = ids[target].get(ref);
+      continue;
+    }
+    if (await owns(store, userId, target, ref)) continue;
+    delete result[field];
+    warnings.push(`${spec.name} ${record.id}: dropped ${field} ${ref}, which is not in the archive or workspace`);
+  }
+  return result;
+}
+
+// Remove what hangs off a record being overwritten, so the archive's
+// history replaces it rather than mixing with it.
+async function removeDependents(store, spec, id) {
+  for (const child of COLLECTIONS) {
+    if (!child.parent || child.refs[child.parent] !== spec.name) continue;
+    for (const record of await store.list(child.name, { [child.parent]: id })) {
+      await removeDependents(store, child, record.id);
+      await store.remove(child.name, record.id);
+    }
+  }
+}
+
+/**
+ * Merge an archive into the caller's workspace.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} userId - Becomes the owner of every imported record.
+ * @param {object} archive - As produced by exportWorkspace().
+ * @param {object} [options]
+ * @param {string} [options.strategy] - skip (default), overwrite or duplicate.
+ * @param {boolean} [options.dryRun] - Report without writing anything.
+ * @returns {Promise<object>} `{ dryRun, strategy, summary, remapped,
+ *   warnings }`: per collection counts of created, overwritten,
+ *   duplicated and skipped records, and the new ID of every record
+ *   stored under a different ID.
+ * @throws {ValidationError} 400 listing the invalid record fields.
+ * @throws {HttpError} 400 for an invalid archive or strategy.
+ */
+async function importWorkspace(store, userId, archive, options = {}) {
+  const strategy = options.strategy === undefined ? 'skip' : options.strategy;
+  if (!STRATEGIES.includes(strategy)) {
+    throw new HttpError(400, `strategy must be one of ${STRATEGIES.join(', ')}`);
+  }
+  const dryRun = options.dryRun === true;
+  const data = validateArchive(archive);
+  const warnings = [];
+  const { steps, ids } = await plan(store, userId, data, strategy, warnings);
+
+  const summary = {};
+  const remapped = {};
+  for (const { spec, record, action, id } of steps) {
+    summary[spec.name] = summary[spec.name] || { created: 0, overwritten: 0, duplicated: 0, skipped: 0 };
+    summary[spec.name][{ create: 'created', overwrite: 'overwritten', duplicate: 'duplicated', skip: 'skipped' }[action]] += 1;
+    if (id !== record.id) {
+      remapped[spec.name] = remapped[spec.name] || {};
+      remapped[spec.name][record.id] = id;
+    }
+    if (action === 'skip') continue;
+
+    const imported = await rewire(store, userId, spec, record, ids, warnings);
+    imported.id = id;
+    imported.userId = userId;
+    const reviewed = spec.name === 'scripts' && scriptStatus(record) !== INITIAL_STATUS;
+    if (spec.name === 'scripts') {
+      imported.status = INITIAL_STATUS;
+      if (reviewed) warnings.push(`scripts ${record.id}: was ${record.status}; imported as a draft to be reviewed again`);
+    }
+    if (spec.name === 'revisions') imported.origin = normalizeOrigin(imported.origin);
+    if (spec.name === 'references') {
+      imported.chunks = referenceChunks(imported.content);
+      imported.indexedAt = new Date().toISOString();
+    }
+    if (spec.name === 'research' && imported.status === 'running') {
+      Object.assign(imported, {
+        status: 'failed',
+        stage: null,
+        error: { error: 'The job was still running when the workspace was exported' },
+      });
+    }
+    if (dryRun) continue;
+    if (action === 'overwrite') {
+      await removeDependents(store, spec, id);
+      await store.remove(spec.name, id);
+    }
+    await store.insert(spec.name, imported);
+    if (reviewed) {
+      await recordEvent(store, imported, {
+        author: userId, type: 'status', from: record.status, to: INITIAL_STATUS, note: 'Imported from a workspace archive',
+      });
+    }
+  }
+  // Imported records bypass scripts.js and programmes.js.
+  if (!dryRun) forgetIndex(store);
+  return { dryRun, strategy, summary, remapped, warnings };
+}
+
+/**
+ * Read an import request.  The body is either the archive itself, with
+ * `?strategy=` and `?dryRun=true` in the query string, or
+ * `{ archive, strategy, dryRun }`.
+ *
+ * @returns {{archive: object, options: object}}
+ */
+function parseImportRequest(body, query = {}) {
+  if (body && typeof body === 'object' && body.archive !== undefined && body.format === undefined) {
+    return { archive: body.archive, options: { strategy: body.strategy, dryRun: body.dryRun === true } };
+  }
+  return {
+    archive: body,
+    options: { strategy: query.strategy, dryRun: query.dryRun === 'true' || query.dryRun === '1' },
+  };
+}
+
+module.exports = { STRATEGIES, exportWorkspace, importWorkspace, parseImportRequest };
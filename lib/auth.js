@@ -0,0 +1,257 @@
+/*
+ * Bearer token verification for both servers.
+ *
+ * Tokens are JSON Web Tokens verified with Node's crypto module:
+ *
+ *   HS256         against a shared secret (AUTH_JWT_SECRET);
+ *   RS256, ES256  against a JSON Web Key Set loaded from a local file
+ *                 (AUTH_JWKS_FILE) or a URL (AUTH_JWKS_URL), cached for
+ *                 AUTH_JWKS_CACHE_SECONDS (default 3600) or the URL's
+ *                 Cache-Control max-age.  A URL that does not answer
+ *                 within AUTH_JWKS_TIMEOUT_MS (default 5000) fails the
+ *                 request with a 503 unless earlier keys are cached;
+ *                 those are then used for another minute before the
+ *                 URL is tried again.  Concurrent requests share one
+ *                 fetch.
+ *
+ * `exp` and `nbf` are always checked, allowing AUTH_CLOCK_TOLERANCE
+ * seconds (default 30) of clock skew.  `iss` and `aud` are checked
+ * when AUTH_ISSUER / AUTH_AUDIENCE are set (comma separated lists are
+ * accepted).  The user id is read from the claim named by
+ * AUTH_UID_CLAIM (default `sub`).
+ *
+ * Firebase ID tokens:
+ *   AUTH_JWKS_URL=https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com
+ *   AUTH_ISSUER=https://securetoken.google.com/<project-id>
+ *   AUTH_AUDIENCE=<project-id>
+ *
+ * Supabase access tokens:
+ *   AUTH_JWKS_URL=https://<project-ref>.supabase.co/auth/v1/.well-known/jwks.json
+ *   AUTH_ISSUER=https://<project-ref>.supabase.co/auth/v1
+ *   AUTH_AUDIENCE=authenticated
+ *   (projects still on a shared JWT secret use AUTH_JWT_SECRET instead)
+ *   (their tokens do not say the email is verified; see
+ *   SHARING_UNVERIFIED_EMAILS in sharing.js for email invitations)
+ *
+ * If neither a secret nor a JWKS is configured every token is
+ * rejected, unless AUTH_INSECURE_DEV_USER names a user id to assume
+ * for any bearer token.  That switch exists for local development
+ * only and must never be set in production.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { HttpError } = require('./errors');
+const { log } = require('./log');
+
+/**
+ * A token that could not be verified.  `reason` is safe to show to
+ * the client; it never includes the token itself.
+ */
+class AuthError extends Error {
+  constructor(reason) {
+    super(`Invalid authorization token: ${reason}`);
+    this.name = 'AuthError';
+    this.reason = reason;
+  }
+}
+
+function list(value) {
+  return value ? String(value).split(',').map((v) => v.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Read the verification settings from the environment.
+ *
+ * @param {object} [env] - Defaults to process.env.
+ * @returns {object}
+ */
+function authConfig(env = process.env) {
+  return {
+    secret: env.AUTH_JWT_SECRET || null,
+    jwksFile: env.AUTH_JWKS_FILE || null,
+    jwksUrl: env.AUTH_JWKS_URL || null,
+    jwksCacheSeconds: Number(env.AUTH_JWKS_CACHE_SECONDS || 3600),
+    jwksTimeoutMs: Number(env.AUTH_JWKS_TIMEOUT_MS || 5000),
+    issuers: list(env.AUTH_ISSUER),
+    audiences: list(env.AUTH_AUDIENCE),
+    uidClaim: env.AUTH_UID_CLAIM || 'sub',
+    clockTolerance: Number(env.AUTH_CLOCK_TOLERANCE || 30),
+    insecureDevUser: env.AUTH_INSECURE_DEV_USER || null,
+  };
+}
+
+/* ------------------------------------------------------------------
+ * JWKS loading and caching
+ */
+
+// Cache keyed by file path or URL: { keys: Map(kid -> KeyObject), expires }.
+const jwksCache = new Map();
+// Unknown `kid`s trigger a refetch (keys rotate), but at most this often.
+const MIN_REFETCH_MS = 60 * 1000;
+
+function importJwks(jwks) {
+  const keys = new Map();
+  for (const jwk of (jwks && jwks.keys) || []) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      keys.set(jwk.kid || '', { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg: jwk.alg });
+    } catch (err) {
+      log.warn('Skipping unusable JWK', { kid: jwk.kid || '', err });
+    }
+  }
+  return keys;
+}
+
+function maxAge(response) {
+  const match = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return match ? Number(match[1]) : null;
+}
+
+async function fetchJwks(config) {
+  if (config.jwksFile) {
+    const text = await fs.promises.readFile(config.jwksFile, 'utf8');
+    return { keys: importJwks(JSON.parse(text)), ttl: config.jwksCacheSeconds };
+  }
+  const response = await fetch(config.jwksUrl, { signal: AbortSignal.timeout(config.jwksTimeoutMs) });
+  if (!response.ok) throw new Error(`JWKS request failed with HTTP ${response.status}`);
+  const ttl = maxAge(response);
+  return { keys: importJwks(await response.json()), ttl: ttl === null ? config.jwksCacheSeconds : ttl };
+}
+
+// Loads in progress by file path or URL, shared by every request that
+// needs the key set meanwhile.
+const jwksLoads = new Map();
+
+// Fetch the key set for `source` and cache it.  If the refresh fails,
+// the previous key set keeps being served and the next attempt waits
+// MIN_REFETCH_MS, so requests do not each wait for the timeout.
+function loadJwks(config, source) {
+  if (jwksLoads.has(source)) return jwksLoads.get(source);
+  const load = fetchJwks(config).then(({ keys, ttl }) => {
+    const now = Date.now();
+    const entry = { keys, fetchedAt: now, expires: now + ttl * 1000 };
+    jwksCache.set(source, entry);
+    return entry;
+  }, (err) => {
+    const previous = jwksCache.get(source);
+    // The token may well be valid, so this is not the caller's fault.
+    if (!previous) {
+      log.error('JWKS load failed', { err });
+      throw new HttpError(503, 'Unable to verify tokens: signing keys are unavailable');
+    }
+    log.error('JWKS refresh failed', { err });
+    const now = Date.now();
+    previous.fetchedAt = now;
+    previous.expires = Math.max(previous.expires, now + MIN_REFETCH_MS);
+    return previous;
+  }).finally(() => jwksLoads.delete(source));
+  jwksLoads.set(source, load);
+  return load;
+}
+
+// Return the key for `kid`, loading or refreshing the key set as needed.
+async function jwksKey(config, kid) {
+  const source = config.jwksFile || config.jwksUrl;
+  const now = Date.now();
+  let entry = jwksCache.get(source);
+  const stale = !entry || entry.expires <= now;
+  const unknown = entry && !entry.keys.has(kid || '') && now - entry.fetchedAt >= MIN_REFETCH_MS;
+  if (stale || unknown) entry = await loadJwks(config, source);
+  if (kid) return entry.keys.get(kid) || null;
+  // Tokens without `kid` are accepted only if the set has a single key.
+  return entry.keys.size === 1 ? entry.keys.values().next().value : null;
+}
+
+/* ------------------------------------------------------------------
+ * Verification
+ */
+
+function decodeSegment(segment, what) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (_err) {
+    throw new AuthError(`malformed ${what}`);
+  }
+}
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', type: 'rsa' },
+  ES256: { hash: 'sha256', type: 'ec', dsaEncoding: 'ieee-p1363' },
+};
+
+async function verifySignature(header, signingInput, signature, config) {
+  if (header.alg === 'HS256') {
+    if (!config.secret) throw new AuthError('HS256 tokens are not accepted');
+    const expected = crypto.createHmac('sha256', config.secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) throw new AuthError(`unsupported algorithm ${header.alg}`);
+  if (!config.jwksFile && !config.jwksUrl) throw new AuthError(`${header.alg} tokens are not accepted`);
+  const entry = await jwksKey(config, header.kid);
+  if (!entry) throw new AuthError('unknown signing key');
+  // Never let the token pick a weaker algorithm than its key allows.
+  if (entry.alg && entry.alg !== header.alg) throw new AuthError('algorithm does not match key');
+  if (entry.key.asymmetricKeyType !== algorithm.type) throw new AuthError('algorithm does not match key');
+  const options = { key: entry.key };
+  if (algorithm.dsaEncoding) options.dsaEncoding = algorithm.dsaEncoding;
+  return crypto.verify(algorithm.hash, Buffer.from(signingInput), options, signature);
+}
+
+function checkClaims(claims, config) {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = config.clockTolerance;
+  if (claims.exp === undefined) throw new AuthError('missing exp');
+  if (typeof claims.exp !== 'number' || now - tolerance >= claims.exp) throw new AuthError('token expired');
+  if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now + tolerance < claims.nbf)) {
+    throw new AuthError('token not yet valid');
+  }
+  if (config.issuers.length && !config.issuers.includes(claims.iss)) throw new AuthError('unexpected issuer');
+  if (config.audiences.length) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.some((aud) => config.audiences.includes(aud))) throw new AuthError('unexpected audience');
+  }
+}
+
+/**
+ * Verify a compact JWT and return the authenticated user.
+ *
+ * @param {string} token
+ * @param {object} [config] - See authConfig().
+ * @returns {Promise<{uid: string, email: (string|null), claims: object}>}
+ * @throws {AuthError} If the token is not valid.
+ * @throws {HttpError} 503 if the signing keys could not be loaded.
+ */
+async function verifyToken(token, config = authConfig()) {
+  if (!config.secret && !config.jwksFile && !config.jwksUrl) {
+    if (config.insecureDevUser) return { uid: config.insecureDevUser, email: null, claims: {} };
+    throw new AuthError('token verification is not configured');
+  }
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new AuthError('malformed token');
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment, 'header');
+  const claims = decodeSegment(payloadSegment, 'payload');
+  const signature = Buffer.from(signatureSegment, 'base64url');
+  const valid = await verifySignature(header, `${headerSegment}.${payloadSegment}`, signature, config);
+  if (!valid) throw new AuthError('bad signature');
+  checkClaims(claims, config);
+  const uid = claims[config.uidClaim];
+  if (typeof uid !== 'string' || !uid) throw new AuthError(`missing ${config.uidClaim} claim`);
+  return { uid, email: typeof claims.email === 'string' ? claims.email : null, claims };
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Bearer ')) return null;
+  return authHeader.slice('Bearer '.length).trim() || null;
+}
+
+module.exports = { AuthError, authConfig, bearerToken, verifyToken };
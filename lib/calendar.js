@@ -0,0 +1,170 @@
+/*
+ * Episode calendar: a programme's scripts that have an `airDate`, in
+ * air order, as JSON or as an iCalendar file (RFC 5545) that calendar
+ * apps can import or subscribe to.
+ *
+ * A calendar‑day air date becomes an all‑day event; a date‑time
+ * becomes an event lasting the programme's episodeLength (see
+ * duration.js), or 30 minutes if that cannot be parsed.  Events are
+ * tentative until the script is approved.
+ */
+
+const { parseDuration } = require('./duration');
+const { HttpError } = require('./errors');
+const { scriptTitle } = require('./export');
+const { getProgramme } = require('./programmes');
+const { scriptStatus } = require('./workflow');
+
+const DEFAULT_EVENT_SECONDS = 30 * 60;
+const CONFIRMED = ['approved', 'recorded', 'aired'];
+const STATUS_LABELS = {
+  draft: 'مسودة',
+  in_review: 'قيد المراجعة',
+  approved: 'معتمد',
+  recorded: 'مسجل',
+  aired: 'تم البث',
+};
+
+function checkDate(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(new Date(value).getTime())) {
+    throw new HttpError(400, `${name} must be an ISO date`);
+  }
+  return value;
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {object} [options]
+ * @param {string} [options.from] - Earliest air date, inclusive.
+ * @param {string} [options.to] - Latest air date, inclusive.
+ * @returns {Promise<object>} `{ programme: { id, name, episodeLength },
+ *   entries }`, each entry `{ scriptId, title, topic, airDate, status }`.
+ * @throws {HttpError} 404 for an unknown programme, 400 for a bad date.
+ */
+async function programmeCalendar(store, userId, programmeId, options = {}) {
+  const programme = await getProgramme(store, userId, programmeId);
+  if (!programme) throw new HttpError(404, 'Programme not found');
+  const from = checkDate(options.from, 'from');
+  const to = checkDate(options.to, 'to');
+  // Compare calendar days so a date-time falls on its day.
+  const day = (value) => value.slice(0, 10);
+  const entries = (await store.list('scripts', { programmeId }))
+    .filter((s) => s.airDate)
+    .filter((s) => (!from || day(s.airDate) >= day(from)) && (!to || day(s.airDate) <= day(to)))
+    .sort((a, b) => a.airDate.localeCompare(b.airDate))
+    .map((s) => ({
+      scriptId: s.id,
+      title: scriptTitle(s),
+      topic: s.topic || null,
+      airDate: s.airDate,
+      status: scriptStatus(s),
+      updatedAt: s.updatedAt || s.createdAt,
+    }));
+  return {
+    programme: { id: programme.id, name: programme.name, episodeLength: programme.episodeLength || null },
+    entries,
+  };
+}
+
+/* ------------------------------------------------------------------
+ * iCalendar
+ */
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold a content line to at most 75 octets, never inside a character.
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function dateValue(day) {
+  return day.replace(/-/g, '');
+}
+
+function eventLines(entry, programme, now) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.scriptId}@creative-studio`,
+    `DTSTAMP:${utcStamp(now)}`,
+  ];
+  if (entry.airDate.length === 10) {
+    const next = new Date(`${entry.airDate}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${dateValue(entry.airDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${dateValue(next.toISOString().slice(0, 10))}`);
+  } else {
+    const start = new Date(entry.airDate);
+    const seconds = parseDuration(programme.episodeLength) || DEFAULT_EVENT_SECONDS;
+    lines.push(`DTSTART:${utcStamp(start)}`);
+    lines.push(`DTEND:${utcStamp(new Date(start.getTime() + seconds * 1000))}`);
+  }
+  const description = [`الحالة: ${STATUS_LABELS[entry.status]}`];
+  if (entry.topic) description.push(`الموضوع: ${entry.topic}`);
+  lines.push(
+    `SUMMARY:${escapeText(`${programme.name}: ${entry.title}`)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${CONFIRMED.includes(entry.status) ? 'CONFIRMED' : 'TENTATIVE'}`,
+  );
+  if (entry.updatedAt) lines.push(`LAST-MODIFIED:${utcStamp(new Date(entry.updatedAt))}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render a calendar from programmeCalendar() for download.
+ *
+ * @param {object} calendar
+ * @returns {{contentType: string, disposition: string, body: string}}
+ */
+function toICalendar(calendar) {
+  const { programme, entries } = calendar;
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Creative Studio//Episode Calendar//AR',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(programme.name)}`,
+    ...entries.flatMap((entry) => eventLines(entry, programme, now)),
+    'END:VCALENDAR',
+  ];
+  const name = String(programme.name).replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 80) || 'calendar';
+  const ascii = name.replace(/[^\x20-\x7E]+/g, '').trim().replace(/\s+/g, '-');
+  const fallback = /[A-Za-z0-9]/.test(ascii) ? ascii : 'calendar';
+  return {
+    contentType: 'text/calendar; charset=utf-8',
+    disposition: `attachment; filename="${fallback}.ics"; filename*=UTF-8''${encodeURIComponent(`${name}.ics`)}`,
+    body: `${lines.map(fold).join('\r\n')}\r\n`,
+  };
+}
+
+module.exports = { programmeCalendar, toICalendar };
@@ -0,0 +1,291 @@
+/*
+ * Multi‑turn chat sessions.
+ *
+ * A session belongs to a user and may be tied to one of their
+ * programmes, which sets the assistant's system prompt (the `chat`
+ * template, see prompts.js) with the passages of its reference library
+ * most relevant to each message (see references.js), and to a script,
+ * whose current content is included so the assistant can rewrite it.  Messages are stored in
+ * their own collection and sent to the provider as a conversation in
+ * its native multi‑turn format (see providers.toConversation).
+ *
+ * Only the most recent messages that fit CHAT_CONTEXT_TOKENS (an
+ * estimate, default 12000) are sent; older ones stay stored but are
+ * left out of the request.  An assistant reply can be applied to the
+ * session's script, which saves it as a new revision.
+ */
+
+const { normalizeSources } = require('./citations');
+const { HttpError } = require('./errors');
+const { DEFAULT_MAX_TOKENS } = require('./models');
+const { getProgramme } = require('./programmes');
+const { buildPrompt } = require('./prompts');
+const { generate, resolveProvider } = require('./providers');
+const { retrievePassages, usedReferences } = require('./references');
+const { getScript, updateScript } = require('./scripts');
+const { generateId } = require('./storage');
+
+const SESSIONS = 'chatSessions';
+const MESSAGES = 'chatMessages';
+const DEFAULT_CONTEXT_TOKENS = 12000;
+// Room left for the reply: the output limit every call gets by default.
+const REPLY_TOKENS = DEFAULT_MAX_TOKENS;
+
+function contextBudget() {
+  const value = parseInt(process.env.CHAT_CONTEXT_TOKENS, 10);
+  return value > 0 ? value : DEFAULT_CONTEXT_TOKENS;
+}
+
+// A rough token count.  Tokenizers differ per provider; Arabic text
+// averages well under four characters per token, so three is used to
+// stay on the safe side.
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 3);
+}
+
+/* ------------------------------------------------------------------
+ * Sessions
+ */
+
+async function requireSession(store, userId, id) {
+  const session = await store.get(SESSIONS, id);
+  if (!session || session.userId !== userId) throw new HttpError(404, 'Chat session not found');
+  return session;
+}
+
+// Check that the programme and script a session links to are ones the
+// caller can read.
+async function checkLinks(store, userId, { programmeId, scriptId }) {
+  if (programmeId !== undefined && !(await getProgramme(store, userId, programmeId))) {
+    throw new HttpError(404, 'Programme not found');
+  }
+  if (scriptId !== undefined && !(await getScript(store, userId, scriptId))) {
+    throw new HttpError(404, 'Script not found');
+  }
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {object} [filter] - `programmeId` and/or `scriptId` to match.
+ * @returns {Promise<object[]>} The user's sessions, most recently
+ *   created first.
+ */
+async function listSessions(store, userId, filter = {}) {
+  const query = { userId };
+  if (filter.programmeId) query.programmeId = filter.programmeId;
+  if (filter.scriptId) query.scriptId = filter.scriptId;
+  return store.list(SESSIONS, query);
+}
+
+/**
+ * @param {object} fields - `{ title, programmeId, scriptId, model }`.
+ *   `model` is the default provider for the session's messages.
+ */
+async function createSession(store, userId, fields) {
+  const { title, programmeId, scriptId, model } = fields;
+  const provider = model === undefined ? 'gemini' : resolveProvider(model);
+  if (!provider) throw new HttpError(400, 'Unsupported model');
+  await checkLinks(store, userId, { programmeId, scriptId });
+  const now = new Date().toISOString();
+  return store.insert(SESSIONS, {
+    id: generateId('chat'),
+    userId,
+    ...(programmeId !== undefined ? { programmeId } : {}),
+    ...(scriptId !== undefined ? { scriptId } : {}),
+    title: typeof title === 'string' && title.trim() ? title.trim() : null,
+    provider,
+    messageCount: 0,
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+// Stored messages, oldest first.
+async function sessionMessages(store, sessionId) {
+  return (await store.list(MESSAGES, { sessionId })).reverse();
+}
+
+/**
+ * @returns {Promise<object>} The session with its `messages`, oldest first.
+ * @throws {HttpError} 404 if it does not exist or belongs to someone else.
+ */
+async function getSession(store, userId, id) {
+  const session = await requireSession(store, userId, id);
+  return { ...session, messages: await sessionMessages(store, id) };
+}
+
+async function deleteSession(store, userId, id) {
+  await requireSession(store, userId, id);
+  for (const message of await store.list(MESSAGES, { sessionId: id })) {
+    await store.remove(MESSAGES, message.id);
+  }
+  await store.remove(SESSIONS, id);
+}
+
+/* ------------------------------------------------------------------
+ * Conversation
+ */
+
+function scriptContext(script) {
+  if (!script) return '';
+  return `
+**النص الحالي للحلقة${script.topic ? ` (${script.topic})` : ''}:**
+---
+${script.content || ''}
+---
+عندما يطلب المستخدم تعديل النص، أعد كتابة النص **بالكامل** مع تطبيق التعديل المطلوب، دون أي مقدمة أو تعليق، وحافظ على المصادر على شكل روابط هايبرلينك بصيغة ماركداون.`;
+}
+
+// The system prompt for a message, and the reference passages in it.
+async function systemPrompt(store, session, content) {
+  const programme = session.programmeId
+    ? await getProgramme(store, session.userId, session.programmeId)
+    : null;
+  const script = session.scriptId ? await getScript(store, session.userId, session.scriptId) : null;
+  if (programme) {
+    const passages = await retrievePassages(store, programme.id, content);
+    const system = buildPrompt('chat', programme, { scriptContext: scriptContext(script), passages });
+    return { system, references: usedReferences(passages) };
+  }
+  return {
+    system: `أنت مساعد إبداعي متخصص في كتابة محتوى الفيديو القصير. ساعد المستخدم في تطوير الأفكار، كتابة أجزاء من النصوص، والإجابة على أسئلته.${scriptContext(script)}`,
+    references: [],
+  };
+}
+
+/**
+ * Pick the most recent messages that fit the budget, starting with a
+ * user turn, and merge consecutive turns from the same role so the
+ * conversation alternates as every provider expects.
+ *
+ * @param {object[]} history - Stored messages, oldest first, ending
+ *   with the new user message.
+ * @param {number} budget - Tokens available for the messages.
+ * @returns {{messages: object[], omitted: number}} The conversation
+ *   and how many stored messages were left out.
+ */
+function trimHistory(history, budget) {
+  let start = history.length - 1;
+  let used = estimateTokens(history[start].content);
+  while (start > 0 && used + estimateTokens(history[start - 1].content) <= budget) {
+    start -= 1;
+    used += estimateTokens(history[start].content);
+  }
+  while (start < history.length - 1 && history[start].role !== 'user') start += 1;
+
+  const messages = [];
+  for (const { role, content } of history.slice(start)) {
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.content += `\n\n${content}`;
+    else messages.push({ role, content });
+  }
+  return { messages, omitted: start };
+}
+
+/**
+ * Send a user message and store it with the assistant's reply.  Both
+ * are only stored once the provider has answered, so a failed call
+ * leaves the history unchanged.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} id - Session ID.
+ * @param {object} body - `{ content, model }`; `model` overrides the
+ *   session's provider for this message.
+ * @returns {Promise<{message: object, reply: object, omitted: number}>}
+ *   `omitted` is the number of earlier messages that did not fit the
+ *   context budget; the reply's `references` lists the reference
+ *   passages in the system prompt.
+ */
+async function sendMessage(store, userId, id, body) {
+  const session = await requireSession(store, userId, id);
+  const content = typeof body.content === 'string' ? body.content.trim() : '';
+  if (!content) throw new HttpError(400, 'Missing content');
+  const provider = body.model === undefined ? session.provider : resolveProvider(body.model);
+  if (!provider) throw new HttpError(400, 'Unsupported model');
+
+  const { system, references } = await systemPrompt(store, session, content);
+  const history = [...await sessionMessages(store, id), { role: 'user', content }];
+  const budget = Math.max(contextBudget() - REPLY_TOKENS - estimateTokens(system), 0);
+  const { messages, omitted } = trimHistory(history, budget);
+  const envelope = await generate(provider, { system, messages });
+
+  const message = await store.insert(MESSAGES, {
+    id: generateId('message'),
+    sessionId: id,
+    userId,
+    role: 'user',
+    content,
+    createdAt: new Date().toISOString(),
+  });
+  const reply = await store.insert(MESSAGES, {
+    id: generateId('message'),
+    sessionId: id,
+    userId,
+    role: 'assistant',
+    content: envelope.text,
+    provider: envelope.provider,
+    model: envelope.model,
+    finishReason: envelope.finishReason,
+    usage: envelope.usage,
+    sources: envelope.sources,
+    references,
+    createdAt: new Date().toISOString(),
+  });
+  await store.update(SESSIONS, id, {
+    title: session.title || content.substring(0, 60),
+    messageCount: (session.messageCount || 0) + 2,
+    updatedAt: reply.createdAt,
+  });
+  return { message, reply, omitted };
+}
+
+// A reply the model wrapped in a code fence despite the instructions.
+function unfence(text) {
+  const match = /^\s*```[^\n]*\n([\s\S]*?)\n```\s*$/.exec(text);
+  return match ? match[1] : text.trim();
+}
+
+/**
+ * Save an assistant reply as a new revision of the session's script,
+ * with the reply's sources added to the script's.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} id - Session ID.
+ * @param {object} body - `{ messageId }`; defaults to the latest reply.
+ * @returns {Promise<object>} The updated script.
+ * @throws {HttpError} 400 if the session has no script, 404 for an
+ *   unknown message or script.
+ */
+async function applyToScript(store, userId, id, body = {}) {
+  const session = await requireSession(store, userId, id);
+  if (!session.scriptId) throw new HttpError(400, 'Chat session is not linked to a script');
+  const replies = await store.list(MESSAGES, { sessionId: id, role: 'assistant' });
+  const reply = body.messageId ? replies.find((m) => m.id === body.messageId) : replies[0];
+  if (!reply) throw new HttpError(404, 'Message not found');
+  const script = await getScript(store, userId, session.scriptId, 'edit');
+  if (!script) throw new HttpError(404, 'Script not found');
+
+  return updateScript(store, userId, script.id, {
+    content: unfence(reply.content),
+    sources: normalizeSources([...(script.sources || []), ...(reply.sources || [])]),
+    origin: {
+      type: 'chat',
+      sessionId: id,
+      messageId: reply.id,
+      provider: reply.provider,
+      model: reply.model,
+    },
+  });
+}
+
+module.exports = {
+  applyToScript,
+  createSession,
+  deleteSession,
+  getSession,
+  listSessions,
+  sendMessage,
+};
@@ -0,0 +1,68 @@
+/*
+ * Citation normalization.  Models cite the same page in many forms –
+ * with and without `www.`, a trailing slash, tracking parameters or a
+ * fragment – and often title it with nothing but its host name.
+ * normalizeSources() reduces any list of citations to one `{ uri,
+ * title }` record per page.
+ */
+
+// Query parameters that only track where a click came from.
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src)$/i;
+
+/**
+ * Canonical form of a source URL: http(s) only, no fragment, no
+ * tracking parameters and no trailing slash.
+ *
+ * @param {string} uri
+ * @returns {string|null} null if `uri` is not an http(s) URL.
+ */
+function normalizeUri(uri) {
+  let url;
+  try {
+    url = new URL(String(uri || '').trim());
+  } catch (_err) {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  url.hash = '';
+  for (const key of Array.from(url.searchParams.keys())) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+  return url.toString();
+}
+
+// http and https, and a leading `www.`, point at the same page.
+function sourceKey(uri) {
+  return uri.replace(/^https?:\/\/(www\.)?/i, '');
+}
+
+/**
+ * Normalize and de‑duplicate citations.  The first occurrence of a URL
+ * is kept, but a real title found later replaces a title that is only
+ * the URL or its host name.
+ *
+ * @param {object[]} sources - Anything with `uri` (or `url`) and `title`.
+ * @returns {{uri: string, title: string}[]}
+ */
+function normalizeSources(sources) {
+  const byKey = new Map();
+  for (const source of sources || []) {
+    if (!source) continue;
+    const uri = normalizeUri(source.uri || source.url);
+    if (!uri) continue;
+    const host = new URL(uri).hostname;
+    const title = typeof source.title === 'string' ? source.title.trim() : '';
+    const key = sourceKey(uri);
+    const existing = byKey.get(key);
+    const placeholder = (t) => !t || sourceKey(`https://${t}`) === sourceKey(`https://${host}`) || t === uri;
+    if (!existing) {
+      byKey.set(key, { uri, title: title || host });
+    } else if (placeholder(existing.title) && !placeholder(title)) {
+      existing.title = title;
+    }
+  }
+  return Array.from(byKey.values());
+}
+
+module.exports = { normalizeSources, normalizeUri };
@@ -0,0 +1,168 @@
+/*
+ * Review comments anchored to a range of a script's text.
+ *
+ * A comment stores the range (`start`, `end`, as UTF‑16 offsets into
+ * the content) and the text it covered (`quote`) at the revision it
+ * was made on.  As the script is edited the range is found again: if
+ * the quoted text is no longer at the stored offsets, the occurrence
+ * nearest to them is used, and if it is gone altogether the comment is
+ * returned with `anchor: null` so the client can show it as detached.
+ *
+ * Anyone whose role allows commenting (see sharing.js) can comment and
+ * resolve comments; only the author can change a comment's text, and
+ * the author or an owner of the script can delete it.
+ */
+
+const { HttpError, ValidationError } = require('./errors');
+const { can } = require('./sharing');
+const { generateId } = require('./storage');
+const { assertValid } = require('./validation');
+
+const COLLECTION = 'comments';
+
+// Request body of POST /api/scripts/:id/comments (see validation.js).
+const COMMENT_SCHEMA = {
+  start: { type: 'integer', required: true, min: 0 },
+  end: { type: 'integer', required: true, min: 0 },
+  body: { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+};
+
+// Request body of PATCH /api/scripts/:id/comments/:commentId.
+const COMMENT_UPDATE_SCHEMA = {
+  body: { type: 'string', minLength: 1, maxLength: 5000 },
+  resolved: { type: 'boolean' },
+};
+
+// Where a comment's quote is in `content` now, or null.
+function locate(comment, content) {
+  const { start, end, quote } = comment;
+  if (content.slice(start, end) === quote) return { start, end };
+  let best = null;
+  for (let i = content.indexOf(quote); i !== -1; i = content.indexOf(quote, i + 1)) {
+    if (best === null || Math.abs(i - start) < Math.abs(best - start)) best = i;
+  }
+  return best === null ? null : { start: best, end: best + quote.length };
+}
+
+function withAnchor(comment, script) {
+  return { ...comment, anchor: locate(comment, String(script.content || '')) };
+}
+
+async function requireComment(store, script, commentId) {
+  const comment = await store.get(COLLECTION, commentId);
+  if (!comment || comment.scriptId !== script.id) throw new HttpError(404, 'Comment not found');
+  return comment;
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {object} script - From scripts.getScript().
+ * @param {object} [options]
+ * @param {string} [options.resolved] - `true` or `false` to filter.
+ * @returns {Promise<object[]>} The script's comments with their current
+ *   `anchor`, in text order; detached comments last.
+ */
+async function listComments(store, script, options = {}) {
+  const filter = { scriptId: script.id };
+  if (options.resolved !== undefined) {
+    if (options.resolved !== 'true' && options.resolved !== 'false') {
+      throw new HttpError(400, 'resolved must be true or false');
+    }
+    filter.resolved = options.resolved === 'true';
+  }
+  const comments = (await store.list(COLLECTION, filter)).reverse().map((c) => withAnchor(c, script));
+  const position = (c) => (c.anchor ? c.anchor.start : Infinity);
+  return comments.sort((a, b) => position(a) - position(b));
+}
+
+/**
+ * Comment on a range of the script's current content.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} script - From scripts.getScript(store, userId, id, 'comment').
+ * @param {object} body - `{ start, end, body }`.
+ * @returns {Promise<object>} The stored comment with its `anchor`.
+ * @throws {ValidationError} For an invalid body or a range outside the
+ *   content.
+ */
+async function addComment(store, userId, script, body) {
+  assertValid(COMMENT_SCHEMA, body);
+  const content = String(script.content || '');
+  if (body.end <= body.start || body.end > content.length) {
+    throw new ValidationError('Invalid request body', [
+      { field: 'end', message: `must be greater than start and at most ${content.length}` },
+    ]);
+  }
+  const comment = await store.insert(COLLECTION, {
+    id: generateId('comment'),
+    scriptId: script.id,
+    userId: script.userId,
+    author: userId,
+    revision: script.revision,
+    start: body.start,
+    end: body.end,
+    quote: content.slice(body.start, body.end),
+    body: body.body.trim(),
+    resolved: false,
+    createdAt: new Date().toISOString(),
+  });
+  return withAnchor(comment, script);
+}
+
+/**
+ * Edit a comment's text or mark it resolved.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} script - From scripts.getScript(store, userId, id, 'comment').
+ * @param {string} commentId
+ * @param {object} body - `{ body, resolved }`.
+ * @returns {Promise<object>} The updated comment with its `anchor`.
+ * @throws {HttpError} 404 for an unknown comment, 403 for editing
+ *   someone else's text.
+ */
+async function updateComment(store, userId, script, commentId, body) {
+  assertValid(COMMENT_UPDATE_SCHEMA, body);
+  const comment = await requireComment(store, script, commentId);
+  const changes = {};
+  if (body.body !== undefined) {
+    if (comment.author !== userId) throw new HttpError(403, 'Only the author can edit a comment');
+    changes.body = body.body.trim();
+  }
+  if (body.resolved !== undefined) {
+    changes.resolved = body.resolved;
+    changes.resolvedBy = body.resolved ? userId : null;
+  }
+  const updated = await store.update(COLLECTION, commentId, { ...changes, updatedAt: new Date().toISOString() });
+  return withAnchor(updated, script);
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} script - From scripts.getScript().
+ * @param {string} commentId
+ * @throws {HttpError} 404 for an unknown comment, 403 unless the caller
+ *   wrote it or can delete the script.
+ */
+async function deleteComment(store, userId, script, commentId) {
+  const comment = await requireComment(store, script, commentId);
+  if (comment.author !== userId && !can(script.role, 'delete')) {
+    throw new HttpError(403, 'Only the author or an owner can delete a comment');
+  }
+  await store.remove(COLLECTION, commentId);
+}
+
+async function deleteComments(store, scriptId) {
+  const comments = await store.list(COLLECTION, { scriptId });
+  for (const comment of comments) await store.remove(COLLECTION, comment.id);
+}
+
+module.exports = {
+  addComment,
+  deleteComment,
+  deleteComments,
+  listComments,
+  updateComment,
+};
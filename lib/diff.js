@@ -0,0 +1,145 @@
+/*
+ * Line and word level text diff.
+ *
+ * Tokens are compared with Myers' O(ND) algorithm after trimming the
+ * common prefix and suffix.  Word tokenization splits on Unicode
+ * whitespace and punctuation (`\p{P}`, which covers the Arabic comma,
+ * semicolon and question mark) rather than `\w`, which only knows
+ * ASCII letters; diacritics (tashkeel) and tatweel therefore stay
+ * attached to the word they belong to.  Text is NFC‑normalized first
+ * so that the same word typed with differently ordered marks compares
+ * equal.
+ */
+
+const GRANULARITIES = ['line', 'word'];
+
+/**
+ * Split text into diffable tokens.
+ *
+ * @param {string} text
+ * @param {string} granularity - line or word.
+ * @returns {string[]}
+ */
+function tokenize(text, granularity) {
+  const normalized = String(text || '').normalize('NFC');
+  if (!normalized) return [];
+  if (granularity === 'line') return normalized.split(/\r?\n/);
+  return normalized.match(/\s+|\p{P}|[^\s\p{P}]+/gu) || [];
+}
+
+// Beyond this many edits the texts are treated as rewritten: the trace
+// Myers needs grows with the square of the edit distance.
+const MAX_EDIT_DISTANCE = 2000;
+
+// Myers' greedy algorithm.  Returns the edit script as a list of
+// ['equal'|'delete'|'insert', token] pairs, or null if the texts differ
+// by more than MAX_EDIT_DISTANCE tokens.
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  // trace[d] holds v[k] for k in [-d-1, d+1] before step d, at index k+d+1.
+  const trace = [];
+  let found = max === 0;
+  for (let d = 0; d <= max && !found; d++) {
+    if (d > MAX_EDIT_DISTANCE) return null;
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  // Walk the trace backwards to recover the path.
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd(k - 1) < vd(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = d === 0 ? 0 : vd(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(['insert', b[y - 1]]);
+      else ops.push(['delete', a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+/**
+ * Diff two texts.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {string} [granularity] - line (default) or word.
+ * @returns {{granularity: string, changes: object[], stats: object}}
+ *   `changes` is a list of `{ type, text }` runs where type is equal,
+ *   insert or delete.  In line mode a run's text joins its lines with
+ *   `\n`.  `stats` counts inserted, deleted and unchanged tokens.
+ */
+function diffText(before, after, granularity = 'line') {
+  const a = tokenize(before, granularity);
+  const b = tokenize(after, granularity);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const ops = [
+    ...a.slice(0, start).map((t) => ['equal', t]),
+    ...(myers(a.slice(start, endA), b.slice(start, endB)) || [
+      ...a.slice(start, endA).map((t) => ['delete', t]),
+      ...b.slice(start, endB).map((t) => ['insert', t]),
+    ]),
+    ...a.slice(endA).map((t) => ['equal', t]),
+  ];
+
+  const stats = { insert: 0, delete: 0, equal: 0 };
+  const runs = [];
+  for (const [type, token] of ops) {
+    stats[type] += 1;
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.tokens.push(token);
+    else runs.push({ type, tokens: [token] });
+  }
+  const separator = granularity === 'line' ? '\n' : '';
+  return {
+    granularity,
+    changes: runs.map((r) => ({ type: r.type, text: r.tokens.join(separator) })),
+    stats: { inserted: stats.insert, deleted: stats.delete, unchanged: stats.equal },
+  };
+}
+
+module.exports = { GRANULARITIES, diffText, tokenize };
@@ -0,0 +1,84 @@
+/*
+ * Parse the free‑text durations programmes are given as
+ * `episodeLength`: "60 ثانية", "٣ دقائق", "دقيقة ونصف", "1:30",
+ * "90s", "2 min"..., and convert between words and speaking time.
+ *
+ *   SPEAKING_WPM   words of Arabic a presenter reads per minute
+ *                  (default 150)
+ */
+
+const DEFAULT_WPM = 150;
+
+// Arabic‑Indic and Persian digits, and the Arabic decimal separator.
+function westernDigits(text) {
+  return String(text || '')
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/٫/g, '.');
+}
+
+// Unit words, longest first so "دقيقتان" is not read as "دقيقة".
+const UNITS = [
+  { pattern: 'ساعتان|ساعتين', seconds: 3600, count: 2 },
+  { pattern: 'ساعات|ساعة|hours?|hrs?|h', seconds: 3600 },
+  { pattern: 'دقيقتان|دقيقتين', seconds: 60, count: 2 },
+  { pattern: 'دقائق|دقيقة|د|minutes?|mins?|m', seconds: 60 },
+  { pattern: 'ثانيتان|ثانيتين', seconds: 1, count: 2 },
+  { pattern: 'ثواني|ثوان|ثانية|ث|seconds?|secs?|s', seconds: 1 },
+];
+
+const AMOUNT = new RegExp(
+  `(\\d+(?:[.,]\\d+)?)?\\s*(?<!\\p{L})(${UNITS.map((u) => u.pattern).join('|')})(?![\\p{L}])`,
+  'giu',
+);
+
+/**
+ * @param {string} text
+ * @returns {number|null} The duration in seconds, or null if none was found.
+ */
+function parseDuration(text) {
+  const value = westernDigits(text).toLowerCase().trim();
+  if (!value) return null;
+
+  const clock = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(value);
+  if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  if (/^\d+(?:\.\d+)?$/.test(value)) return Number(value) * 60; // A bare number means minutes.
+
+  const half = /^(?:نصف|half an?)\s+(.+)$/.exec(value);
+  if (half) {
+    const whole = parseDuration(half[1]);
+    return whole && Math.round(whole / 2);
+  }
+
+  let total = 0;
+  let found = false;
+  let lastUnit = null;
+  for (const match of value.matchAll(AMOUNT)) {
+    const unit = UNITS.find((u) => new RegExp(`^(?:${u.pattern})$`, 'i').test(match[2]));
+    const amount = match[1] !== undefined ? Number(match[1].replace(',', '.')) : unit.count || 1;
+    total += amount * unit.seconds;
+    lastUnit = unit;
+    found = true;
+  }
+  // "دقيقة ونصف" / "1 minute and a half".
+  if (found && /(?:و\s*نصف|and a half)/.test(value)) total += lastUnit.seconds / 2;
+  return found && total > 0 ? Math.round(total) : null;
+}
+
+/**
+ * @returns {number} The speaking rate in words per minute.
+ */
+function speakingRate() {
+  const value = Number(process.env.SPEAKING_WPM);
+  return value > 0 ? value : DEFAULT_WPM;
+}
+
+/**
+ * @param {number} words
+ * @returns {number} Seconds it takes to read them out.
+ */
+function speakingSeconds(words) {
+  return words * 60 / speakingRate();
+}
+
+module.exports = { parseDuration, speakingRate, speakingSeconds };
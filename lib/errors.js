@@ -0,0 +1,121 @@
+/*
+ * Error types shared by both servers.  Everything in lib/ uses only
+ * Node's built‑in modules so that simple-backend-server.js can keep
+ * running without third‑party dependencies.
+ */
+
+const { STATUS_CODES } = require('http');
+
+/*
+ * HTTP status used when a ProviderError reaches a route handler.  The
+ * upstream status is not forwarded as‑is: a 401 from OpenAI means our
+ * server key is wrong, not that the caller's token is.
+ */
+const PROVIDER_ERROR_STATUS = {
+  auth: 502,
+  quota: 429,
+  rate_limited: 429,
+  safety_blocked: 422,
+  upstream_unavailable: 503,
+  timeout: 504,
+  bad_request: 400,
+  not_configured: 503,
+  upstream_error: 502,
+};
+
+/**
+ * A failed call to an upstream LLM provider, classified into one of
+ * the types in PROVIDER_ERROR_STATUS so clients can react without
+ * parsing three different error bodies.  `rate_limited` is a call our
+ * own limits refused before it was made (see usage.js); `quota` is the
+ * provider refusing ours.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} type - One of the keys of PROVIDER_ERROR_STATUS.
+   * @param {string} message - Human readable description.
+   * @param {object} [details]
+   * @param {string} [details.provider] - gemini, claude, openai or other.
+   * @param {number} [details.upstreamStatus] - HTTP status returned upstream.
+   * @param {number} [details.retryAfter] - Seconds suggested by the upstream.
+   * @param {boolean} [details.transient] - Whether trying again may
+   *   succeed (see resilience.js).
+   */
+  constructor(type, message, details = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.type = PROVIDER_ERROR_STATUS[type] ? type : 'upstream_error';
+    this.provider = details.provider;
+    this.upstreamStatus = details.upstreamStatus;
+    this.retryAfter = details.retryAfter;
+    this.transient = details.transient === true;
+  }
+
+  get status() {
+    return PROVIDER_ERROR_STATUS[this.type];
+  }
+
+  toJSON() {
+    const body = { error: this.message, type: this.type, provider: this.provider };
+    if (this.upstreamStatus) body.upstreamStatus = this.upstreamStatus;
+    if (this.retryAfter) body.retryAfter = this.retryAfter;
+    return body;
+  }
+}
+
+/**
+ * An error a route handler should report to the client as‑is, e.g. a
+ * missing record or an invalid parameter discovered inside lib/.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code.
+   * @param {string} message - Returned to the client as `error`.
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+
+  toJSON() {
+    return { error: this.message };
+  }
+}
+
+/**
+ * A request the server could not accept as sent: a body that is not
+ * valid JSON, is too large or fails its schema (see validation.js).
+ * Sent as an RFC 9457 problem details document with the content type
+ * PROBLEM_CONTENT_TYPE, listing every invalid field in `errors`;
+ * `error` repeats `detail` for clients that only read that.
+ */
+class ValidationError extends HttpError {
+  /**
+   * @param {string} message - Returned as `detail`.
+   * @param {{field: string, message: string}[]} [errors]
+   * @param {number} [status] - 400 unless the body was too large (413).
+   */
+  constructor(message, errors = [], status = 400) {
+    super(status, message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      type: 'about:blank',
+      title: STATUS_CODES[this.status],
+      status: this.status,
+      detail: this.message,
+      error: this.message,
+      errors: this.errors,
+    };
+  }
+}
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+module.exports = {
+  HttpError, PROBLEM_CONTENT_TYPE, ProviderError, PROVIDER_ERROR_STATUS, ValidationError,
+};
@@ -0,0 +1,392 @@
+/*
+ * Script export.
+ *
+ * exportScript() renders a saved script, with its programme's
+ * metadata in the header, in one of these formats:
+ *
+ *   markdown  the content followed by a numbered sources appendix
+ *   html      a standalone right‑to‑left page styled for printing
+ *   fountain  Fountain screenplay markup (https://fountain.io)
+ *   srt, vtt  teleprompter cues paced to the programme's episodeLength,
+ *             or timed at the speaking rate (see duration.js) when it
+ *             has none; SRT opens with a slate cue carrying the
+ *             metadata, VTT carries it in a NOTE
+ *
+ * Only http(s) sources are linked; any other URI is shown as text.
+ *
+ * Script content is Markdown as the models write it: `#` headings,
+ * `**bold**` and `[title](uri)` links to sources.
+ */
+
+const { normalizeUri } = require('./citations');
+const { parseDuration, speakingSeconds } = require('./duration');
+const { HttpError } = require('./errors');
+
+const FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  fountain: { contentType: 'text/plain; charset=utf-8', extension: 'fountain' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+};
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html', webvtt: 'vtt' };
+
+// Longest teleprompter cue, in words.
+const MAX_CUE_WORDS = 12;
+
+// How far cues are stretched or squeezed to fill episodeLength.  A
+// script much shorter or longer than the episode is read at the limit
+// rather than at a pace no presenter could keep.
+const MAX_PACE = 1.25;
+
+// How long the SRT slate shows the title and metadata, in milliseconds.
+const SLATE_MS = 5000;
+
+const LINK = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+
+/* ------------------------------------------------------------------
+ * Metadata
+ */
+
+// The episode title the script prompt asks for ("عنوان الحلقة: "…""),
+// or the topic.
+function scriptTitle(script) {
+  const match = /^\s*\**\s*عنوان الحلقة\s*:?\s*\**\s*["«“]?([^"»”\n]+?)["»”]?\s*\**\s*$/m.exec(script.content || '');
+  return (match && match[1].trim()) || script.topic || 'نص بدون عنوان';
+}
+
+// The title line is already in the header, so leave it out of the body.
+function body(script) {
+  return String(script.content || '')
+    .replace(/^\s*\**\s*عنوان الحلقة\s*:.*(?:\r?\n)+/, '')
+    .trim();
+}
+
+function metadata(script, programme) {
+  const p = programme || {};
+  return [
+    ['البرنامج', p.name],
+    ['النوع', p.genre],
+    ['الجمهور المستهدف', p.targetAudience],
+    ['مدة الحلقة', p.episodeLength],
+    ['الموضوع', script.topic],
+    ['المراجعة', script.revision],
+    ['التاريخ', (script.updatedAt || script.createdAt || '').slice(0, 10)],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+}
+
+function sources(script) {
+  return (script.sources || []).filter((s) => s && s.uri);
+}
+
+/* ------------------------------------------------------------------
+ * Markdown and plain text
+ */
+
+function toMarkdown(script, programme) {
+  const lines = [`# ${scriptTitle(script)}`, ''];
+  for (const [label, value] of metadata(script, programme)) lines.push(`- **${label}:** ${value}`);
+  lines.push('', '---', '', body(script));
+  const list = sources(script);
+  if (list.length) {
+    lines.push('', '---', '', '## المصادر', '');
+    list.forEach((s, i) => lines.push(`${i + 1}. [${s.title || s.uri}](${s.uri})`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Markdown reduced to the words a presenter reads out.
+function plainText(markdown) {
+  return String(markdown || '')
+    .replace(LINK, '$1')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/^\s*#+\s*/gm, '')
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/gm, '')
+    .replace(/\*\*|__|[*_`]/g, '')
+    .replace(/^\s*-{3,}\s*$/gm, '');
+}
+
+/* ------------------------------------------------------------------
+ * HTML
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function inlineHtml(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+}
+
+// Headings, lists and paragraphs; enough for what the models write.
+function blocksToHtml(markdown) {
+  const html = [];
+  let list = null;
+  const closeList = () => {
+    if (list) html.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`);
+    list = null;
+  };
+  for (const paragraph of markdown.split(/\r?\n\s*\r?\n/)) {
+    for (const line of paragraph.split(/\r?\n/)) {
+      const heading = /^\s*(#{1,6})\s+(.*)$/.exec(line);
+      const item = /^\s*(?:([-*•])|\d+[.)])\s+(.*)$/.exec(line);
+      if (item) {
+        const tag = item[1] ? 'ul' : 'ol';
+        if (!list || list.tag !== tag) {
+          closeList();
+          list = { tag, items: [] };
+        }
+        list.items.push(`<li>${inlineHtml(item[2])}</li>`);
+        continue;
+      }
+      closeList();
+      if (heading) {
+        const level = Math.min(heading[1].length + 1, 6);
+        html.push(`<h${level}>${inlineHtml(heading[2])}</h${level}>`);
+      } else if (/^\s*-{3,}\s*$/.test(line)) {
+        html.push('<hr>');
+      } else if (line.trim()) {
+        html.push(`<p>${inlineHtml(line.trim())}</p>`);
+      }
+    }
+    closeList();
+  }
+  return html.join('\n');
+}
+
+// A link to the source, or its title alone when the URI is not http(s).
+function sourceHtml(source) {
+  const title = escapeHtml(source.title || source.uri);
+  return normalizeUri(source.uri) ? `<a href="${escapeHtml(source.uri.trim())}">${title}</a>` : title;
+}
+
+function toHtml(script, programme) {
+  const title = escapeHtml(scriptTitle(script));
+  const meta = metadata(script, programme)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+  const list = sources(script);
+  const appendix = list.length
+    ? `<section class="sources"><h2>المصادر</h2><ol>${list.map((s) => (
+      `<li>${sourceHtml(s)} <bdi class="uri">${escapeHtml(s.uri)}</bdi></li>`
+    )).join('')}</ol></section>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="ar" dir="rtl">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: "Noto Naskh Arabic", "Amiri", "Times New Roman", serif; line-height: 1.8; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; }
+  p, li, dd, h1, h2, h3, h4, h5, h6 { unicode-bidi: plaintext; }
+  header { border-bottom: 1px solid #999; margin-bottom: 1.5rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2rem 1rem; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  .uri { direction: ltr; font-size: 0.8em; color: #555; word-break: break-all; }
+  @media print { a { color: inherit; text-decoration: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+<h1>${title}</h1>
+<dl>${meta}</dl>
+</header>
+<main>
+${blocksToHtml(body(script))}
+</main>
+${appendix}
+</body>
+</html>
+`;
+}
+
+/* ------------------------------------------------------------------
+ * Fountain
+ */
+
+// "المذيع: …" – a short speaker label followed by a line of dialogue.
+const SPEAKER = /^\s*\**([^:*\n]{1,30}?)\**\s*:\s*(.+)$/;
+
+function fountainInline(text) {
+  return text.replace(LINK, '$1 [[$2]]');
+}
+
+function toFountain(script, programme) {
+  const p = programme || {};
+  const titlePage = [
+    `Title: ${scriptTitle(script)}`,
+    p.name ? `Credit: ${p.name}` : null,
+    `Draft date: ${(script.updatedAt || script.createdAt || '').slice(0, 10)}`,
+    `Notes: ${metadata(script, programme).map(([label, value]) => `${label}: ${value}`).join(' | ')}`,
+  ].filter(Boolean);
+
+  const lines = [];
+  for (const line of body(script).split(/\r?\n/)) {
+    const heading = /^\s*#{1,6}\s+(.*)$/.exec(line);
+    const speaker = SPEAKER.exec(line);
+    if (heading) {
+      // Fountain only recognizes INT./EXT. headings; `.` forces one.
+      lines.push('', `.${heading[1].replace(/\*\*/g, '').trim()}`, '');
+    } else if (speaker && speaker[1].trim().split(/\s+/).length <= 3) {
+      // `@` forces a character cue, since Arabic names have no capitals.
+      lines.push('', `@${speaker[1].trim()}`, fountainInline(speaker[2].trim()), '');
+    } else if (/^\s*-{3,}\s*$/.test(line)) {
+      lines.push('', '===', '');
+    } else {
+      lines.push(fountainInline(line.replace(/^\s*(?:[-*•])\s+/, '')));
+    }
+  }
+  const list = sources(script);
+  if (list.length) {
+    lines.push('', '.المصادر', '');
+    list.forEach((s, i) => lines.push(`[[${i + 1}. ${s.title || s.uri} - ${s.uri}]]`));
+  }
+  const text = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return `${titlePage.join('\n')}\n\n${text}\n`;
+}
+
+/* ------------------------------------------------------------------
+ * Teleprompter cues
+ */
+
+/**
+ * The sentences a presenter reads out, whitespace collapsed.  Headings
+ * name sections and are not read out.
+ *
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+function spokenSentences(markdown) {
+  return plainText(String(markdown || '').replace(/^\s*#{1,6}\s.*$/gm, ''))
+    .split(/\r?\n|(?<=[.!?؟…])\s+/)
+    .map((s) => s.replace(/\s+/g, ' ').trim())
+    .filter((s) => /[\p{L}\p{N}]/u.test(s));
+}
+
+// Sentences, split further so no cue is longer than MAX_CUE_WORDS.
+function cueTexts(markdown) {
+  const cues = [];
+  for (const sentence of spokenSentences(markdown)) {
+    const words = sentence.split(' ');
+    const parts = Math.ceil(words.length / MAX_CUE_WORDS);
+    const size = Math.ceil(words.length / parts);
+    for (let i = 0; i < words.length; i += size) cues.push(words.slice(i, i + size).join(' '));
+  }
+  return cues;
+}
+
+/**
+ * Time cues back to back, each lasting as long as its words take to
+ * read out at SPEAKING_WPM (see duration.js).  When the programme's
+ * episodeLength parses, every cue is scaled so the script fills it,
+ * by no more than MAX_PACE either way; how far the script is off is
+ * reported by analysis.js.
+ *
+ * @param {object} script
+ * @param {object|null} [programme]
+ * @param {number} [offset] - Start of the first cue, in milliseconds.
+ * @returns {{cues: object[], duration: number, paced: boolean}} Cues as
+ *   `{ start, end, text }` in milliseconds; `paced` when episodeLength
+ *   set the pace.
+ */
+function timeCues(script, programme, offset = 0) {
+  const texts = cueTexts(body(script));
+  const spoken = texts.map((text) => speakingSeconds(text.split(' ').length) * 1000);
+  const natural = spoken.reduce((sum, ms) => sum + ms, 0);
+  const length = parseDuration(programme && programme.episodeLength);
+  const paced = Boolean(length && natural);
+  const scale = paced ? Math.min(MAX_PACE, Math.max(1 / MAX_PACE, length * 1000 / natural)) : 1;
+
+  let elapsed = offset;
+  const cues = texts.map((text, i) => {
+    const start = Math.round(elapsed);
+    elapsed += spoken[i] * scale;
+    return { start, end: Math.round(elapsed), text };
+  });
+  return { cues, duration: Math.round(elapsed - offset), paced };
+}
+
+function timestamp(ms, separator) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// SRT has no comment syntax, so the metadata goes in a slate: a first
+// cue shown for SLATE_MS before the script starts.
+function toSrt(script, programme) {
+  const slate = {
+    start: 0,
+    end: SLATE_MS,
+    text: [scriptTitle(script), ...metadata(script, programme).map(([l, v]) => `${l}: ${v}`)]
+      .map((line) => String(line).replace(/-->/g, '→').replace(/\s*\n\s*/g, ' '))
+      .join('\n'),
+  };
+  const { cues } = timeCues(script, programme, SLATE_MS);
+  const blocks = [slate, ...cues].map((cue, i) => (
+    `${i + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.text}`
+  ));
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Cue text is markup in WebVTT.
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function toVtt(script, programme) {
+  const { cues } = timeCues(script, programme);
+  const note = metadata(script, programme).map(([l, v]) => `${l}: ${v}`).join('\n');
+  const blocks = [
+    `WEBVTT - ${scriptTitle(script).replace(/-->/g, '→').replace(/\n/g, ' ')}`,
+    `NOTE\n${note.replace(/-->/g, '→')}`,
+    ...cues.map((cue) => `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${escapeVtt(cue.text)}`),
+  ];
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/* ------------------------------------------------------------------
+ * Entry point
+ */
+
+const RENDERERS = { markdown: toMarkdown, html: toHtml, fountain: toFountain, srt: toSrt, vtt: toVtt };
+
+// A download name from the title; Content‑Disposition carries it
+// UTF‑8 encoded, with an ASCII fallback.
+function disposition(script, extension) {
+  const name = scriptTitle(script).replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim().slice(0, 80) || 'script';
+  const ascii = name.replace(/[^\x20-\x7E]+/g, '').trim().replace(/\s+/g, '-') || 'script';
+  return `attachment; filename="${ascii}.${extension}"; filename*=UTF-8''${encodeURIComponent(`${name}.${extension}`)}`;
+}
+
+/**
+ * Render a script for download.
+ *
+ * @param {object} script - Stored script.
+ * @param {object|null} programme - Its programme, if any.
+ * @param {string} [format] - See FORMATS; defaults to markdown.
+ * @returns {{contentType: string, disposition: string, body: string}}
+ * @throws {HttpError} 400 for an unknown format.
+ */
+function exportScript(script, programme, format = 'markdown') {
+  const name = FORMAT_ALIASES[String(format).toLowerCase()] || String(format).toLowerCase();
+  if (!FORMATS[name]) {
+    throw new HttpError(400, `Unsupported export format; expected one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return {
+    contentType: FORMATS[name].contentType,
+    disposition: disposition(script, FORMATS[name].extension),
+    body: RENDERERS[name](script, programme),
+  };
+}
+
+module.exports = { FORMATS, body, exportScript, plainText, scriptTitle, spokenSentences, timeCues };
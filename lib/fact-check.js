@@ -0,0 +1,311 @@
+/*
+ * Structured fact‑checking.
+ *
+ * A check runs in two steps.  First the selected model extracts the
+ * factual claims in the text, quoting each one; the quote is then
+ * located in the text (see arabic.locate) to give the claim its
+ * character offsets, so a client can highlight it.  Then every claim
+ * is verified, by the selected model or, with `crossCheck`, by every
+ * configured provider, and each claim gets:
+ *
+ *   verdict:    supported | disputed | unverifiable
+ *   confidence: 0–1
+ *   sources:    [{ uri, title }]
+ *
+ * Reports for saved scripts are stored in the `factChecks` collection
+ * with a hash of the content they checked; once the script's content
+ * changes the report is returned with `stale: true`, since its
+ * offsets no longer match.
+ */
+
+const crypto = require('crypto');
+const { locate } = require('./arabic');
+const { normalizeSources } = require('./citations');
+const { HttpError, ProviderError } = require('./errors');
+const { parseJsonAnswer, resolveMode, sumUsage } = require('./generation');
+const { availableProviders, generate, resolveProvider } = require('./providers');
+const { generateId } = require('./storage');
+
+const COLLECTION = 'factChecks';
+const VERDICTS = ['supported', 'disputed', 'unverifiable'];
+const MAX_CLAIMS = 30;
+
+// Words models use instead of the verdicts we asked for.
+const VERDICT_ALIASES = {
+  true: 'supported',
+  correct: 'supported',
+  confirmed: 'supported',
+  false: 'disputed',
+  incorrect: 'disputed',
+  partially_true: 'disputed',
+  misleading: 'disputed',
+  unknown: 'unverifiable',
+  unverified: 'unverifiable',
+  'صحيح': 'supported',
+  'خاطئ': 'disputed',
+  'مختلف عليه': 'disputed',
+  'غير قابل للتحقق': 'unverifiable',
+};
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(String(content || '')).digest('hex');
+}
+
+/* ------------------------------------------------------------------
+ * Prompts
+ */
+
+function extractionPrompt(text) {
+  return `أنت مدقق حقائق خبير. استخرج من النص التالي الادعاءات الواقعية القابلة للتحقق (الأرقام والتواريخ والأحداث والأقوال المنسوبة والحقائق العلمية والتاريخية)، وتجاهل الآراء والأسلوب.
+
+النص:
+"""
+${text}
+"""
+
+لكل ادعاء قدّم:
+- "claim": صياغة واضحة ومستقلة للادعاء.
+- "quote": الجملة أو المقطع الذي ورد فيه الادعاء، منسوخًا حرفيًا من النص دون أي تعديل.
+
+استخرج ${MAX_CLAIMS} ادعاءً على الأكثر. أجب بمصفوفة JSON فقط، دون أي نص آخر، بالشكل التالي:
+[{"claim": "...", "quote": "..."}]`;
+}
+
+function verificationPrompt(claims) {
+  const list = claims.map((c) => `${c.id}. ${c.claim}`).join('\n');
+  return `أنت مدقق حقائق خبير. تحقق من صحة كل ادعاء من الادعاءات التالية بالاعتماد على مصادر موثوقة وحديثة:
+
+${list}
+
+لكل ادعاء قدّم:
+- "id": رقم الادعاء.
+- "verdict": "supported" إذا كانت المصادر تؤكده، أو "disputed" إذا كانت تنفيه أو تختلف عليه أو تؤكده جزئيًا فقط، أو "unverifiable" إذا لم تجد مصادر كافية.
+- "confidence": درجة ثقتك في الحكم، رقم بين 0 و 1.
+- "explanation": شرح موجز للحكم.
+- "sources": المصادر التي اعتمدت عليها بالشكل [{"title": "...", "uri": "https://..."}].
+
+أجب بمصفوفة JSON فقط، دون أي نص آخر.`;
+}
+
+/* ------------------------------------------------------------------
+ * Parsing
+ */
+
+// Claims with offsets into `text`.  A quote used twice is anchored to
+// its next occurrence; one that cannot be found gets null offsets.
+function parseClaims(answer, text) {
+  const parsed = parseJsonAnswer(answer);
+  const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.claims) ? parsed.claims : [];
+  const taken = new Map();
+  return list
+    .filter((item) => item && typeof item.claim === 'string' && item.claim.trim())
+    .slice(0, MAX_CLAIMS)
+    .map((item, i) => {
+      const quote = typeof item.quote === 'string' ? item.quote.trim() : '';
+      let span = quote ? locate(text, quote, taken.get(quote) || 0) : null;
+      if (!span && quote && taken.has(quote)) span = locate(text, quote);
+      if (span) taken.set(quote, span.end);
+      return {
+        id: i + 1,
+        claim: item.claim.trim(),
+        quote,
+        start: span ? span.start : null,
+        end: span ? span.end : null,
+      };
+    });
+}
+
+function normalizeVerdict(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (VERDICTS.includes(key)) return key;
+  return VERDICT_ALIASES[key] || VERDICT_ALIASES[String(value || '').trim()] || 'unverifiable';
+}
+
+// Accept 0–1 or a percentage; anything else counts as no confidence.
+function normalizeConfidence(value) {
+  let number = Number(value);
+  if (!Number.isFinite(number) || number < 0) return 0;
+  if (number > 1) number /= 100;
+  return Math.round(Math.min(number, 1) * 100) / 100;
+}
+
+// One provider's verdicts, keyed by claim id.
+function parseVerdicts(envelope) {
+  const parsed = parseJsonAnswer(envelope.text);
+  const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.claims) ? parsed.claims : [];
+  const verdicts = new Map();
+  for (const item of list) {
+    if (!item || !Number.isInteger(Number(item.id))) continue;
+    verdicts.set(Number(item.id), {
+      provider: envelope.provider,
+      model: envelope.model,
+      verdict: normalizeVerdict(item.verdict),
+      confidence: normalizeConfidence(item.confidence),
+      explanation: typeof item.explanation === 'string' ? item.explanation.trim() : '',
+      sources: normalizeSources(Array.isArray(item.sources) ? item.sources : []),
+    });
+  }
+  return verdicts;
+}
+
+/**
+ * Combine several providers' verdicts on one claim.  The most common
+ * verdict wins and its confidence is scaled by the share of providers
+ * that agree; a tie is reported as disputed.
+ */
+function combineVerdicts(verdicts) {
+  if (verdicts.length === 1) {
+    const { provider, model, ...only } = verdicts[0];
+    return only;
+  }
+  const counts = new Map();
+  for (const v of verdicts) counts.set(v.verdict, (counts.get(v.verdict) || 0) + 1);
+  const best = Math.max(...counts.values());
+  const leaders = Array.from(counts.keys()).filter((verdict) => counts.get(verdict) === best);
+  const verdict = leaders.length === 1 ? leaders[0] : 'disputed';
+  const agreeing = verdicts.filter((v) => v.verdict === verdict);
+  const share = agreeing.length / verdicts.length;
+  const confidence = agreeing.length
+    ? agreeing.reduce((sum, v) => sum + v.confidence, 0) / agreeing.length * share
+    : 0;
+  return {
+    verdict,
+    confidence: Math.round(confidence * 100) / 100,
+    explanation: (agreeing[0] || verdicts[0]).explanation,
+    sources: normalizeSources(verdicts.flatMap((v) => v.sources)),
+  };
+}
+
+/* ------------------------------------------------------------------
+ * Running a check
+ */
+
+function describeError(err) {
+  return err instanceof ProviderError ? err.toJSON() : { error: err.message };
+}
+
+// Which providers verify the claims, and which one extracts them.
+async function parseCheckRequest(body) {
+  const mode = body.mode === undefined ? 'single' : resolveMode(body.mode);
+  if (mode !== 'single' && mode !== 'cross_check') {
+    throw new HttpError(400, 'Fact-checking supports single or cross_check mode');
+  }
+  const crossCheck = body.crossCheck === true || mode === 'cross_check';
+  const provider = body.model ? resolveProvider(body.model) : null;
+  if (!provider && (body.model || !crossCheck)) throw new HttpError(400, 'Unsupported model');
+  if (!crossCheck) return { crossCheck, extractor: provider, verifiers: [provider] };
+  const verifiers = await availableProviders();
+  if (!verifiers.length) {
+    throw new ProviderError('not_configured', 'No LLM provider API keys are configured');
+  }
+  return { crossCheck, extractor: provider || verifiers[0], verifiers };
+}
+
+/**
+ * Extract and verify the claims in `text`.
+ *
+ * @param {string} text
+ * @param {object} body - `{ model, mode, crossCheck }` from the request.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the provider calls.
+ * @returns {Promise<object>} `{ claims, summary, providers, crossCheck,
+ *   usage }`; each claim has `id, claim, quote, start, end, verdict,
+ *   confidence, explanation, sources`, plus `verdicts` per provider
+ *   when cross‑checked.
+ * @throws {HttpError} 400 for a bad request.
+ * @throws {ProviderError} If extraction fails or no provider could
+ *   verify the claims.
+ */
+async function checkText(text, body, options = {}) {
+  if (typeof text !== 'string' || !text.trim()) throw new HttpError(400, 'Missing text');
+  const { crossCheck, extractor, verifiers } = await parseCheckRequest(body);
+  const { signal } = options;
+
+  const extraction = await generate(extractor, extractionPrompt(text), { signal });
+  const usageParts = [extraction];
+  const claims = parseClaims(extraction.text, text);
+  const providers = [];
+  if (claims.length) {
+    const prompt = verificationPrompt(claims);
+    const verifyOptions = crossCheck ? { fallback: [], signal } : { signal };
+    const settled = await Promise.allSettled(verifiers.map((p) => generate(p, prompt, verifyOptions)));
+    const answers = settled.filter((s) => s.status === 'fulfilled').map((s) => s.value);
+    if (!answers.length) throw settled[0].reason;
+    usageParts.push(...answers);
+    settled.forEach((outcome, i) => providers.push(outcome.status === 'fulfilled'
+      ? { provider: outcome.value.provider, model: outcome.value.model, ok: true }
+      : { provider: verifiers[i], ok: false, ...describeError(outcome.reason) }));
+
+    const parsed = answers.map(parseVerdicts);
+    for (const claim of claims) {
+      const verdicts = parsed.map((p) => p.get(claim.id)).filter(Boolean);
+      Object.assign(claim, verdicts.length
+        ? combineVerdicts(verdicts)
+        : { verdict: 'unverifiable', confidence: 0, explanation: '', sources: [] });
+      if (crossCheck) {
+        claim.verdicts = verdicts.map(({ provider, model, verdict, confidence }) => ({
+          provider, model, verdict, confidence,
+        }));
+      }
+    }
+  }
+
+  const summary = Object.fromEntries(VERDICTS.map((v) => [v, claims.filter((c) => c.verdict === v).length]));
+  return { claims, summary, providers, crossCheck, usage: sumUsage(usageParts) };
+}
+
+/* ------------------------------------------------------------------
+ * Reports for saved scripts
+ */
+
+function withStaleness(report, script) {
+  return { ...report, stale: report.contentHash !== contentHash(script.content) };
+}
+
+/**
+ * Fact‑check a saved script and store the report.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {object} script - The caller's script.
+ * @param {object} body - See checkText().
+ * @param {object} [options] - See checkText().
+ * @returns {Promise<object>} The stored report, with `stale: false`.
+ */
+async function checkScript(store, script, body, options = {}) {
+  const result = await checkText(script.content, body, options);
+  const report = await store.insert(COLLECTION, {
+    id: generateId('factcheck'),
+    scriptId: script.id,
+    userId: script.userId,
+    revision: script.revision,
+    contentHash: contentHash(script.content),
+    ...result,
+    createdAt: new Date().toISOString(),
+  });
+  return withStaleness(report, script);
+}
+
+/**
+ * @returns {Promise<object>} The script's latest report with `stale`
+ *   set if the content has changed since it was checked.
+ * @throws {HttpError} 404 if the script has never been checked.
+ */
+async function latestFactCheck(store, script) {
+  const [report] = await store.list(COLLECTION, { scriptId: script.id });
+  if (!report) throw new HttpError(404, 'Script has not been fact-checked');
+  return withStaleness(report, script);
+}
+
+async function deleteFactChecks(store, scriptId) {
+  const reports = await store.list(COLLECTION, { scriptId });
+  for (const report of reports) await store.remove(COLLECTION, report.id);
+}
+
+module.exports = {
+  VERDICTS,
+  checkScript,
+  checkText,
+  deleteFactChecks,
+  parseCheckRequest,
+  latestFactCheck,
+};
@@ -0,0 +1,414 @@
+/*
+ * Generation modes.  The frontend offers three ways to produce text:
+ *
+ *   single      – one call to the selected model;
+ *   hybrid      – Gemini writes a draft that the selected model refines;
+ *   cross_check – every configured provider answers in parallel and a
+ *                 summary of where they agree and disagree is added.
+ *
+ * orchestrate() runs a prompt in one of these modes on the server.  A
+ * provider that fails during hybrid or cross_check is reported in the
+ * result rather than failing the whole request, as long as at least
+ * one provider produced an answer.
+ */
+
+const { ProviderError } = require('./errors');
+const { parseModelParams, resolveModel } = require('./models');
+const { availableProviders, dedupeSources, generate, resolveProvider } = require('./providers');
+const { validate } = require('./validation');
+
+const MODES = ['single', 'hybrid', 'cross_check'];
+
+// A conversation given as `prompt` (see providers.toConversation).
+const CONVERSATION_FIELDS = {
+  system: { type: 'string', nullable: true },
+  messages: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    items: {
+      type: 'object',
+      fields: {
+        role: { type: 'string', required: true, enum: ['user', 'assistant'] },
+        content: { type: 'string', required: true, minLength: 1 },
+      },
+    },
+  },
+};
+
+// Shape of a generation request body (see validation.js); the values
+// are then checked by parseGenerationRequest().  `prompt` may also be a
+// conversation, in single mode.
+const GENERATION_SCHEMA = {
+  prompt: { type: ['string', 'object'], required: true, minLength: 1, fields: CONVERSATION_FIELDS },
+  mode: { type: 'string', nullable: true },
+  model: { type: 'string' },
+  temperature: { type: 'number' },
+  maxTokens: { type: 'integer' },
+  system: { type: 'string' },
+  fallback: { type: ['array', 'string', 'boolean'], items: { type: 'string' } },
+  raw: { type: 'boolean' },
+};
+
+// Accepted spellings for each mode, including the frontend's Mode enum
+// values.
+const MODE_ALIASES = {
+  'single': 'single',
+  'نموذج واحد': 'single',
+  'hybrid': 'hybrid',
+  'هجين (gemini + المختار)': 'hybrid',
+  'cross_check': 'cross_check',
+  'cross-check': 'cross_check',
+  'crosscheck': 'cross_check',
+  'تحقق متقاطع (كل النماذج)': 'cross_check',
+};
+
+/**
+ * Resolve a client supplied mode.  A missing mode means `single`.
+ *
+ * @param {string} [mode]
+ * @returns {string|null} single, hybrid, cross_check or null if unknown.
+ */
+function resolveMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return 'single';
+  return MODE_ALIASES[String(mode).trim().toLowerCase()] || null;
+}
+
+function sumUsage(envelopes) {
+  return envelopes.reduce((total, e) => ({
+    inputTokens: total.inputTokens + e.usage.inputTokens,
+    outputTokens: total.outputTokens + e.usage.outputTokens,
+    totalTokens: total.totalTokens + e.usage.totalTokens,
+  }), { inputTokens: 0, outputTokens: 0, totalTokens: 0 });
+}
+
+// The part of an envelope worth reporting for an intermediate step.
+function stepSummary(role, envelope) {
+  const { provider, model, finishReason, usage } = envelope;
+  return { role, provider, model, finishReason, usage, ok: true };
+}
+
+function stepError(role, provider, err) {
+  const error = err instanceof ProviderError
+    ? err.toJSON()
+    : { error: err.message, type: 'upstream_error', provider };
+  return { role, provider, ok: false, ...error };
+}
+
+/* ------------------------------------------------------------------
+ * Prompts
+ */
+
+function refinementPrompt(prompt, draft) {
+  return `أنت محرر خبير ومخرج مبدع. أمامك طلب ومسودة أولى كتبها نموذج آخر استجابة له.
+مهمتك هي تحسين المسودة: صحّح الأخطاء، وقوِّ الأسلوب والبنية، وأكمل ما ينقصها، مع الحفاظ على الحقائق الدقيقة وعلى جميع روابط المصادر الواردة فيها.
+
+الطلب الأصلي:
+---
+${prompt}
+---
+
+المسودة الأولى:
+---
+${draft}
+---
+
+اكتب النسخة النهائية المحسنة كاملة، دون أي تعليق إضافي.`;
+}
+
+function consensusPrompt(prompt, answers) {
+  const sections = answers
+    .map((a) => `إجابة ${a.provider}:\n---\n${a.text}\n---`)
+    .join('\n\n');
+  return `أنت مدقق حقائق ومراجع محتوى خبير. أجابت عدة نماذج ذكاء اصطناعي عن الطلب نفسه.
+
+الطلب:
+---
+${prompt}
+---
+
+${sections}
+
+قارن بين الإجابات وقدم ملخصًا موجزًا من قسمين:
+1. **نقاط الاتفاق:** المعلومات والأفكار التي تتفق عليها الإجابات.
+2. **نقاط الاختلاف:** أي تعارض في الحقائق أو الأرقام أو التوصيات، مع ذكر النموذج صاحب كل رأي.`;
+}
+
+/* ------------------------------------------------------------------
+ * Agreement
+ *
+ * A cheap, provider‑independent measure of how similar the answers
+ * are: the Jaccard similarity of their word sets.  It does not judge
+ * correctness, but a low score is a useful hint to read the summary.
+ */
+
+function wordSet(text) {
+  return new Set(String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 2));
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+function agreement(answers) {
+  const sets = answers.map((a) => wordSet(a.text));
+  const pairs = [];
+  for (let i = 0; i < answers.length; i++) {
+    for (let j = i + 1; j < answers.length; j++) {
+      const similarity = Math.round(jaccard(sets[i], sets[j]) * 1000) / 1000;
+      pairs.push({ providers: [answers[i].provider, answers[j].provider], similarity });
+    }
+  }
+  const average = pairs.length
+    ? Math.round((pairs.reduce((sum, p) => sum + p.similarity, 0) / pairs.length) * 1000) / 1000
+    : null;
+  return { average, pairs };
+}
+
+/* ------------------------------------------------------------------
+ * Modes
+ */
+
+async function runSingle(provider, prompt, options) {
+  const envelope = await generate(provider, prompt, options);
+  return { ...envelope, mode: 'single' };
+}
+
+// Gemini drafts, the selected provider refines.  If the draft fails the
+// selected provider answers on its own; if the refinement fails the
+// draft is returned.  Either way the failed step is listed in `steps`.
+async function runHybrid(provider, prompt, options) {
+  const steps = [];
+  let draft;
+  try {
+    draft = await generate('gemini', prompt, { ...options, fallback: [] });
+    steps.push(stepSummary('draft', draft));
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    steps.push(stepError('draft', 'gemini', err));
+    const solo = await generate(provider, prompt, options);
+    steps.push(stepSummary('answer', solo));
+    return { ...solo, mode: 'hybrid', steps };
+  }
+  try {
+    const refined = await generate(provider, refinementPrompt(prompt, draft.text), options);
+    steps.push(stepSummary('refine', refined));
+    return {
+      ...refined,
+      mode: 'hybrid',
+      usage: sumUsage([draft, refined]),
+      sources: dedupeSources([...refined.sources, ...draft.sources]),
+      steps,
+    };
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    steps.push(stepError('refine', provider, err));
+    return { ...draft, mode: 'hybrid', steps };
+  }
+}
+
+// Ask every provider available to the user in parallel, then have one of them
+// summarize the consensus.  `provider`, if given, writes the summary;
+// otherwise the first provider that answered does.
+async function runCrossCheck(provider, prompt, options) {
+  const providers = await availableProviders();
+  if (!providers.length) {
+    throw new ProviderError('not_configured', 'No LLM provider API keys are configured');
+  }
+  const settled = await Promise.allSettled(providers.map((p) => generate(p, prompt, { ...options, fallback: [] })));
+  const results = settled.map((outcome, i) => (outcome.status === 'fulfilled'
+    ? { ok: true, ...outcome.value }
+    : stepError('answer', providers[i], outcome.reason)));
+  const answers = results.filter((r) => r.ok);
+  if (!answers.length) throw settled[0].reason;
+
+  let summary = null;
+  const usageParts = [...answers];
+  if (answers.length > 1) {
+    const summarizer = provider && answers.some((a) => a.provider === provider)
+      ? provider
+      : answers[0].provider;
+    try {
+      const envelope = await generate(summarizer, consensusPrompt(prompt, answers), { signal: options.signal });
+      summary = { ok: true, text: envelope.text, provider: envelope.provider, model: envelope.model };
+      usageParts.push(envelope);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      summary = stepError('summary', summarizer, err);
+    }
+  }
+  for (const r of results) delete r.role;
+  return {
+    mode: 'cross_check',
+    results,
+    summary,
+    agreement: agreement(answers),
+    usage: sumUsage(usageParts),
+    sources: dedupeSources(answers.flatMap((a) => a.sources)),
+  };
+}
+
+/**
+ * Reduce an orchestrate() result to the single answer a caller should
+ * keep, e.g. to save as a script.  For cross_check this is the
+ * selected provider's answer if it succeeded, otherwise the first
+ * successful one, with sources merged from every answer.
+ *
+ * @param {object} result - As returned by orchestrate().
+ * @param {string} [provider] - The provider the client selected.
+ * @returns {{text: string, sources: object[], provider: string, model: string}}
+ */
+function primaryAnswer(result, provider) {
+  if (result.mode !== 'cross_check') {
+    const { text, sources, provider: served, model } = result;
+    return { text, sources, provider: served, model };
+  }
+  const answers = result.results.filter((r) => r.ok);
+  const chosen = answers.find((a) => a.provider === provider) || answers[0];
+  return { text: chosen.text, sources: result.sources, provider: chosen.provider, model: chosen.model };
+}
+
+/**
+ * Parse the JSON a prompt asked the model to answer with.  Models often
+ * wrap it in a ```json fence or add a sentence around it, so the first
+ * JSON array or object found in the text is used.
+ *
+ * @param {string} text - Model output.
+ * @returns {*} The parsed value, or null if no valid JSON was found.
+ */
+function parseJsonAnswer(text) {
+  const source = String(text || '');
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(source);
+  const candidates = fenced ? [fenced[1], source] : [source];
+  for (const candidate of candidates) {
+    const start = candidate.search(/[[{]/);
+    if (start === -1) continue;
+    const end = Math.max(candidate.lastIndexOf(']'), candidate.lastIndexOf('}'));
+    for (const json of [candidate.slice(start, end + 1), balancedJson(candidate, start)]) {
+      try {
+        return JSON.parse(json);
+      } catch (_err) {
+        // Try the next candidate.
+      }
+    }
+  }
+  return null;
+}
+
+// The text from `start` up to the bracket that closes the one there,
+// for answers that add a link or another bracket after the JSON.
+function balancedJson(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i += 1;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '[' || ch === '{') {
+      depth += 1;
+    } else if ((ch === ']' || ch === '}') && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return '';
+}
+
+/**
+ * Validate the `mode` and `model` fields of a generation request body
+ * and the model parameters it overrides.  `model` is a provider name or
+ * a model id from the registry (see models.js); it may be omitted in
+ * cross_check mode, where it only selects who writes the summary.
+ * A conversation prompt is only accepted in single mode.
+ *
+ * @param {object} body - Request body with `mode`, `model` and `prompt`;
+ *   optionally `temperature`, `maxTokens` and `system`, checked against
+ *   the chosen model's limits, and `fallback`: models to try in order if
+ *   `model` fails, or false to disable PROVIDER_FALLBACK (see
+ *   providers.generate).
+ * @returns {{request: object}|{error: string, errors: object[]}} The
+ *   request for orchestrate(), or an error message and the invalid
+ *   fields, suitable for a ValidationError.
+ */
+function parseGenerationRequest(body) {
+  const errors = validate(GENERATION_SCHEMA, body);
+  if (errors.length) return { error: 'Invalid generation request', errors };
+  const invalid = (error, field, message) => ({ error, errors: [ { field, message } ] });
+  const mode = resolveMode(body.mode);
+  if (!mode) return invalid('Unsupported mode', 'mode', `must be one of ${MODES.join(', ')}`);
+  // hybrid and cross_check quote the prompt in the prompts they write.
+  if (typeof body.prompt !== 'string' && mode !== 'single') {
+    return invalid('Conversations are only supported in single mode', 'prompt', `must be a string in ${mode} mode`);
+  }
+  const resolved = body.model ? resolveModel(body.model) : null;
+  if (!resolved && (body.model || mode !== 'cross_check')) {
+    return invalid('Unsupported model', 'model', body.model ? 'is not a known provider or model' : 'is required');
+  }
+  const parsed = parseModelParams(body, resolved && resolved.model);
+  if (!parsed.params) return invalid(`${parsed.field} ${parsed.message}`, parsed.field, parsed.message);
+  const params = parsed.params;
+  // A provider name leaves the choice of model to the registry default.
+  if (resolved && resolved.model && resolved.model.id.toLowerCase() === String(body.model).trim().toLowerCase()) {
+    params.model = resolved.model.id;
+  }
+  const provider = resolved ? resolved.provider : null;
+  const request = { mode, provider, prompt: body.prompt, params };
+  if (body.fallback === false) request.fallback = [];
+  else if (body.fallback !== undefined) {
+    const models = Array.isArray(body.fallback) ? body.fallback : [body.fallback];
+    request.fallback = models.map(resolveProvider);
+    const unknown = request.fallback.indexOf(null);
+    if (unknown !== -1) {
+      const field = Array.isArray(body.fallback) ? `fallback[${unknown}]` : 'fallback';
+      return invalid('Unsupported model in fallback', field, 'is not a known provider or model');
+    }
+  }
+  return { request };
+}
+
+/**
+ * Run a prompt in the given mode.
+ *
+ * @param {object} request
+ * @param {string} request.mode - single, hybrid or cross_check (see resolveMode).
+ * @param {string} [request.provider] - Selected provider; required except for cross_check.
+ * @param {string|object} request.prompt - The user prompt, or a
+ *   conversation in single mode.
+ * @param {string[]} [request.fallback] - Fallback providers for
+ *   single and hybrid mode; cross_check already asks every provider.
+ * @param {object} [request.params] - Model and sampling overrides
+ *   (see providers.generate).
+ * @param {object} [options] - Passed through to providers.generate().
+ * @returns {Promise<object>} A normalized envelope with `mode` set; for
+ *   cross_check, `{ mode, results, summary, agreement, usage, sources }`.
+ */
+async function orchestrate({ mode, provider, prompt, fallback, params }, options = {}) {
+  if (fallback !== undefined) options = { ...options, fallback };
+  if (params !== undefined) options = { ...options, params };
+  switch (mode) {
+    case 'single':
+      return runSingle(provider, prompt, options);
+    case 'hybrid':
+      return runHybrid(provider, prompt, options);
+    case 'cross_check':
+      return runCrossCheck(provider, prompt, options);
+    default:
+      throw new ProviderError('bad_request', `Unsupported mode: ${mode}`);
+  }
+}
+
+module.exports = {
+  GENERATION_SCHEMA,
+  MODES,
+  orchestrate,
+  parseGenerationRequest,
+  parseJsonAnswer,
+  primaryAnswer,
+  resolveMode,
+  sumUsage,
+};
@@ -0,0 +1,72 @@
+/*
+ * Health and readiness, reported by GET /api/health:
+ *
+ *   storage     the store answers a ping (see lib/storage) within
+ *               CHECK_TIMEOUT_MS
+ *   providers   some provider can be called: one is configured on the
+ *               server (and SERVER_KEY_FALLBACK allows lending it), or
+ *               users can save their own keys (KEY_ENCRYPTION_KEY, see
+ *               api-keys.js).  Degraded while every configured provider
+ *               is paused by the circuit breaker (see resilience.js).
+ *
+ * Each check is ok, degraded or fail.  The report's `status` is ok,
+ * degraded (still serving) or unavailable when a check failed, in which
+ * case the servers answer 503 so a load balancer stops sending them
+ * traffic.
+ */
+
+const { serverKeysAllowed, userKeysEnabled } = require('./api-keys');
+const { configuredProviders } = require('./providers');
+const { circuitStates } = require('./resilience');
+
+const CHECK_TIMEOUT_MS = 2000;
+const started = Date.now();
+
+async function storageCheck(store) {
+  const start = Date.now();
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([store.ping(), timeout]);
+    return { status: 'ok', latencyMs: Date.now() - start };
+  } catch (err) {
+    return { status: 'fail', latencyMs: Date.now() - start, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function providerCheck() {
+  const configured = configuredProviders();
+  const circuits = circuitStates();
+  const check = { configured, serverKeyFallback: serverKeysAllowed(), userKeys: false, circuits };
+  try {
+    check.userKeys = userKeysEnabled();
+  } catch (err) {
+    return { status: 'fail', ...check, error: err.message };
+  }
+  const lent = check.serverKeyFallback ? configured : [];
+  if (!lent.length && !check.userKeys) {
+    return { status: 'fail', ...check, error: 'No provider API keys are configured and users cannot save their own' };
+  }
+  const paused = lent.filter((provider) => circuits[provider] && circuits[provider].state !== 'closed');
+  return { status: lent.length && paused.length === lent.length ? 'degraded' : 'ok', ...check };
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @returns {Promise<object>} `{ status, uptimeSeconds, checks: {
+ *   storage, providers } }`.
+ */
+async function healthReport(store) {
+  const checks = { storage: await storageCheck(store), providers: providerCheck() };
+  const statuses = Object.values(checks).map((check) => check.status);
+  let status = 'ok';
+  if (statuses.includes('fail')) status = 'unavailable';
+  else if (statuses.includes('degraded')) status = 'degraded';
+  return { status, uptimeSeconds: Math.round((Date.now() - started) / 1000), checks };
+}
+
+module.exports = { healthReport };
@@ -0,0 +1,260 @@
+/*
+ * Episode ideas backlog.
+ *
+ * Ideas are generated from a programme's profile, stored per programme
+ * and moved through a small set of statuses:
+ *
+ *   new -> shortlisted | rejected -> used
+ *
+ * `used` is only reached by promoting an idea to a script, which links
+ * the two in both directions (`idea.scriptId`, `script.ideaId`).  New
+ * suggestions that repeat an existing script topic or idea are
+ * dropped, comparing titles after Arabic normalization.
+ *
+ * Like its scripts, a programme's ideas belong to the programme's
+ * owner; `createdBy` is the member who generated them.  They are
+ * deleted with the programme.
+ */
+
+const { words } = require('./arabic');
+const { HttpError, ValidationError } = require('./errors');
+const { orchestrate, parseGenerationRequest, parseJsonAnswer, primaryAnswer } = require('./generation');
+const { getProgramme } = require('./programmes');
+const { buildPrompt } = require('./prompts');
+const { dedupeSources } = require('./providers');
+const { generateProgrammeScript } = require('./script-generation');
+const { createScript, listScripts } = require('./scripts');
+const { generateId } = require('./storage');
+
+const COLLECTION = 'ideas';
+const STATUSES = ['new', 'shortlisted', 'rejected', 'used'];
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+// Titles whose word sets overlap at least this much are duplicates.
+const DUPLICATE_THRESHOLD = 0.6;
+
+async function requireProgramme(store, userId, programmeId, action = 'read') {
+  const programme = await getProgramme(store, userId, programmeId, action);
+  if (!programme) throw new HttpError(404, 'Programme not found');
+  return programme;
+}
+
+async function requireIdea(store, programmeId, ideaId) {
+  const idea = await store.get(COLLECTION, ideaId);
+  if (!idea || idea.programmeId !== programmeId) throw new HttpError(404, 'Idea not found');
+  return idea;
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {string} [status] - Only return ideas with this status.
+ * @returns {Promise<object[]>} Newest first.
+ */
+async function listIdeas(store, userId, programmeId, status) {
+  await requireProgramme(store, userId, programmeId);
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+  }
+  return store.list(COLLECTION, status ? { programmeId, status } : { programmeId });
+}
+
+/* ------------------------------------------------------------------
+ * De‑duplication
+ */
+
+const MIN_WORD_LENGTH = 2;
+
+function titleWords(title) {
+  return new Set(words(title).filter((w) => w.length >= MIN_WORD_LENGTH));
+}
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+// Return the first existing title that `title` duplicates, if any.
+function findDuplicate(title, existing) {
+  const candidate = titleWords(title);
+  return existing.find((e) => overlap(candidate, e.words) >= DUPLICATE_THRESHOLD) || null;
+}
+
+/* ------------------------------------------------------------------
+ * Generation
+ */
+
+// Accept the JSON array the prompt asks for; fall back to one idea per
+// non‑empty line if the model ignored the format.
+function parseIdeas(text) {
+  const parsed = parseJsonAnswer(text);
+  const list = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.ideas) ? parsed.ideas : null;
+  if (list) {
+    return list
+      .filter((item) => item && typeof item.title === 'string' && item.title.trim())
+      .map((item) => ({
+        title: item.title.trim(),
+        description: typeof item.description === 'string' ? item.description.trim() : '',
+        sources: Array.isArray(item.sources)
+          ? dedupeSources(item.sources.filter((s) => s && typeof s.uri === 'string')
+            .map((s) => ({ uri: s.uri, title: String(s.title || s.uri) })))
+          : [],
+      }));
+  }
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)-])\s*/, '').replace(/\*\*/g, '').trim())
+    .filter((line) => line.length > 3)
+    .map((line) => {
+      const [title, ...rest] = line.split(/\s*[:：]\s*/);
+      return { title: title.trim(), description: rest.join(': ').trim(), sources: [] };
+    });
+}
+
+/**
+ * Generate new ideas for a programme and store those that are not
+ * duplicates of an existing script topic or idea.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {object} body - `{ count, model, mode }` from the request.
+ * @returns {Promise<{ideas: object[], skipped: object[], generation: object}>}
+ *   The stored ideas, the suggestions dropped as duplicates (with the
+ *   title they duplicate), and the generation metadata.
+ */
+async function generateIdeas(store, userId, programmeId, body) {
+  const programme = await requireProgramme(store, userId, programmeId, 'edit');
+  const count = body.count === undefined ? DEFAULT_COUNT : Number(body.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new HttpError(400, `count must be an integer between 1 and ${MAX_COUNT}`);
+  }
+  const scripts = (await listScripts(store, userId)).filter((s) => s.programmeId === programmeId);
+  const ideas = await store.list(COLLECTION, { programmeId });
+  const existing = [
+    ...scripts.filter((s) => s.topic).map((s) => ({ title: s.topic, kind: 'script', id: s.id })),
+    ...ideas.map((i) => ({ title: i.title, kind: 'idea', id: i.id })),
+  ].map((e) => ({ ...e, words: titleWords(e.title) }));
+
+  const existingTopics = existing.length
+    ? existing.map((e) => `- ${e.title}`).join('\n')
+    : '- (لا يوجد)';
+  const prompt = buildPrompt('ideas', programme, { count, existingTopics });
+  const { request, error, errors } = parseGenerationRequest({ ...body, prompt });
+  if (error) throw new ValidationError(error, errors);
+  const result = await orchestrate(request);
+  const answer = primaryAnswer(result, request.provider);
+
+  const stored = [];
+  const skipped = [];
+  for (const suggestion of parseIdeas(answer.text)) {
+    const duplicate = findDuplicate(suggestion.title, existing);
+    if (duplicate) {
+      skipped.push({ title: suggestion.title, duplicateOf: { kind: duplicate.kind, id: duplicate.id, title: duplicate.title } });
+      continue;
+    }
+    const idea = await store.insert(COLLECTION, {
+      id: generateId('idea'),
+      userId: programme.userId,
+      createdBy: userId,
+      programmeId,
+      title: suggestion.title,
+      description: suggestion.description,
+      sources: suggestion.sources,
+      status: 'new',
+      origin: { provider: answer.provider, model: answer.model, mode: request.mode },
+      createdAt: new Date().toISOString(),
+    });
+    stored.push(idea);
+    existing.push({ title: idea.title, kind: 'idea', id: idea.id, words: titleWords(idea.title) });
+  }
+  const { text, results, ...generation } = result;
+  return { ideas: stored, skipped, generation };
+}
+
+/* ------------------------------------------------------------------
+ * Editing and promotion
+ */
+
+/**
+ * Change an idea's title, description or status.  Only the fields
+ * present in `changes` are updated.  `used` cannot be set directly;
+ * promote the idea instead.
+ */
+async function updateIdea(store, userId, programmeId, ideaId, changes) {
+  await requireProgramme(store, userId, programmeId, 'edit');
+  const idea = await requireIdea(store, programmeId, ideaId);
+  const update = {};
+  if (changes.status !== undefined) {
+    if (!STATUSES.includes(changes.status) || changes.status === 'used') {
+      throw new HttpError(400, 'status must be one of new, shortlisted, rejected');
+    }
+    if (idea.status === 'used') throw new HttpError(409, 'Idea has already been used');
+    update.status = changes.status;
+  }
+  for (const field of ['title', 'description']) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== 'string') throw new HttpError(400, `${field} must be a string`);
+    update[field] = changes[field].trim();
+  }
+  if (update.title === '') throw new HttpError(400, 'title must not be empty');
+  return store.update(COLLECTION, idea.id, { ...update, updatedAt: new Date().toISOString() });
+}
+
+async function deleteIdea(store, userId, programmeId, ideaId) {
+  await requireProgramme(store, userId, programmeId, 'edit');
+  const idea = await requireIdea(store, programmeId, ideaId);
+  await store.remove(COLLECTION, idea.id);
+}
+
+/**
+ * Turn an idea into a script and mark it used.  With a `model` in the
+ * body the full script is generated like
+ * POST /api/programmes/:id/scripts/generate, prompting with the idea's
+ * title and description and saving the title as the topic (`fitLength`
+ * works there too); otherwise a draft holding the description is
+ * created for the writer to fill in.
+ *
+ * @returns {Promise<{idea: object, script: object, generation?: object, fit?: object}>}
+ */
+async function promoteIdea(store, userId, programmeId, ideaId, body = {}) {
+  await requireProgramme(store, userId, programmeId, 'edit');
+  const idea = await requireIdea(store, programmeId, ideaId);
+  if (idea.status === 'used') throw new HttpError(409, 'Idea has already been used');
+
+  let result;
+  if (body.model || body.mode) {
+    const topic = idea.description ? `${idea.title}: ${idea.description}` : idea.title;
+    result = await generateProgrammeScript(store, userId, programmeId, { ...body, topic }, {
+      ideaId: idea.id,
+      topic: idea.title,
+    });
+  } else {
+    const script = await createScript(store, userId, {
+      programmeId,
+      topic: idea.title,
+      content: idea.description || '',
+      sources: idea.sources,
+      ideaId: idea.id,
+    });
+    result = { script };
+  }
+  const used = await store.update(COLLECTION, idea.id, {
+    status: 'used',
+    scriptId: result.script.id,
+    updatedAt: new Date().toISOString(),
+  });
+  return { ...result, idea: used };
+}
+
+module.exports = {
+  STATUSES,
+  deleteIdea,
+  generateIdeas,
+  listIdeas,
+  promoteIdea,
+  updateIdea,
+};
@@ -0,0 +1,352 @@
+/*
+ * Background jobs for generation that can outlast an HTTP request.
+ *
+ * POST /api/jobs stores a job and answers straight away; a runner in
+ * this process starts queued jobs oldest first and saves their
+ * progress and result, so GET /api/jobs/:id can be polled, and
+ * publishes every change to the user's event feed (GET
+ * /api/jobs/events).  Job types:
+ *
+ *   generate    a /api/generate body (`prompt`, `model`, `mode`, …);
+ *               the result is the generation envelope
+ *   script      `{ programmeId, topic, model, mode, fitLength }`; the
+ *               result is `{ script, generation, references, fit }`
+ *               (see script-generation.js)
+ *   fact-check  `{ scriptId, model, mode, crossCheck }`; the result is
+ *               the stored report (see fact-check.js)
+ *
+ * A job moves from `queued` to `running` and ends `completed`,
+ * `failed` or `cancelled`; a queued job also reports its `position` in
+ * the queue.  Cancelling a running job aborts its provider calls and
+ * nothing it would have saved is saved.
+ *
+ *   JOB_CONCURRENCY        jobs running at once (default 4)
+ *   JOB_USER_CONCURRENCY   jobs running at once per user (default 2)
+ *   JOB_MAX_QUEUED         jobs a user may have waiting (default 20);
+ *                          more are refused with 429
+ *
+ * Jobs are stored in `jobs`, so queued jobs survive a restart.  Jobs
+ * that were running when the server stopped are queued again, up to
+ * MAX_ATTEMPTS times in all.
+ */
+
+const { HttpError, ProviderError, ValidationError } = require('./errors');
+const { checkScript, parseCheckRequest } = require('./fact-check');
+const { orchestrate, parseGenerationRequest } = require('./generation');
+const { log, withLogContext } = require('./log');
+const { resolveProvider } = require('./providers');
+const { generateProgrammeScript, parseScriptRequest } = require('./script-generation');
+const { getScript } = require('./scripts');
+const { openSse, sendSseEvent } = require('./sse');
+const { generateId } = require('./storage');
+const { checkLimits, withUsage } = require('./usage');
+
+const COLLECTION = 'jobs';
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const ACTIVE = ['queued', 'running'];
+const MAX_ATTEMPTS = 3;
+// Comment lines keep idle feeds open through proxies.
+const HEARTBEAT_MS = 25 * 1000;
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/* ------------------------------------------------------------------
+ * Job types
+ *
+ * `check` validates a submission before it is queued; `run` does the
+ * work and returns the result to store.
+ */
+
+const TYPES = {
+  generate: {
+    async check(store, userId, input) {
+      const { error, errors } = parseGenerationRequest(input);
+      if (error) throw new ValidationError(error, errors);
+    },
+    async run(store, job, signal) {
+      const { request } = parseGenerationRequest(job.input);
+      return orchestrate(request, { signal });
+    },
+  },
+  script: {
+    async check(store, userId, input) {
+      await parseScriptRequest(store, userId, input.programmeId, input);
+    },
+    async run(store, job, signal) {
+      return generateProgrammeScript(store, job.userId, job.input.programmeId, job.input, {}, { signal });
+    },
+  },
+  'fact-check': {
+    async check(store, userId, input) {
+      if (!(await getScript(store, userId, input.scriptId, 'comment'))) throw new HttpError(404, 'Script not found');
+      await parseCheckRequest(input);
+    },
+    async run(store, job, signal) {
+      const script = await getScript(store, job.userId, job.input.scriptId, 'comment');
+      if (!script) throw new HttpError(404, 'Script not found');
+      return checkScript(store, script, job.input, { signal });
+    },
+  },
+};
+
+/* ------------------------------------------------------------------
+ * Runner
+ */
+
+// Per store: the jobs running in this process and the feed listeners.
+const runners = new WeakMap();
+
+function runner(store) {
+  if (!runners.has(store)) {
+    runners.set(store, { running: new Map(), listeners: new Set(), pumping: false, again: false });
+  }
+  return runners.get(store);
+}
+
+function describeError(err) {
+  if (err instanceof ProviderError || err instanceof HttpError) return { status: err.status, ...err.toJSON() };
+  return { error: err.message || String(err) };
+}
+
+// The job as listed and sent on the feed while active: no result.
+function summary({ result, input, ...rest }) {
+  return rest;
+}
+
+function publish(store, job) {
+  const data = ACTIVE.includes(job.status) ? summary(job) : job;
+  for (const listener of runner(store).listeners) {
+    if (listener.userId === job.userId) listener.send(job.status, data);
+  }
+}
+
+async function save(store, id, changes) {
+  const job = await store.update(COLLECTION, id, { ...changes, updatedAt: new Date().toISOString() });
+  if (job) publish(store, job);
+  return job;
+}
+
+async function run(store, job, controller) {
+  const { signal } = controller;
+  try {
+    // Logged and traced as the job, not the request that happened to
+    // start it.
+    const scope = { requestId: undefined, jobId: job.id, userId: job.userId };
+    const result = await withLogContext(scope, () => withUsage(store, job.userId, () => TYPES[job.type].run(store, job, signal)));
+    if (!signal.aborted) {
+      await save(store, job.id, { status: 'completed', result, completedAt: new Date().toISOString() });
+    }
+  } catch (err) {
+    if (!signal.aborted) {
+      await save(store, job.id, { status: 'failed', error: describeError(err), completedAt: new Date().toISOString() });
+    }
+  }
+}
+
+// Start as many queued jobs as the limits allow.
+async function pump(store) {
+  const state = runner(store);
+  if (state.pumping) {
+    state.again = true;
+    return;
+  }
+  state.pumping = true;
+  try {
+    do {
+      state.again = false;
+      const queued = (await store.list(COLLECTION, { status: 'queued' })).reverse();
+      for (const job of queued) {
+        if (state.running.size >= setting('JOB_CONCURRENCY', 4)) break;
+        const mine = Array.from(state.running.values()).filter((r) => r.userId === job.userId).length;
+        if (mine >= setting('JOB_USER_CONCURRENCY', 2)) continue;
+        const current = await store.get(COLLECTION, job.id);
+        if (!current || current.status !== 'queued') continue;
+        const controller = new AbortController();
+        state.running.set(job.id, { userId: job.userId, controller });
+        const started = await save(store, job.id, {
+          status: 'running',
+          attempts: (current.attempts || 0) + 1,
+          startedAt: new Date().toISOString(),
+        });
+        // Cancelled while it was being started.
+        if (controller.signal.aborted) {
+          await save(store, job.id, { status: 'cancelled' });
+          state.running.delete(job.id);
+          continue;
+        }
+        run(store, started, controller)
+          .catch((err) => log.error('Could not record job result', { err }))
+          .finally(() => {
+            state.running.delete(job.id);
+            pump(store).catch((err) => log.error('Could not start queued jobs', { err }));
+          });
+      }
+    } while (state.again);
+  } finally {
+    state.pumping = false;
+  }
+}
+
+/**
+ * Pick up the stored queue at startup: jobs that were running when the
+ * server stopped are queued again (or failed after MAX_ATTEMPTS), then
+ * queued jobs start.  Call once, before accepting requests.
+ *
+ * @param {object} store - See lib/storage.
+ * @returns {Promise<number>} The number of jobs queued again.
+ */
+async function recoverJobs(store) {
+  const interrupted = await store.list(COLLECTION, { status: 'running' });
+  let requeued = 0;
+  for (const job of interrupted) {
+    if ((job.attempts || 0) >= MAX_ATTEMPTS) {
+      await save(store, job.id, {
+        status: 'failed',
+        error: { error: `The server restarted while the job was running ${job.attempts} times` },
+        completedAt: new Date().toISOString(),
+      });
+    } else {
+      await save(store, job.id, { status: 'queued' });
+      requeued += 1;
+    }
+  }
+  await pump(store);
+  return requeued;
+}
+
+/* ------------------------------------------------------------------
+ * Public API
+ */
+
+/**
+ * Queue a job.  The user's rate limits are checked now, and its
+ * provider calls are counted against them when it runs.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} body - `{ type, ...input }`; see the types above.
+ * @returns {Promise<object>} The job as stored, with status `queued`.
+ * @throws {HttpError} 400 for an unknown type or invalid input, 429 if
+ *   the user already has JOB_MAX_QUEUED jobs waiting.
+ * @throws {ProviderError} 429 when over a rate limit.
+ */
+async function submitJob(store, userId, body) {
+  const { type, ...input } = body;
+  if (!TYPES[type]) throw new HttpError(400, `type must be one of ${Object.keys(TYPES).join(', ')}`);
+  // As the user, so the check sees the providers they saved keys for.
+  await withUsage(store, userId, () => TYPES[type].check(store, userId, input));
+  await checkLimits(store, userId, resolveProvider(input.model));
+  const waiting = await store.list(COLLECTION, { userId, status: 'queued' });
+  const limit = setting('JOB_MAX_QUEUED', 20);
+  if (waiting.length >= limit) throw new HttpError(429, `You already have ${limit} jobs waiting`);
+
+  const now = new Date().toISOString();
+  const job = await store.insert(COLLECTION, {
+    id: generateId('job'),
+    userId,
+    type,
+    input,
+    status: 'queued',
+    result: null,
+    error: null,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+  });
+  publish(store, job);
+  pump(store).catch((err) => log.error('Could not start queued jobs', { err }));
+  return job;
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {string} [options.status] - Only jobs with this status.
+ * @returns {Promise<object[]>} The user's jobs, newest first, without
+ *   their input and result.
+ */
+async function listJobs(store, userId, options = {}) {
+  const filter = { userId };
+  if (options.status !== undefined) {
+    if (!STATUSES.includes(options.status)) throw new HttpError(400, `status must be one of ${STATUSES.join(', ')}`);
+    filter.status = options.status;
+  }
+  return (await store.list(COLLECTION, filter)).map(summary);
+}
+
+/**
+ * @returns {Promise<object>} The full job; a queued one also has its
+ *   `position` in the queue (0 is next).
+ * @throws {HttpError} 404 if it does not exist or belongs to someone else.
+ */
+async function getJob(store, userId, id) {
+  const job = await store.get(COLLECTION, id);
+  if (!job || job.userId !== userId) throw new HttpError(404, 'Job not found');
+  if (job.status !== 'queued') return job;
+  const queued = await store.list(COLLECTION, { status: 'queued' });
+  return { ...job, position: queued.filter((j) => j.createdAt < job.createdAt).length };
+}
+
+/**
+ * Cancel a queued or running job.
+ *
+ * @returns {Promise<object>} The cancelled job.
+ * @throws {HttpError} 404 for an unknown job, 409 if it has finished.
+ */
+async function cancelJob(store, userId, id) {
+  const job = await getJob(store, userId, id);
+  if (!ACTIVE.includes(job.status)) throw new HttpError(409, `Job is already ${job.status}`);
+  const running = runner(store).running.get(id);
+  if (running) running.controller.abort();
+  return save(store, id, { status: 'cancelled', completedAt: new Date().toISOString() });
+}
+
+/**
+ * Delete a job, cancelling it first if it is still active.
+ *
+ * @throws {HttpError} 404 for an unknown job.
+ */
+async function deleteJob(store, userId, id) {
+  const job = await getJob(store, userId, id);
+  if (ACTIVE.includes(job.status)) await cancelJob(store, userId, id);
+  await store.remove(COLLECTION, id);
+}
+
+/**
+ * Stream the user's job changes as Server‑Sent Events until the client
+ * disconnects.  The feed starts with a `snapshot` of their active jobs;
+ * after that each change is sent as an event named after the job's new
+ * status, with the job; `completed` carries the result.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {http.ServerResponse} res
+ * @param {object} [headers] - Extra response headers, e.g. CORS headers.
+ */
+async function pipeJobEvents(store, userId, res, headers) {
+  const active = (await store.list(COLLECTION, { userId })).filter((j) => ACTIVE.includes(j.status));
+  openSse(res, headers);
+  sendSseEvent(res, 'snapshot', { jobs: active.map(summary) });
+  const listener = { userId, send: (event, data) => sendSseEvent(res, event, data) };
+  const { listeners } = runner(store);
+  listeners.add(listener);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    listeners.delete(listener);
+  });
+}
+
+module.exports = {
+  cancelJob,
+  deleteJob,
+  getJob,
+  listJobs,
+  pipeJobEvents,
+  recoverJobs,
+  submitJob,
+};
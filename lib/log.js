@@ -0,0 +1,161 @@
+/*
+ * Structured logging.
+ *
+ * Every log line is one JSON object on stdout (debug, info) or stderr
+ * (warn, error):
+ *
+ *   {"time":"…","level":"info","msg":"request","requestId":"…", …}
+ *
+ * Lines written while serving a request carry its context: the
+ * request ID, and the user once they are known (see withLogContext()).
+ * The request ID is taken from an incoming `X-Request-Id` header when
+ * it looks like one, or generated, and is sent back in the response and
+ * on to upstream providers (see providers.js).
+ *
+ * Prompts, message text and credentials never reach the log: fields
+ * named like them are replaced by their length, and keys and tokens in
+ * URLs and messages are masked.
+ *
+ *   LOG_LEVEL   debug, info (default), warn, error or silent
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+// Fields whose values are user content or secrets.
+const REDACTED_FIELDS = /^(prompt|messages|system|content|text|body|apiKey|authorization|password|secret|token)$/i;
+const SECRET_PATTERNS = [
+  [/([?&](?:key|api_key|access_token|token)=)[^&\s"]+/gi, '$1[redacted]'],
+  [/(Bearer\s+)[\w.~+/=-]+/g, '$1[redacted]'],
+];
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || '').trim().toLowerCase();
+  return LEVELS[level] || LEVELS[DEFAULT_LEVEL];
+}
+
+function maskSecrets(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function serializeError(err) {
+  const fields = { name: err.name, message: maskSecrets(String(err.message)) };
+  if (err.type) fields.type = err.type;
+  if (err.status) fields.status = err.status;
+  if (err.provider) fields.provider = err.provider;
+  // Errors with a status were expected; the others are bugs.
+  if (!err.status) fields.stack = maskSecrets(String(err.stack || ''));
+  return fields;
+}
+
+/**
+ * Make a value safe to log: user content and credentials are replaced
+ * and nested values are cut off below a few levels.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === 'string') return maskSecrets(value);
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (REDACTED_FIELDS.test(key) && item !== undefined && item !== null) {
+      result[key] = typeof item === 'string' ? `[redacted ${item.length} chars]` : '[redacted]';
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact(fields),
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * The logger.  Each method takes a message and optional fields; pass a
+ * caught error as `err`.
+ *
+ * @example log.error('Could not record usage', { err });
+ */
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/* ------------------------------------------------------------------
+ * Context
+ */
+
+/**
+ * Run `fn` with fields added to every line logged from it, including
+ * from the async work it starts.  `fields` itself becomes the context,
+ * extended with the enclosing one's fields, so what addLogContext()
+ * adds later can be read from it.
+ *
+ * @param {object} fields - e.g. `{ requestId }` or `{ jobId }`.
+ * @param {function(): *} fn
+ * @returns {*} What `fn` returns.
+ */
+function withLogContext(fields, fn) {
+  return context.run(Object.assign(fields, { ...context.getStore(), ...fields }), fn);
+}
+
+/**
+ * Add fields to the current context, e.g. the user once a request has
+ * been authenticated.  Does nothing outside withLogContext().
+ *
+ * @param {object} fields
+ */
+function addLogContext(fields) {
+  const current = context.getStore();
+  if (current) Object.assign(current, fields);
+}
+
+/**
+ * @returns {object} The current context's fields, or an empty object.
+ */
+function logContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * The ID for an incoming request: its `X-Request-Id` header if that
+ * looks like an ID, otherwise a new one.
+ *
+ * @param {http.IncomingMessage} req
+ * @returns {string}
+ */
+function requestIdFor(req) {
+  const header = String(req.headers['x-request-id'] || '').trim();
+  return REQUEST_ID.test(header) ? header : crypto.randomUUID();
+}
+
+module.exports = {
+  addLogContext,
+  log,
+  logContext,
+  redact,
+  requestIdFor,
+  withLogContext,
+};
@@ -0,0 +1,224 @@
+/*
+ * Prometheus metrics, served by both servers at GET /metrics in the
+ * text exposition format:
+ *
+ *   http_requests_total{method,route,status}
+ *   http_request_duration_seconds{method,route,status}   histogram
+ *   http_requests_in_flight
+ *   upstream_requests_total{provider,model}
+ *   upstream_errors_total{provider,model,type}           see errors.js
+ *   upstream_request_duration_seconds{provider,model}    histogram
+ *   upstream_tokens_total{provider,model,kind}           input, output
+ *   generations_in_flight{provider}
+ *   upstream_circuit_open{provider}                      see resilience.js
+ *
+ * `route` is the route's pattern, e.g. `/api/scripts/:id`, so IDs do
+ * not multiply the series; requests that match no route are counted as
+ * `unmatched`.  Provider calls are reported by providers.js through
+ * upstreamStarted() and upstreamFinished(); calls that were cancelled
+ * are not counted as errors.
+ *
+ *   METRICS_TOKEN   if set, /metrics requires `Authorization: Bearer
+ *                   <token>`
+ *
+ * Metrics are kept in memory per process.
+ */
+
+const { circuitStates } = require('./resilience');
+const { log, requestIdFor } = require('./log');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+/* ------------------------------------------------------------------
+ * Registry
+ */
+
+const metrics = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => [name, String(labels[name])]));
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function define(type, name, help, extra = {}) {
+  const metric = { type, name, help, series: new Map(), ...extra };
+  metrics.push(metric);
+  return metric;
+}
+
+function series(metric, labels, create) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) metric.series.set(key, { labels: JSON.parse(key), ...create() });
+  return metric.series.get(key);
+}
+
+function increment(metric, labels = {}, amount = 1) {
+  series(metric, labels, () => ({ value: 0 })).value += amount;
+}
+
+function observe(metric, labels, value) {
+  const s = series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) s.counts[i] += 1;
+  });
+  s.sum += value;
+  s.count += 1;
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  for (const s of metric.series.values()) {
+    if (metric.type !== 'histogram') {
+      lines.push(`${metric.name}${formatLabels(s.labels)} ${s.value}`);
+      continue;
+    }
+    metric.buckets.forEach((bound, i) => {
+      lines.push(`${metric.name}_bucket${formatLabels([...s.labels, ['le', String(bound)]])} ${s.counts[i]}`);
+    });
+    lines.push(`${metric.name}_bucket${formatLabels([...s.labels, ['le', '+Inf']])} ${s.count}`);
+    lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+    lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+  }
+  return lines.join('\n');
+}
+
+/* ------------------------------------------------------------------
+ * Metrics
+ */
+
+const httpRequests = define('counter', 'http_requests_total', 'HTTP requests served.');
+const httpDuration = define('histogram', 'http_request_duration_seconds', 'Time to serve an HTTP request.',
+  { buckets: HTTP_BUCKETS });
+const httpInFlight = define('gauge', 'http_requests_in_flight', 'HTTP requests being served.');
+const upstreamRequests = define('counter', 'upstream_requests_total', 'Calls to LLM providers.');
+const upstreamErrors = define('counter', 'upstream_errors_total', 'Failed calls to LLM providers, by error type.');
+const upstreamDuration = define('histogram', 'upstream_request_duration_seconds',
+  'Time an LLM provider call took, including a streamed response.', { buckets: UPSTREAM_BUCKETS });
+const upstreamTokens = define('counter', 'upstream_tokens_total', 'Tokens reported by LLM providers.');
+const generationsInFlight = define('gauge', 'generations_in_flight', 'LLM provider calls in progress.');
+const circuitOpen = define('gauge', 'upstream_circuit_open', 'Whether a provider is paused after repeated failures.');
+
+increment(httpInFlight, {}, 0);
+
+/**
+ * Note the start of a provider call.
+ *
+ * @param {string} provider
+ * @param {string} model - The model requested.
+ * @returns {object} The call, to pass to upstreamFinished().
+ */
+function upstreamStarted(provider, model) {
+  increment(generationsInFlight, { provider });
+  return { provider, model: model || 'default', started: process.hrtime.bigint() };
+}
+
+/**
+ * Count a finished provider call and log it.
+ *
+ * @param {object} call - From upstreamStarted().
+ * @param {Error} [err] - What it failed with, if it did.
+ * @param {object} [usage] - `{ inputTokens, outputTokens }` as reported.
+ */
+function upstreamFinished(call, err, usage) {
+  const { provider, model } = call;
+  const seconds = Number(process.hrtime.bigint() - call.started) / 1e9;
+  const labels = { provider, model };
+  increment(generationsInFlight, { provider }, -1);
+  increment(upstreamRequests, labels);
+  observe(upstreamDuration, labels, seconds);
+  const aborted = err && err.name === 'AbortError';
+  if (err && !aborted) increment(upstreamErrors, { ...labels, type: err.type || 'internal' });
+  const u = usage || {};
+  if (u.inputTokens) increment(upstreamTokens, { ...labels, kind: 'input' }, u.inputTokens);
+  if (u.outputTokens) increment(upstreamTokens, { ...labels, kind: 'output' }, u.outputTokens);
+
+  let outcome = 'ok';
+  if (aborted) outcome = 'cancelled';
+  else if (err) outcome = err.type || 'error';
+  const fields = {
+    provider, model, outcome, durationMs: Math.round(seconds * 1000),
+    inputTokens: u.inputTokens, outputTokens: u.outputTokens,
+  };
+  if (err && !aborted) log.warn('upstream call failed', { ...fields, err });
+  else log.info('upstream call', fields);
+}
+
+/**
+ * Measure a request and log it when the response is finished, and set
+ * its `X-Request-Id` response header.  Run the handler with the
+ * returned fields as its log context (see log.withLogContext()) so the
+ * request line also carries what the handler adds to it.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {function(): string|null} routeOf - The matched route pattern
+ *   once the response is finished, or null if none matched.
+ * @returns {object} The log context: `{ requestId }`.
+ */
+function trackRequest(req, res, routeOf) {
+  const started = process.hrtime.bigint();
+  const scope = { requestId: requestIdFor(req) };
+  res.setHeader('X-Request-Id', scope.requestId);
+  increment(httpInFlight);
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    increment(httpInFlight, {}, -1);
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeOf() || 'unmatched';
+    // 499: the client left before the response was sent.
+    const status = res.writableFinished ? res.statusCode : 499;
+    const labels = { method: req.method, route, status };
+    increment(httpRequests, labels);
+    observe(httpDuration, labels, seconds);
+    log[status >= 500 ? 'error' : 'info']('request', {
+      ...scope,
+      method: req.method,
+      route,
+      path: String(req.url || '').split('?')[0],
+      status,
+      durationMs: Math.round(seconds * 1000),
+    });
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+  return scope;
+}
+
+/**
+ * @returns {string} Every metric in the Prometheus text format.
+ */
+function renderMetrics() {
+  for (const [provider, state] of Object.entries(circuitStates())) {
+    series(circuitOpen, { provider }, () => ({ value: 0 })).value = state.state === 'closed' ? 0 : 1;
+  }
+  return `${metrics.filter((m) => m.series.size).map(renderMetric).join('\n')}\n`;
+}
+
+/**
+ * @param {string|null} token - The request's bearer token.
+ * @returns {boolean} Whether it may read /metrics.
+ */
+function metricsAllowed(token) {
+  const expected = process.env.METRICS_TOKEN;
+  return !expected || token === expected;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  metricsAllowed,
+  renderMetrics,
+  trackRequest,
+  upstreamFinished,
+  upstreamStarted,
+};
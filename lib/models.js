@@ -0,0 +1,246 @@
+/*
+ * Model registry.
+ *
+ * Lists every model the servers can call, each as
+ *
+ *   { id, provider, label, maxOutputTokens, contextTokens, default }
+ *
+ * and the sampling parameters a request may override: `temperature`,
+ * `maxTokens` and `system`.  Requests are validated against the
+ * chosen model's limits; when a call falls back to another provider
+ * (see providers.js) the parameters are fitted to that provider's
+ * model instead.
+ *
+ * The built‑in list can be changed without code:
+ *
+ *   MODEL_REGISTRY_FILE   JSON array of models (or `{ models: [...] }`);
+ *                         entries replace built‑ins with the same id,
+ *                         and `default: true` makes one its provider's
+ *                         default
+ *   GEMINI_MODEL, CLAUDE_MODEL, OPENAI_MODEL
+ *                         the default model id for that provider
+ *
+ * The `other` provider is any server that speaks the OpenAI Chat
+ * Completions API, such as Ollama or llama.cpp:
+ *
+ *   OTHER_BASE_URL        its base URL including the version, e.g.
+ *                         http://localhost:11434/v1
+ *   OTHER_MODEL           the model to call, e.g. llama3.1
+ *   OTHER_API_KEY         sent as a bearer token if set
+ *   OTHER_MAX_OUTPUT_TOKENS  the model's output limit (default 4096)
+ */
+
+const fs = require('fs');
+
+const DEFAULT_MAX_TOKENS = 2048;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/*
+ * Per provider: display label, the variable that configures it and
+ * the temperature range its API accepts.
+ */
+const PROVIDERS = {
+  gemini: { label: 'Gemini', configVar: 'GEMINI_API_KEY', temperature: [0, 2] },
+  claude: { label: 'Claude', configVar: 'CLAUDE_API_KEY', temperature: [0, 1] },
+  openai: { label: 'OpenAI', configVar: 'OPENAI_API_KEY', temperature: [0, 2] },
+  other: { label: 'OpenAI-compatible', configVar: 'OTHER_BASE_URL', temperature: [0, 2] },
+};
+
+// Names the frontend uses for a provider rather than a model.
+const PROVIDER_ALIASES = { chatgpt: 'openai' };
+
+const BUILT_IN_MODELS = [
+  { id: 'gemini-2.5-flash', provider: 'gemini', label: 'Gemini 2.5 Flash', maxOutputTokens: 65536, contextTokens: 1048576, default: true },
+  { id: 'gemini-2.5-pro', provider: 'gemini', label: 'Gemini 2.5 Pro', maxOutputTokens: 65536, contextTokens: 1048576 },
+  { id: 'claude-3-opus-20240229', provider: 'claude', label: 'Claude 3 Opus', maxOutputTokens: 4096, contextTokens: 200000, default: true },
+  { id: 'claude-3-5-sonnet-20241022', provider: 'claude', label: 'Claude 3.5 Sonnet', maxOutputTokens: 8192, contextTokens: 200000 },
+  { id: 'gpt-4-turbo', provider: 'openai', label: 'GPT-4 Turbo', maxOutputTokens: 4096, contextTokens: 128000, default: true },
+  { id: 'gpt-4o', provider: 'openai', label: 'GPT-4o', maxOutputTokens: 16384, contextTokens: 128000 },
+];
+
+// Parsed registry files, by path, so each is read once.
+const files = new Map();
+
+function readRegistryFile(path) {
+  if (!files.has(path)) {
+    const parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.models;
+    if (!Array.isArray(list)) throw new Error(`${path} must hold an array of models`);
+    for (const model of list) {
+      if (!model || typeof model.id !== 'string' || !PROVIDERS[model.provider]) {
+        throw new Error(`${path}: every model needs an id and a known provider`);
+      }
+    }
+    files.set(path, list);
+  }
+  return files.get(path);
+}
+
+// Make `id` its provider's default, adding it with the provider's
+// usual limits if the registry does not know it.
+function setDefault(models, provider, id, limits = {}) {
+  if (!models.some((m) => m.id === id)) {
+    const template = models.find((m) => m.provider === provider && m.default) || {};
+    models.push({
+      id,
+      provider,
+      label: id,
+      maxOutputTokens: limits.maxOutputTokens || template.maxOutputTokens || 4096,
+      contextTokens: template.contextTokens || null,
+    });
+  }
+  for (const m of models) {
+    if (m.provider === provider) m.default = m.id === id;
+  }
+}
+
+/**
+ * @returns {object[]} Every registered model, defaults first per
+ *   provider.
+ */
+function listModels() {
+  const byId = new Map(BUILT_IN_MODELS.map((m) => [m.id, { ...m }]));
+  if (process.env.MODEL_REGISTRY_FILE) {
+    const extra = readRegistryFile(process.env.MODEL_REGISTRY_FILE);
+    for (const model of extra) {
+      if (model.default) {
+        for (const m of byId.values()) if (m.provider === model.provider) m.default = false;
+      }
+      byId.set(model.id, { maxOutputTokens: 4096, contextTokens: null, label: model.id, ...model });
+    }
+  }
+  const models = Array.from(byId.values());
+  for (const provider of ['gemini', 'claude', 'openai']) {
+    const id = process.env[`${provider.toUpperCase()}_MODEL`];
+    if (id) setDefault(models, provider, id);
+  }
+  if (process.env.OTHER_MODEL) {
+    const limit = parseInt(process.env.OTHER_MAX_OUTPUT_TOKENS, 10);
+    setDefault(models, 'other', process.env.OTHER_MODEL, { maxOutputTokens: limit > 0 ? limit : undefined });
+  }
+  for (const provider of Object.keys(PROVIDERS)) {
+    const own = models.filter((m) => m.provider === provider);
+    if (own.length && !own.some((m) => m.default)) own[0].default = true;
+  }
+  return models.map((m) => ({ ...m, default: m.default === true }))
+    .sort((a, b) => Number(b.default) - Number(a.default));
+}
+
+/**
+ * @param {string} provider
+ * @returns {object|null} The provider's default model.
+ */
+function defaultModel(provider) {
+  return listModels().find((m) => m.provider === provider && m.default) || null;
+}
+
+/**
+ * Resolve a client supplied `model`: a provider name (gemini, claude,
+ * openai or its alias chatgpt, other), which means that provider's
+ * default model, or a registered model id.
+ *
+ * @param {string} name
+ * @returns {{provider: string, model: object|null}|null} null if
+ *   unknown.  `model` is null for a provider with no model configured.
+ */
+function resolveModel(name) {
+  const key = String(name || '').trim().toLowerCase();
+  const provider = PROVIDER_ALIASES[key] || key;
+  if (PROVIDERS[provider]) return { provider, model: defaultModel(provider) };
+  const model = listModels().find((m) => m.id.toLowerCase() === key);
+  return model ? { provider: model.provider, model } : null;
+}
+
+/**
+ * Validate the parameters a request may override against the model
+ * it selected, or against every provider's widest limits when none
+ * was selected (cross_check).
+ *
+ * @param {object} body - `{ temperature, maxTokens, system }`.
+ * @param {object|null} model - A registry entry.
+ * @returns {{params: object}|{field: string, message: string}}
+ */
+function parseModelParams(body, model) {
+  const params = {};
+  const name = model ? ` for ${model.id}` : '';
+  if (body.temperature !== undefined) {
+    const [min, max] = model ? PROVIDERS[model.provider].temperature : [0, 2];
+    const t = body.temperature;
+    if (typeof t !== 'number' || !(t >= min && t <= max)) {
+      return { field: 'temperature', message: `must be a number between ${min} and ${max}${name}` };
+    }
+    params.temperature = t;
+  }
+  if (body.maxTokens !== undefined) {
+    const limit = model ? model.maxOutputTokens : Math.max(...listModels().map((m) => m.maxOutputTokens));
+    if (!Number.isInteger(body.maxTokens) || body.maxTokens < 1 || body.maxTokens > limit) {
+      return { field: 'maxTokens', message: `must be an integer between 1 and ${limit}${name}` };
+    }
+    params.maxTokens = body.maxTokens;
+  }
+  if (body.system !== undefined) {
+    if (typeof body.system !== 'string') return { field: 'system', message: 'must be a string' };
+    params.system = body.system;
+  }
+  return { params };
+}
+
+/**
+ * The concrete settings for one call to `provider`.  A model chosen
+ * for another provider is replaced by this provider's default, and the
+ * numbers are fitted to its limits.
+ *
+ * @param {string} provider
+ * @param {object} [params] - `{ model, temperature, maxTokens, system }`.
+ * @returns {{model: string|null, temperature: number, maxTokens: number, system: string|undefined}}
+ */
+function callSettings(provider, params = {}) {
+  const models = listModels();
+  const chosen = params.model && models.find((m) => m.id === params.model && m.provider === provider);
+  const model = chosen || models.find((m) => m.provider === provider && m.default) || null;
+  const [min, max] = PROVIDERS[provider].temperature;
+  const temperature = params.temperature === undefined ? DEFAULT_TEMPERATURE : params.temperature;
+  const maxTokens = params.maxTokens || DEFAULT_MAX_TOKENS;
+  return {
+    model: model ? model.id : null,
+    temperature: Math.min(Math.max(temperature, min), max),
+    maxTokens: model ? Math.min(maxTokens, model.maxOutputTokens) : maxTokens,
+    system: params.system,
+  };
+}
+
+/**
+ * The registry as served by GET /api/models.
+ *
+ * @param {string[]} configured - Providers that can be called.
+ * @returns {object} `{ providers, models, defaults }`.
+ */
+function modelCatalog(configured) {
+  const models = listModels();
+  return {
+    providers: Object.entries(PROVIDERS).map(([id, p]) => {
+      const fallback = models.find((m) => m.provider === id && m.default);
+      return {
+        id,
+        label: p.label,
+        configured: configured.includes(id),
+        defaultModel: fallback ? fallback.id : null,
+        temperature: { min: p.temperature[0], max: p.temperature[1] },
+      };
+    }),
+    models: models.map((m) => ({ ...m, configured: configured.includes(m.provider) })),
+    defaults: { temperature: DEFAULT_TEMPERATURE, maxTokens: DEFAULT_MAX_TOKENS },
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  PROVIDERS,
+  PROVIDER_ALIASES,
+  callSettings,
+  defaultModel,
+  listModels,
+  modelCatalog,
+  parseModelParams,
+  resolveModel,
+};
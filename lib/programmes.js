@@ -0,0 +1,161 @@
+/*
+ * Programmes: a show's profile (genre, audience, episode length and
+ * style references) that scripts are written for.  Each record is
+ * owned by the user who created it through its `userId`, and may be
+ * shared with other users (see sharing.js); programmes are returned
+ * with the caller's `role` on them.  A programme may also carry
+ * `promptTemplates` overriding the server's default prompts (see
+ * prompts.js).
+ */
+
+const { sanitizeTemplates } = require('./prompts');
+const { deleteReferences } = require('./references');
+const { indexRecord, unindexRecord } = require('./search');
+const { assertCan, deleteSharing, memberships, programmeRole } = require('./sharing');
+const { generateId } = require('./storage');
+const { assertValid } = require('./validation');
+
+const COLLECTION = 'programmes';
+
+// Request body of POST, PUT and PATCH /api/programmes (see validation.js).
+// promptTemplates is checked by prompts.sanitizeTemplates.
+const PROGRAMME_SCHEMA = {
+  name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  genre: { type: 'string', nullable: true, maxLength: 100 },
+  targetAudience: { type: 'string', nullable: true, maxLength: 500 },
+  episodeLength: { type: ['string', 'number'], nullable: true, maxLength: 50 },
+  styleReferences: { type: 'array', nullable: true, maxItems: 50, items: { type: 'string', maxLength: 20000 } },
+  promptTemplates: { type: 'object', nullable: true },
+};
+
+// The stored form of the fields present in a request.
+function programmeFields(fields) {
+  const changes = {};
+  for (const name of ['name', 'genre', 'targetAudience', 'episodeLength']) {
+    if (fields[name] !== undefined) changes[name] = fields[name];
+  }
+  if (fields.styleReferences !== undefined) changes.styleReferences = fields.styleReferences || [];
+  if (fields.promptTemplates !== undefined) changes.promptTemplates = sanitizeTemplates(fields.promptTemplates);
+  return changes;
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @returns {Promise<object[]>} The programmes the user owns or is a
+ *   member of, each with their `role`, newest first.
+ */
+async function listProgrammes(store, userId) {
+  const owned = (await store.list(COLLECTION, { userId })).map((p) => ({ ...p, role: 'owner' }));
+  const shared = [];
+  for (const { programmeId, role } of await memberships(store, userId)) {
+    const programme = await store.get(COLLECTION, programmeId);
+    if (programme) shared.push({ ...programme, role });
+  }
+  return owned.concat(shared).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} id
+ * @param {string} [action] - What the caller means to do with it; see
+ *   sharing.can().
+ * @returns {Promise<object|null>} The programme with the caller's
+ *   `role`, or null if it does not exist or is not shared with them.
+ * @throws {HttpError} 403 if their role does not allow `action`.
+ */
+async function getProgramme(store, userId, id, action = 'read') {
+  const programme = await store.get(COLLECTION, id);
+  const role = programme && await programmeRole(store, userId, programme);
+  if (!role) return null;
+  assertCan(role, action, 'programme');
+  return { ...programme, role };
+}
+
+/**
+ * @throws {ValidationError} If `fields` does not match PROGRAMME_SCHEMA.
+ */
+async function createProgramme(store, userId, fields) {
+  assertValid(PROGRAMME_SCHEMA, fields);
+  const { name, genre, targetAudience, episodeLength, styleReferences, promptTemplates } = fields;
+  const programme = await store.insert(COLLECTION, {
+    id: generateId('programme'),
+    userId,
+    name,
+    genre,
+    targetAudience,
+    episodeLength,
+    styleReferences: styleReferences || [],
+    promptTemplates: promptTemplates === undefined ? {} : sanitizeTemplates(promptTemplates),
+    createdAt: new Date().toISOString(),
+  });
+  await indexRecord(store, 'programme', programme);
+  return { ...programme, role: 'owner' };
+}
+
+/**
+ * Replace a programme's fields, or with `options.partial` (PATCH) only
+ * those present.  `promptTemplates` is only replaced when present
+ * either way, so clients unaware of it do not wipe the overrides.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {Promise<object|null>} The updated programme, or null if not found.
+ * @throws {ValidationError} If `fields` does not match PROGRAMME_SCHEMA.
+ */
+async function updateProgramme(store, userId, id, fields, options = {}) {
+  const partial = options.partial === true;
+  assertValid(PROGRAMME_SCHEMA, fields, { partial });
+  const current = await getProgramme(store, userId, id, 'edit');
+  if (!current) return null;
+  const changes = partial ? fields : {
+    genre: null, targetAudience: null, episodeLength: null, styleReferences: null, ...fields,
+  };
+  const updated = await store.update(COLLECTION, id, {
+    ...programmeFields(changes),
+    updatedAt: new Date().toISOString(),
+  });
+  await indexRecord(store, 'programme', updated);
+  return { ...updated, role: current.role };
+}
+
+// Records that outlive their programme, filed under none once it is
+// deleted.
+const DETACHED = ['scripts', 'chatSessions', 'research'];
+
+/**
+ * Delete a programme, its ideas, its reference library and everyone's
+ * access to it.  Its scripts, chat sessions and research are kept,
+ * with no programme; the scripts stay with the owner.  Only owners
+ * can.
+ *
+ * @returns {Promise<boolean>} Whether the programme existed.
+ */
+async function deleteProgramme(store, userId, id) {
+  const programme = await getProgramme(store, userId, id, 'delete');
+  if (!programme) return false;
+  await unindexRecord(store, 'programme', id);
+  await deleteSharing(store, id);
+  await deleteReferences(store, id);
+  // ideas.js depends on this module, so its records are removed here.
+  for (const idea of await store.list('ideas', { programmeId: id })) await store.remove('ideas', idea.id);
+  for (const collection of DETACHED) {
+    for (const record of await store.list(collection, { programmeId: id })) {
+      const changes = { programmeId: null };
+      if (record.ideaId) changes.ideaId = null;
+      const updated = await store.update(collection, record.id, changes);
+      if (collection === 'scripts') await indexRecord(store, 'script', updated);
+    }
+  }
+  return store.remove(COLLECTION, id);
+}
+
+module.exports = {
+  PROGRAMME_SCHEMA,
+  createProgramme,
+  deleteProgramme,
+  getProgramme,
+  listProgrammes,
+  updateProgramme,
+};
@@ -0,0 +1,146 @@
+/*
+ * Server‑side prompt templates.
+ *
+ * Templates are plain strings with `{{placeholder}}` markers.  A
+ * programme can override any of them through its `promptTemplates`
+ * object, e.g. `{ script: '…{{topic}}…' }`; anything it does not
+ * override falls back to the defaults below, which mirror the prompts
+ * the frontend used to build itself.
+ *
+ * Programme placeholders available to every template:
+ *   {{name}} {{genre}} {{targetAudience}} {{episodeLength}}
+ *   {{styleReferences}} – the references as a bulleted list, followed
+ *                         by the passages of the programme's reference
+ *                         library retrieved for the request, if any
+ *                         (see references.js)
+ * Template specific placeholders are listed next to each default.
+ */
+
+const { HttpError } = require('./errors');
+
+const DEFAULT_TEMPLATES = {
+  // {{topic}}
+  script: `أنت كاتب سيناريو محترف ومبدع متخصص في إنشاء محتوى فيديو قصير لمنصات مثل TikTok و Instagram Reels.
+مهمتك هي كتابة نص كامل ومفصل لحلقة حول الموضوع التالي: "{{topic}}".
+يجب أن يكون النص دقيقًا وموثقًا، حيث **يجب عليك تضمين مصدر كل معلومة تقدمها مباشرة في النص** على شكل رابط هايبرلينك بصيغة ماركداون [العنوان](الرابط).
+
+**تفاصيل البرنامج:**
+- **اسم البرنامج:** "{{name}}"
+- **النوع:** {{genre}}
+- **الجمهور المستهدف:** {{targetAudience}}
+- **مدة الحلقة:** {{episodeLength}}
+
+**النصوص المرجعية لأسلوب البرنامج (يجب الالتزام الصارم بنفس النبرة والأسلوب):**
+{{styleReferences}}
+
+**المتطلبات:**
+1.  **عنوان جذاب:** ابدأ النص بـ "عنوان الحلقة: " متبوعًا بالعنوان بين علامتي اقتباس.
+2.  **الالتزام بالأسلوب:** يجب أن يكون النص النهائي محاكاة دقيقة لأسلوب ونبرة النصوص المرجعية.
+3.  **الدقة والمصادر:** **كل حقيقة أو رقم أو ادعاء يجب أن يكون مدعومًا بمصدره مباشرةً** في النص.
+4.  **الصياغة:** يجب أن يكون النص مكتوبًا بلغة عربية فصيحة وجذابة ومناسبة لمنصات الفيديو القصيرة.`,
+
+  // Rewrites a generated script toward the episode length (see
+  // script-generation.js).  {{script}} {{words}} {{targetWords}}
+  // {{instruction}}
+  fit: `فيما يلي نص حلقة من برنامج "{{name}}" ({{genre}}) مدتها المطلوبة {{episodeLength}}.
+يبلغ طول النص {{words}} كلمة، والطول المناسب لمدة الحلقة حوالي {{targetWords}} كلمة.
+{{instruction}} حتى يقترب من هذا الطول، مع الحفاظ على العنوان والأسلوب والنبرة وترتيب الأقسام، وعلى كل روابط المصادر بصيغة ماركداون [العنوان](الرابط).
+أعد النص كاملًا فقط، دون أي تعليق قبله أو بعده.
+
+{{script}}`,
+
+  // {{count}} {{existingTopics}}
+  ideas: `أنت خبير في إنشاء الأفكار الإبداعية لبرامج الفيديو.
+البرنامج هو "{{name}}" ({{genre}}). الجمهور هو {{targetAudience}}. مدة الحلقة: {{episodeLength}}.
+استنادًا إلى هذه النصوص المرجعية للأسلوب:
+{{styleReferences}}
+
+المواضيع التي تناولها البرنامج من قبل (لا تكررها ولا تقترح أفكارًا قريبة منها):
+{{existingTopics}}
+
+المهمة: اقترح {{count}} أفكار جديدة ومبتكرة لحلقات تتبع نفس النمط الموضوعي والأسلوب.
+لكل فكرة، قدم عنوانًا مقترحًا ووصفًا موجزًا، وادعمها بمصدر واحد على الأقل يثبت أنها مثيرة للاهتمام أو ذات صلة.
+
+أجب بمصفوفة JSON فقط، دون أي نص آخر، بالشكل التالي:
+[{"title": "...", "description": "...", "sources": [{"title": "...", "uri": "https://..."}]}]`,
+
+  // System prompt for chat sessions.  {{scriptContext}} is the script
+  // the session is about, or empty.
+  chat: `أنت مساعد إبداعي متخصص في برنامج "{{name}}" ({{genre}}) الموجه إلى {{targetAudience}}. ساعد المستخدم في تطوير الأفكار، كتابة أجزاء من النصوص، والإجابة على الأسئلة المتعلقة بالبرنامج.
+حافظ على أسلوب ونبرة النصوص المرجعية للبرنامج:
+{{styleReferences}}
+{{scriptContext}}`,
+};
+
+const TEMPLATE_NAMES = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Validate a `promptTemplates` object from a request body.
+ *
+ * @param {object} templates
+ * @returns {object} The templates, keeping only non‑empty strings.
+ * @throws {HttpError} 400 for unknown template names or non‑string values.
+ */
+function sanitizeTemplates(templates) {
+  if (templates === null) return {};
+  if (typeof templates !== 'object' || Array.isArray(templates)) {
+    throw new HttpError(400, 'promptTemplates must be an object');
+  }
+  const result = {};
+  for (const [name, template] of Object.entries(templates)) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      throw new HttpError(400, `Unknown prompt template "${name}"; expected one of ${TEMPLATE_NAMES.join(', ')}`);
+    }
+    if (typeof template !== 'string') throw new HttpError(400, `promptTemplates.${name} must be a string`);
+    if (template.trim()) result[name] = template;
+  }
+  return result;
+}
+
+/**
+ * @param {string[]} [references] - A programme's `styleReferences`.
+ * @param {object[]} [passages] - From references.retrievePassages().
+ * @returns {string} The value of `{{styleReferences}}`.
+ */
+function formatStyleReferences(references, passages = []) {
+  const lines = (references || []).map((ref) => `- "${String(ref).substring(0, 200)}..."`);
+  if (passages.length) {
+    lines.push('', '**مقتطفات من حلقات سابقة للبرنامج ذات صلة بالموضوع:**');
+    for (const passage of passages) lines.push(`--- ${passage.title}`, passage.text.trim());
+    lines.push('---');
+  }
+  return lines.length ? lines.join('\n') : '- (لا توجد نصوص مرجعية)';
+}
+
+// Replace `{{key}}` markers; unknown markers are left as they are so a
+// typo in a custom template is visible in the output.
+function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (marker, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : marker
+  ));
+}
+
+/**
+ * Build a prompt from a programme and the template‑specific values.
+ *
+ * @param {string} name - Template name, e.g. `script`.
+ * @param {object} programme - Stored programme record.
+ * @param {object} [values] - Extra placeholders such as `topic`;
+ *   `passages` are added to `{{styleReferences}}`.
+ * @returns {string}
+ */
+function buildPrompt(name, programme, { passages, ...values } = {}) {
+  const overrides = programme.promptTemplates || {};
+  const template = overrides[name] || DEFAULT_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown prompt template ${name}`);
+  return renderTemplate(template, {
+    name: programme.name || '',
+    genre: programme.genre || '',
+    targetAudience: programme.targetAudience || '',
+    episodeLength: programme.episodeLength || '',
+    styleReferences: formatStyleReferences(programme.styleReferences, passages),
+    ...values,
+  });
+}
+
+module.exports = { DEFAULT_TEMPLATES, TEMPLATE_NAMES, buildPrompt, renderTemplate, sanitizeTemplates };
@@ -0,0 +1,896 @@
+/*
+ * Helpers to call external LLM APIs and normalize their responses.
+ *
+ * Gemini, Claude and OpenAI each return a different JSON shape and a
+ * different error body; `other` is any OpenAI‑compatible server.  Which
+ * model each call uses, and with what settings, comes from the model
+ * registry and the request (see models.js).  The call* helpers return the raw upstream
+ * JSON; generate() wraps them and returns one envelope regardless of
+ * provider:
+ *
+ *   {
+ *     text, provider, model, finishReason,
+ *     usage: { inputTokens, outputTokens, totalTokens },
+ *     sources: [ { uri, title } ],
+ *     raw            // only when requested
+ *   }
+ *
+ * streamGenerate() is the streaming counterpart and yields text
+ * deltas followed by a summary event.  Upstream failures are thrown as
+ * ProviderError (see errors.js).  Both are metered per user by
+ * usage.js.
+ *
+ * Upstream calls time out, are retried after transient failures and
+ * skip a provider that keeps failing (see resilience.js).  generate()
+ * and streamGenerate() can also fall back to other providers, in the
+ * order given by the `fallback` option or PROVIDER_FALLBACK (e.g.
+ * "claude,openai,gemini"); the envelope's `provider` is always the one
+ * that answered, and `fallback` lists the ones that failed before it.
+ *
+ * Calls made for a user who saved their own API key for the provider
+ * use it instead of the server's (see api-keys.js).
+ *
+ * Every upstream call is timed, counted and logged (see metrics.js),
+ * and sent with the `X-Request-Id` of the request or job it serves.
+ *
+ * The helpers rely on the global `fetch` available in Node.js 18+.
+ */
+
+const { savedKeyProviders, serverKeysAllowed, userApiKey } = require('./api-keys');
+const { ProviderError } = require('./errors');
+const { logContext } = require('./log');
+const { upstreamFinished, upstreamStarted } = require('./metrics');
+const { PROVIDERS: PROVIDER_INFO, callSettings, resolveModel } = require('./models');
+const {
+  callTimeout, circuitResult, circuitWait, withRetries,
+} = require('./resilience');
+const { parseSseStream } = require('./sse');
+const { admitCall, currentUser, recordCall } = require('./usage');
+
+// Upstream statuses worth retrying.
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+
+/* ------------------------------------------------------------------
+ * Error classification
+ */
+
+// Parse an upstream error body, which may or may not be JSON.
+function parseErrorBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Read a Retry-After header expressed in seconds or as an HTTP date.
+function parseRetryAfter(headers) {
+  const value = headers && headers.get && headers.get('retry-after');
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Map a non‑2xx upstream response onto a ProviderError.  Each provider
+ * reports the cause differently: Gemini uses Google RPC status names,
+ * Claude an `error.type` and OpenAI an `error.code`, so the body is
+ * consulted before falling back to the HTTP status.
+ *
+ * @param {string} provider - gemini, claude, openai or other.
+ * @param {number} status - Upstream HTTP status.
+ * @param {string} text - Upstream response body.
+ * @param {Headers} [headers] - Upstream response headers.
+ * @returns {ProviderError}
+ */
+function classifyUpstreamError(provider, status, text, headers) {
+  const body = parseErrorBody(text);
+  const err = (body && body.error) || {};
+  const detail = [ err.status, err.type, err.code ].filter(Boolean).map(String);
+  const message = err.message || text || `HTTP ${status}`;
+  const has = (...names) => names.some((n) => detail.includes(n));
+  const details = {
+    provider,
+    upstreamStatus: status,
+    retryAfter: parseRetryAfter(headers),
+    // Running out of credit is a 429 too, but waiting will not help.
+    transient: TRANSIENT_STATUS.includes(status) && !has('insufficient_quota'),
+  };
+
+  let type;
+  if (has('UNAUTHENTICATED', 'PERMISSION_DENIED', 'authentication_error',
+    'permission_error', 'invalid_api_key') || status === 401 || status === 403) {
+    type = 'auth';
+  } else if (has('RESOURCE_EXHAUSTED', 'rate_limit_error', 'insufficient_quota',
+    'rate_limit_exceeded') || status === 429) {
+    type = 'quota';
+  } else if (has('content_filter', 'content_policy_violation')) {
+    type = 'safety_blocked';
+  } else if (has('UNAVAILABLE', 'DEADLINE_EXCEEDED', 'overloaded_error', 'api_error')
+    || status >= 500) {
+    type = 'upstream_unavailable';
+  } else if (status === 400 || status === 404 || status === 422) {
+    type = 'bad_request';
+  } else {
+    type = 'upstream_error';
+  }
+  return new ProviderError(type, `${providerLabel(provider)} API error: ${message}`, details);
+}
+
+function providerLabel(provider) {
+  return PROVIDER_INFO[provider] ? PROVIDER_INFO[provider].label : provider;
+}
+
+// Run `fn` with a signal that aborts after the provider's timeout or
+// when `signal` does.  A timeout is reported as a ProviderError; an
+// abort through `signal` is rethrown untouched.
+async function withTimeout(provider, signal, fn) {
+  const ms = callTimeout(provider);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  try {
+    return await fn(controller.signal);
+  } catch (err) {
+    if (err.name !== 'AbortError' || (signal && signal.aborted)) throw err;
+    throw new ProviderError('timeout',
+      `${providerLabel(provider)} API did not respond within ${ms / 1000}s`, { provider, transient: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// POST JSON to an upstream API and return the parsed body, throwing a
+// ProviderError for non‑2xx responses and network failures.  Each
+// attempt has the provider's timeout; transient failures are retried.
+// Aborting `signal` cancels the request and any further retries.
+async function postJson(provider, url, headers, body, signal) {
+  return withRetries(() => withTimeout(provider, signal, async (combined) => {
+    const response = await openUpstream(provider, url, headers, body, combined);
+    return await response.json();
+  }), signal);
+}
+
+// POST to an upstream API and return the successful Response without
+// consuming its body.  Aborts triggered through `signal` are rethrown
+// untouched so callers can tell them apart from upstream failures.
+async function openUpstream(provider, url, headers, body, signal) {
+  const { requestId, jobId } = logContext();
+  const traced = requestId || jobId ? { 'X-Request-Id': requestId || jobId } : {};
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...traced, ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new ProviderError('upstream_unavailable',
+      `${providerLabel(provider)} API unreachable: ${err.message}`, { provider, transient: true });
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    throw classifyUpstreamError(provider, response.status, text, response.headers);
+  }
+  return response;
+}
+
+function requireKey(provider, name) {
+  const apiKey = process.env[name];
+  if (!apiKey) {
+    throw new ProviderError('not_configured', `${name} not configured`, { provider });
+  }
+  return apiKey;
+}
+
+// The key to call `provider` with for the current user: their own, or
+// null for the server's.
+async function callerKey(provider) {
+  const user = currentUser();
+  if (!user) return null;
+  const apiKey = await userApiKey(user.store, user.userId, provider);
+  if (apiKey || serverKeysAllowed()) return apiKey;
+  throw new ProviderError('not_configured',
+    `Add your own ${providerLabel(provider)} API key to use it on this server`, { provider });
+}
+
+/* ------------------------------------------------------------------
+ * Raw provider calls
+ *
+ * Base URLs can be overridden with GEMINI_BASE_URL, CLAUDE_BASE_URL
+ * and OPENAI_BASE_URL, e.g. to point the servers at a local mock
+ * upstream in tests.  The `other` provider has no default and needs
+ * OTHER_BASE_URL (see models.js).
+ */
+
+function baseUrl(name, fallback) {
+  return (process.env[name] || fallback).replace(/\/+$/, '');
+}
+
+/**
+ * Accept either a single prompt or a conversation:
+ *
+ *   { system: '…', messages: [ { role: 'user' | 'assistant', content } ] }
+ *
+ * Messages must alternate and start and end with a user turn, as
+ * Claude requires.
+ *
+ * @param {string|object} prompt
+ * @returns {{system: string|null, messages: object[]}}
+ */
+function toConversation(prompt) {
+  if (typeof prompt === 'string') return { system: null, messages: [ { role: 'user', content: prompt } ] };
+  return { system: prompt.system || null, messages: prompt.messages };
+}
+
+// Build the fetch arguments for a provider.  `stream` selects the
+// provider's streaming variant of the same endpoint.  Each provider
+// has its own multi‑turn format: Gemini calls the assistant `model`
+// and takes the system prompt as `systemInstruction`, Claude takes it
+// as a top‑level `system`, OpenAI as a leading `system` message.
+// `params` overrides the model and sampling settings (see
+// models.callSettings), including the system prompt, and `apiKey` the
+// server's key.
+function buildRequest(provider, prompt, stream, params, apiKey) {
+  const conversation = toConversation(prompt);
+  const settings = callSettings(provider, params);
+  const system = settings.system !== undefined ? settings.system : conversation.system;
+  const messages = conversation.messages;
+  if (provider === 'gemini') {
+    const key = apiKey || requireKey('gemini', 'GEMINI_API_KEY');
+    const root = baseUrl('GEMINI_BASE_URL', 'https://generativelanguage.googleapis.com');
+    const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+    const body = {
+      contents: messages.map((m) => ({
+        role: m.role === 'assistant' ? 'model' : 'user',
+        parts: [ { text: m.content } ],
+      })),
+      generationConfig: { maxOutputTokens: settings.maxTokens, temperature: settings.temperature },
+    };
+    if (system) body.systemInstruction = { parts: [ { text: system } ] };
+    return {
+      url: `${root}/v1/models/${settings.model}:${method}key=${key}`,
+      headers: {},
+      body,
+    };
+  }
+  if (provider === 'claude') {
+    const key = apiKey || requireKey('claude', 'CLAUDE_API_KEY');
+    const body = {
+      model: settings.model,
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      messages: messages.map((m) => ({ role: m.role, content: m.content })),
+    };
+    if (system) body.system = system;
+    if (stream) body.stream = true;
+    return {
+      url: `${baseUrl('CLAUDE_BASE_URL', 'https://api.anthropic.com')}/v1/messages`,
+      headers: { 'x-api-key': key, 'anthropic-version': '2023-06-01' },
+      body,
+    };
+  }
+  let url;
+  let headers;
+  if (provider === 'other') {
+    const root = requireKey('other', 'OTHER_BASE_URL').replace(/\/+$/, '');
+    if (!settings.model) throw new ProviderError('not_configured', 'OTHER_MODEL not configured', { provider });
+    url = `${root}/chat/completions`;
+    const key = apiKey || process.env.OTHER_API_KEY;
+    headers = key ? { Authorization: `Bearer ${key}` } : {};
+  } else {
+    const key = apiKey || requireKey('openai', 'OPENAI_API_KEY');
+    url = `${baseUrl('OPENAI_BASE_URL', 'https://api.openai.com')}/v1/chat/completions`;
+    headers = { Authorization: `Bearer ${key}` };
+  }
+  const body = {
+    model: settings.model,
+    messages: [
+      ...(system ? [ { role: 'system', content: system } ] : []),
+      ...messages.map((m) => ({ role: m.role, content: m.content })),
+    ],
+    max_tokens: settings.maxTokens,
+    temperature: settings.temperature,
+  };
+  if (stream) {
+    body.stream = true;
+    body.stream_options = { include_usage: true };
+  }
+  return { url, headers, body };
+}
+
+/**
+ * Call the Gemini API using its REST endpoint.  See
+ * https://cloud.google.com/ai/generative-ai/docs/model-quickstart.
+ *
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [params] - Model and sampling overrides.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @param {string} [apiKey] - Defaults to the server's key.
+ * @returns {Promise<object>} The API response JSON.
+ */
+async function callGemini(prompt, params, signal, apiKey) {
+  const { url, headers, body } = buildRequest('gemini', prompt, false, params, apiKey);
+  return postJson('gemini', url, headers, body, signal);
+}
+
+/**
+ * Call Anthropic's Claude Messages API.  See
+ * https://docs.anthropic.com/claude/docs/api-reference.
+ *
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [params] - Model and sampling overrides.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @param {string} [apiKey] - Defaults to the server's key.
+ * @returns {Promise<object>} The API response JSON.
+ */
+async function callClaude(prompt, params, signal, apiKey) {
+  const { url, headers, body } = buildRequest('claude', prompt, false, params, apiKey);
+  return postJson('claude', url, headers, body, signal);
+}
+
+/**
+ * Call OpenAI's Chat Completions API.  See
+ * https://platform.openai.com/docs/api-reference/chat.
+ *
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [params] - Model and sampling overrides.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @param {string} [apiKey] - Defaults to the server's key.
+ * @returns {Promise<object>} The API response JSON.
+ */
+async function callOpenAI(prompt, params, signal, apiKey) {
+  const { url, headers, body } = buildRequest('openai', prompt, false, params, apiKey);
+  return postJson('openai', url, headers, body, signal);
+}
+
+/**
+ * Call an OpenAI‑compatible Chat Completions API at OTHER_BASE_URL,
+ * e.g. a local Ollama or llama.cpp server.
+ *
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [params] - Model and sampling overrides.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @param {string} [apiKey] - Defaults to the server's key.
+ * @returns {Promise<object>} The API response JSON.
+ */
+async function callOther(prompt, params, signal, apiKey) {
+  const { url, headers, body } = buildRequest('other', prompt, false, params, apiKey);
+  return postJson('other', url, headers, body, signal);
+}
+
+/* ------------------------------------------------------------------
+ * Normalization
+ */
+
+// Collect `[title](https://…)` links the model wrote into its answer.
+function extractMarkdownSources(text) {
+  const regex = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g;
+  const sources = [];
+  let match;
+  while ((match = regex.exec(text || '')) !== null) {
+    sources.push({ uri: match[2], title: match[1] });
+  }
+  return sources;
+}
+
+// Drop empty URIs and keep the first occurrence of each URI.
+function dedupeSources(sources) {
+  const seen = new Map();
+  for (const source of sources) {
+    if (source.uri && !seen.has(source.uri)) seen.set(source.uri, source);
+  }
+  return Array.from(seen.values());
+}
+
+const FINISH_REASONS = {
+  // Gemini
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'safety',
+  RECITATION: 'safety',
+  BLOCKLIST: 'safety',
+  PROHIBITED_CONTENT: 'safety',
+  SPII: 'safety',
+  // Claude
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_use',
+  refusal: 'safety',
+  // OpenAI
+  stop: 'stop',
+  length: 'length',
+  content_filter: 'safety',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+};
+
+function normalizeFinishReason(reason) {
+  if (!reason) return null;
+  return FINISH_REASONS[reason] || 'other';
+}
+
+function usage(inputTokens, outputTokens, totalTokens) {
+  const input = inputTokens || 0;
+  const output = outputTokens || 0;
+  return { inputTokens: input, outputTokens: output, totalTokens: totalTokens || input + output };
+}
+
+// `model` is the one requested, for responses that do not name theirs.
+function normalizeGemini(raw, model = callSettings('gemini').model) {
+  const blockReason = raw.promptFeedback && raw.promptFeedback.blockReason;
+  if (blockReason) {
+    throw new ProviderError('safety_blocked',
+      `Gemini blocked the prompt: ${blockReason}`, { provider: 'gemini' });
+  }
+  const candidate = (raw.candidates || [])[0] || {};
+  const parts = (candidate.content && candidate.content.parts) || [];
+  const text = parts.map((p) => p.text || '').join('');
+  const finishReason = normalizeFinishReason(candidate.finishReason);
+  if (!text && finishReason === 'safety') {
+    throw new ProviderError('safety_blocked',
+      `Gemini blocked the response: ${candidate.finishReason}`, { provider: 'gemini' });
+  }
+  const chunks = (candidate.groundingMetadata && candidate.groundingMetadata.groundingChunks) || [];
+  const grounded = chunks
+    .filter((c) => c.web)
+    .map((c) => ({ uri: c.web.uri || '', title: c.web.title || '' }));
+  const meta = raw.usageMetadata || {};
+  return {
+    text,
+    provider: 'gemini',
+    model: raw.modelVersion || model,
+    finishReason,
+    usage: usage(meta.promptTokenCount, meta.candidatesTokenCount, meta.totalTokenCount),
+    sources: dedupeSources([ ...grounded, ...extractMarkdownSources(text) ]),
+  };
+}
+
+function normalizeClaude(raw, model = callSettings('claude').model) {
+  const text = (raw.content || [])
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('');
+  const finishReason = normalizeFinishReason(raw.stop_reason);
+  if (!text && finishReason === 'safety') {
+    throw new ProviderError('safety_blocked', 'Claude refused to answer', { provider: 'claude' });
+  }
+  const u = raw.usage || {};
+  return {
+    text,
+    provider: 'claude',
+    model: raw.model || model,
+    finishReason,
+    usage: usage(u.input_tokens, u.output_tokens),
+    sources: dedupeSources(extractMarkdownSources(text)),
+  };
+}
+
+// Also used for the `other` provider, which answers in the same shape.
+function normalizeOpenAI(raw, provider = 'openai', model = callSettings(provider).model) {
+  const choice = (raw.choices || [])[0] || {};
+  const text = (choice.message && choice.message.content) || '';
+  const finishReason = normalizeFinishReason(choice.finish_reason);
+  if (!text && finishReason === 'safety') {
+    throw new ProviderError('safety_blocked',
+      `${providerLabel(provider)} content filter blocked the response`, { provider });
+  }
+  const u = raw.usage || {};
+  return {
+    text,
+    provider,
+    model: raw.model || model,
+    finishReason,
+    usage: usage(u.prompt_tokens, u.completion_tokens, u.total_tokens),
+    sources: dedupeSources(extractMarkdownSources(text)),
+  };
+}
+
+const PROVIDERS = {
+  gemini: { call: callGemini, normalize: normalizeGemini },
+  claude: { call: callClaude, normalize: normalizeClaude },
+  openai: { call: callOpenAI, normalize: (raw, model) => normalizeOpenAI(raw, 'openai', model) },
+  other: { call: callOther, normalize: (raw, model) => normalizeOpenAI(raw, 'other', model) },
+};
+
+/**
+ * Resolve a client supplied model name to a provider id.  Provider
+ * names (with `chatgpt` as an alias of `openai`, to match the
+ * frontend's Model enum) and registered model ids are accepted; see
+ * models.resolveModel.
+ *
+ * @param {string} model
+ * @returns {string|null} gemini, claude, openai, other or null if unsupported.
+ */
+function resolveProvider(model) {
+  const resolved = resolveModel(model);
+  return resolved ? resolved.provider : null;
+}
+
+/**
+ * List the providers whose API key (or, for `other`, base URL) is
+ * present in the environment.
+ *
+ * @returns {string[]}
+ */
+function configuredProviders() {
+  return Object.keys(PROVIDERS).filter((provider) => process.env[PROVIDER_INFO[provider].configVar]);
+}
+
+/**
+ * List the providers a user can call: those configured on the server,
+ * unless SERVER_KEY_FALLBACK is false, and those they saved a key for
+ * (`other` also needs OTHER_BASE_URL).
+ *
+ * @param {{store: object, userId: string}|null} [user] - Defaults to
+ *   the user being metered (see usage.withUsage); without one, the
+ *   configured providers.
+ * @returns {Promise<string[]>}
+ */
+async function availableProviders(user = currentUser()) {
+  const configured = configuredProviders();
+  if (!user) return configured;
+  const own = (await savedKeyProviders(user.store, user.userId))
+    .filter((provider) => provider !== 'other' || process.env.OTHER_BASE_URL);
+  return Object.keys(PROVIDERS)
+    .filter((provider) => own.includes(provider) || (serverKeysAllowed() && configured.includes(provider)));
+}
+
+/* ------------------------------------------------------------------
+ * Admission and fallback
+ */
+
+// Let a call through if the provider is not paused (resilience.js)
+// and the user is within their limits (usage.js).  `apiKey` is the
+// user's own key from callerKey(), if any.  Returns the call to pass to
+// endCall().
+async function startCall(provider, model, apiKey) {
+  const wait = circuitWait(provider);
+  if (wait) {
+    throw new ProviderError('upstream_unavailable',
+      `${providerLabel(provider)} is paused after repeated failures`, { provider, retryAfter: wait });
+  }
+  try {
+    await admitCall(provider);
+  } catch (err) {
+    circuitResult(provider, err);
+    throw err;
+  }
+  return { ...upstreamStarted(provider, model), ownKey: Boolean(apiKey) };
+}
+
+// Report a finished call to the breaker, the metrics and the usage
+// counters.  `usage` is null if nothing billable came back.  A call
+// that failed on our side before reaching the provider is not counted
+// against the user.
+async function endCall(call, err, usage) {
+  circuitResult(call.provider, err, { ownKey: call.ownKey });
+  upstreamFinished(call, err, usage);
+  const local = err && err.name !== 'AbortError' && !(err instanceof ProviderError);
+  if (!local) await recordCall(call.provider, usage);
+}
+
+function defaultFallback() {
+  return String(process.env.PROVIDER_FALLBACK || '')
+    .split(',')
+    .map((name) => resolveProvider(name.trim()))
+    .filter(Boolean);
+}
+
+// The providers to try, in order: the requested one, then the
+// configured fallbacks.
+async function fallbackChain(provider, fallback) {
+  const configured = await availableProviders();
+  const rest = (fallback === undefined ? defaultFallback() : fallback)
+    .filter((p) => p !== provider && configured.includes(p));
+  return [provider, ...new Set(rest)];
+}
+
+// A failure another provider might not have; a bad or blocked prompt
+// would fail everywhere.
+function canFallBack(err) {
+  return err instanceof ProviderError && !['bad_request', 'safety_blocked'].includes(err.type);
+}
+
+/**
+ * Try `attempt` with each provider of the chain until one succeeds.
+ *
+ * @returns {Promise<{provider: string, result: *, failures: object[]}>}
+ */
+async function withFallback(provider, fallback, attempt) {
+  const chain = await fallbackChain(provider, fallback);
+  const failures = [];
+  for (let i = 0; ; i++) {
+    try {
+      return { provider: chain[i], result: await attempt(chain[i]), failures };
+    } catch (err) {
+      if (i === chain.length - 1 || !canFallBack(err)) throw err;
+      failures.push(err.toJSON());
+    }
+  }
+}
+
+function fallbackReport(provider, failures) {
+  return failures.length ? { fallback: { requested: provider, failures } } : {};
+}
+
+/**
+ * Run a prompt against a provider and return the normalized envelope.
+ *
+ * @param {string} provider - gemini, claude, openai or other (see resolveProvider).
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [options]
+ * @param {boolean} [options.includeRaw] - Attach the upstream JSON as `raw`.
+ * @param {object} [options.params] - `{ model, temperature, maxTokens,
+ *   system }` overrides (see models.js).
+ * @param {string[]} [options.fallback] - Providers to try, in order, if
+ *   `provider` fails; defaults to PROVIDER_FALLBACK.  Pass [] to only
+ *   ever use `provider`.
+ * @param {AbortSignal} [options.signal] - Cancels the upstream request.
+ * @returns {Promise<object>} The normalized response envelope.
+ */
+async function generate(provider, prompt, options = {}) {
+  if (!PROVIDERS[provider]) throw new ProviderError('bad_request', `Unsupported provider: ${provider}`);
+  const { result, failures } = await withFallback(provider, options.fallback, async (candidate) => {
+    const entry = PROVIDERS[candidate];
+    const apiKey = await callerKey(candidate);
+    const model = callSettings(candidate, options.params).model;
+    const call = await startCall(candidate, model, apiKey);
+    let raw;
+    let envelope;
+    try {
+      raw = await entry.call(prompt, options.params, options.signal, apiKey);
+      envelope = entry.normalize(raw, model);
+    } catch (err) {
+      await endCall(call, err, null);
+      throw err;
+    }
+    await endCall(call, null, envelope.usage);
+    if (options.includeRaw) envelope.raw = raw;
+    return envelope;
+  });
+  return { ...result, ...fallbackReport(provider, failures) };
+}
+
+/* ------------------------------------------------------------------
+ * Streaming
+ *
+ * streamGenerate() consumes a provider's server‑sent event stream and
+ * yields provider‑agnostic events:
+ *
+ *   { type: 'delta', text }
+ *   { type: 'done', provider, model, finishReason, usage, sources }
+ *
+ * Upstream errors, whether reported before or during the stream, are
+ * thrown as ProviderError.
+ */
+
+// Turn an in‑stream error payload into a ProviderError.
+function streamError(provider, payload) {
+  return classifyUpstreamError(provider, 0, JSON.stringify(payload));
+}
+
+// Extract the text delta and bookkeeping fields from one upstream
+// event, updating `state` in place.  Returns the delta text, if any.
+const STREAM_READERS = {
+  gemini(data, state) {
+    if (data.error) throw streamError('gemini', data);
+    const blockReason = data.promptFeedback && data.promptFeedback.blockReason;
+    if (blockReason) {
+      throw new ProviderError('safety_blocked',
+        `Gemini blocked the prompt: ${blockReason}`, { provider: 'gemini' });
+    }
+    const candidate = (data.candidates || [])[0] || {};
+    if (candidate.finishReason) state.finishReason = candidate.finishReason;
+    const chunks = (candidate.groundingMetadata && candidate.groundingMetadata.groundingChunks) || [];
+    for (const c of chunks) {
+      if (c.web) state.sources.push({ uri: c.web.uri || '', title: c.web.title || '' });
+    }
+    if (data.modelVersion) state.model = data.modelVersion;
+    if (data.usageMetadata) {
+      const m = data.usageMetadata;
+      state.usage = usage(m.promptTokenCount, m.candidatesTokenCount, m.totalTokenCount);
+    }
+    const parts = (candidate.content && candidate.content.parts) || [];
+    return parts.map((p) => p.text || '').join('');
+  },
+  claude(data, state, event) {
+    if (event === 'error' || data.type === 'error') throw streamError('claude', data);
+    if (data.type === 'message_start' && data.message) {
+      state.model = data.message.model || state.model;
+      const u = data.message.usage || {};
+      state.usage = usage(u.input_tokens, u.output_tokens);
+    } else if (data.type === 'content_block_delta' && data.delta && data.delta.type === 'text_delta') {
+      return data.delta.text;
+    } else if (data.type === 'message_delta') {
+      if (data.delta && data.delta.stop_reason) state.finishReason = data.delta.stop_reason;
+      if (data.usage) {
+        state.usage = usage(state.usage.inputTokens, data.usage.output_tokens);
+      }
+    }
+    return '';
+  },
+  openai: openAIStreamReader('openai'),
+  other: openAIStreamReader('other'),
+};
+
+function openAIStreamReader(provider) {
+  return (data, state) => {
+    if (data.error) throw streamError(provider, data);
+    if (data.model) state.model = data.model;
+    if (data.usage) {
+      const u = data.usage;
+      state.usage = usage(u.prompt_tokens, u.completion_tokens, u.total_tokens);
+    }
+    const choice = (data.choices || [])[0];
+    if (!choice) return '';
+    if (choice.finish_reason) state.finishReason = choice.finish_reason;
+    return (choice.delta && choice.delta.content) || '';
+  };
+}
+
+// Watch a streamed response body: `controller` is aborted when the
+// provider sends nothing for its timeout while a chunk is awaited.
+// watch() passes the body's chunks through; error() turns the abort
+// that follows into a timeout ProviderError.
+function idleTimeout(provider, controller) {
+  const ms = callTimeout(provider);
+  let timer = null;
+  let expired = false;
+  const arm = () => {
+    timer = setTimeout(() => {
+      expired = true;
+      controller.abort();
+    }, ms);
+  };
+  return {
+    async* watch(body) {
+      arm();
+      try {
+        for await (const chunk of body) {
+          clearTimeout(timer);
+          yield chunk;
+          arm();
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    error(err) {
+      if (!expired) return err;
+      return new ProviderError('timeout',
+        `${providerLabel(provider)} API sent nothing for ${ms / 1000}s`, { provider, transient: true });
+    },
+  };
+}
+
+// Reported for a stream its consumer stopped reading.
+function streamClosed() {
+  const err = new Error('The stream was closed before it finished');
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Stream a prompt through a provider's streaming API.  The stream is
+ * cut off with a timeout error if the provider goes quiet for its
+ * timeout (see resilience.callTimeout), and the upstream request is
+ * aborted if the consumer stops reading early.
+ *
+ * @param {string} provider - gemini, claude, openai or other.
+ * @param {string|object} prompt - The user prompt or a conversation
+ *   (see toConversation).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request.
+ * @param {object} [options.params] - See generate().
+ * @param {string[]} [options.fallback] - See generate().
+ * @returns {AsyncGenerator<object>} Normalized stream events.
+ */
+async function* streamGenerate(provider, prompt, options = {}) {
+  if (!STREAM_READERS[provider]) throw new ProviderError('bad_request', `Unsupported provider: ${provider}`);
+  // Aborted by options.signal, by the idle timeout and when the
+  // consumer stops reading.
+  const controller = new AbortController();
+  const { signal } = controller;
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+  }
+  // Fall back only while opening the stream; once text has been sent
+  // the provider is committed.
+  const opened = await withFallback(provider, options.fallback, async (candidate) => {
+    const apiKey = await callerKey(candidate);
+    const { url, headers, body } = buildRequest(candidate, prompt, true, options.params, apiKey);
+    const call = await startCall(candidate, callSettings(candidate, options.params).model, apiKey);
+    try {
+      const response = await withRetries(() => withTimeout(candidate, signal,
+        (combined) => openUpstream(candidate, url, headers, body, combined)), signal);
+      return { call, response };
+    } catch (err) {
+      await endCall(call, err, null);
+      throw err;
+    }
+  });
+  const served = opened.provider;
+  const read = STREAM_READERS[served];
+  const idle = idleTimeout(served, controller);
+  const state = {
+    model: callSettings(served, options.params).model,
+    finishReason: null,
+    usage: usage(),
+    sources: [],
+  };
+  let text = '';
+  let failure = streamClosed();
+  try {
+    for await (const { event, data } of parseSseStream(idle.watch(opened.result.response.body))) {
+      if (data === '[DONE]') break;
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (_err) {
+        continue;
+      }
+      const delta = read(payload, state, event);
+      if (delta) {
+        text += delta;
+        yield { type: 'delta', text: delta };
+      }
+    }
+    failure = null;
+  } catch (err) {
+    failure = idle.error(err);
+    throw failure;
+  } finally {
+    if (failure) controller.abort();
+    // Whatever was streamed before a failure (or before the client
+    // left) has been paid for.
+    await endCall(opened.result.call, failure, failure && !text ? null : state.usage);
+  }
+  const finishReason = normalizeFinishReason(state.finishReason);
+  if (!text && finishReason === 'safety') {
+    throw new ProviderError('safety_blocked',
+      `${providerLabel(served)} blocked the response`, { provider: served });
+  }
+  yield {
+    type: 'done',
+    provider: served,
+    model: state.model,
+    finishReason,
+    usage: state.usage,
+    sources: dedupeSources([ ...state.sources, ...extractMarkdownSources(text) ]),
+    ...fallbackReport(provider, opened.failures),
+  };
+}
+
+module.exports = {
+  availableProviders,
+  callGemini,
+  callClaude,
+  callOpenAI,
+  callOther,
+  classifyUpstreamError,
+  configuredProviders,
+  dedupeSources,
+  extractMarkdownSources,
+  generate,
+  normalizeClaude,
+  normalizeGemini,
+  normalizeOpenAI,
+  resolveProvider,
+  streamGenerate,
+};
@@ -0,0 +1,317 @@
+/*
+ * Style reference library: scripts and transcripts of past episodes
+ * uploaded to a programme so generation can imitate how the show
+ * actually sounds.
+ *
+ * Each reference is split into chunks of about REFERENCE_CHUNK_CHARS
+ * characters (default 1200) along paragraph and sentence boundaries,
+ * stored as offsets on the reference.  The chunks of a programme's
+ * references are indexed in memory with BM25 over the same Arabic
+ * aware terms as search.js, and when a script is generated or a chat
+ * message sent, the REFERENCE_PASSAGES (default 3) chunks most
+ * relevant to the topic or message are added to the prompt's
+ * `{{styleReferences}}` (see prompts.js).  The index is rebuilt
+ * whenever the programme's references change.
+ *
+ * Anyone with access to the programme can list its references; adding,
+ * re‑indexing and deleting them needs a role that can edit it (see
+ * sharing.js).  References are stored in `references`, owned by the
+ * programme's owner.
+ */
+
+const { HttpError } = require('./errors');
+const { terms } = require('./search');
+const { assertCan, programmeRole } = require('./sharing');
+const { generateId } = require('./storage');
+const { assertValid } = require('./validation');
+
+const COLLECTION = 'references';
+const KINDS = ['script', 'transcript'];
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_CHUNK_CHARS = 1200;
+const DEFAULT_PASSAGES = 3;
+// Sentence ends (Latin and Arabic) and line breaks a long paragraph is
+// preferably cut after.
+const SENTENCE_END = /[.!?؟…\n]/;
+
+// Request body of POST /api/programmes/:id/references (see validation.js).
+const REFERENCE_SCHEMA = {
+  title: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+  kind: { type: 'string', enum: KINDS },
+  content: { type: 'string', required: true, minLength: 1, maxLength: 500000 },
+};
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+async function requireProgramme(store, userId, programmeId, action) {
+  const programme = await store.get('programmes', programmeId);
+  const role = programme && await programmeRole(store, userId, programme);
+  if (!role) throw new HttpError(404, 'Programme not found');
+  assertCan(role, action, 'programme');
+  return programme;
+}
+
+// A reference as listed: everything but its text.
+function summary({ content, chunks, ...rest }) {
+  return { ...rest, length: content.length, chunkCount: chunks.length };
+}
+
+/* ------------------------------------------------------------------
+ * Chunking
+ */
+
+// Cut [start, end) into pieces of at most `size`, after a sentence end
+// or a space where there is one in the second half of the piece.
+function splitLong(text, start, end, size) {
+  const pieces = [];
+  while (end - start > size) {
+    let cut = -1;
+    for (let i = start + size - 1; i >= start + size / 2 && cut === -1; i--) {
+      if (SENTENCE_END.test(text[i])) cut = i + 1;
+    }
+    if (cut === -1) cut = text.lastIndexOf(' ', start + size - 1) + 1;
+    if (cut <= start + size / 2) cut = start + size;
+    let pieceEnd = cut;
+    while (/\s/.test(text[pieceEnd - 1])) pieceEnd -= 1;
+    pieces.push({ start, end: pieceEnd });
+    start = cut;
+    while (start < end && /\s/.test(text[start])) start += 1;
+  }
+  if (end > start) pieces.push({ start, end });
+  return pieces;
+}
+
+/**
+ * Split text into chunks of whole paragraphs where they fit.
+ *
+ * @param {string} text
+ * @param {number} size - Largest chunk, in characters.
+ * @returns {{start: number, end: number}[]} Offsets into `text`.
+ */
+function chunkText(text, size) {
+  const pieces = [];
+  // Paragraphs: runs of text separated by blank lines.
+  for (const match of text.matchAll(/\S(?:[\s\S]*?\S)?(?=\s*\n\s*\n|\s*$)/g)) {
+    pieces.push(...splitLong(text, match.index, match.index + match[0].length, size));
+  }
+  const chunks = [];
+  for (const piece of pieces) {
+    const last = chunks[chunks.length - 1];
+    if (last && piece.end - last.start <= size) last.end = piece.end;
+    else chunks.push({ ...piece });
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} content - A reference's text.
+ * @returns {{start: number, end: number}[]} Its chunks at the
+ *   configured REFERENCE_CHUNK_CHARS.
+ */
+function referenceChunks(content) {
+  return chunkText(content, setting('REFERENCE_CHUNK_CHARS', DEFAULT_CHUNK_CHARS));
+}
+
+/* ------------------------------------------------------------------
+ * Index
+ */
+
+// store -> programmeId -> { signature, index }
+const indexes = new WeakMap();
+
+// Changes whenever a reference is added, re-indexed or deleted.
+function signatureOf(references) {
+  return references.map((r) => `${r.id}@${r.indexedAt}`).join(',');
+}
+
+function buildIndex(references) {
+  const docs = [];
+  const postings = new Map(); // term -> Set of doc positions
+  let totalLength = 0;
+  for (const reference of references) {
+    reference.chunks.forEach(({ start, end }, chunk) => {
+      const counts = new Map();
+      const found = terms(reference.content.slice(start, end));
+      for (const { term } of found) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const term of counts.keys()) {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(docs.length);
+      }
+      docs.push({ reference, chunk, start, end, length: found.length, counts });
+      totalLength += found.length;
+    });
+  }
+  return { docs, postings, averageLength: totalLength / docs.length || 1 };
+}
+
+async function programmeIndex(store, programmeId) {
+  const references = (await store.list(COLLECTION, { programmeId })).reverse();
+  if (!indexes.has(store)) indexes.set(store, new Map());
+  const byProgramme = indexes.get(store);
+  const signature = signatureOf(references);
+  const cached = byProgramme.get(programmeId);
+  if (cached && cached.signature === signature) return cached.index;
+  const index = buildIndex(references);
+  byProgramme.set(programmeId, { signature, index });
+  return index;
+}
+
+/**
+ * The passages of a programme's references most relevant to a query,
+ * ranked with BM25.  Passages need only share one term with the query.
+ * The caller is expected to have checked access to the programme.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} programmeId
+ * @param {string} query - A topic or message.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Defaults to REFERENCE_PASSAGES.
+ * @returns {Promise<object[]>} Best first: `{ referenceId, title, kind,
+ *   chunk, start, end, score, text }`.
+ */
+async function retrievePassages(store, programmeId, query, options = {}) {
+  const limit = options.limit || setting('REFERENCE_PASSAGES', DEFAULT_PASSAGES);
+  const index = await programmeIndex(store, programmeId);
+  const queryTerms = [...new Set(terms(query || '').map((t) => t.term))].filter((t) => index.postings.has(t));
+  const scores = new Map(); // doc position -> score
+  for (const term of queryTerms) {
+    const positions = index.postings.get(term);
+    const idf = Math.log(1 + (index.docs.length - positions.size + 0.5) / (positions.size + 0.5));
+    for (const position of positions) {
+      const doc = index.docs[position];
+      const tf = doc.counts.get(term) / (1 - B + B * doc.length / index.averageLength);
+      scores.set(position, (scores.get(position) || 0) + idf * tf * (K1 + 1) / (tf + K1));
+    }
+  }
+  return Array.from(scores)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([position, score]) => {
+      const { reference, chunk, start, end } = index.docs[position];
+      return {
+        referenceId: reference.id,
+        title: reference.title,
+        kind: reference.kind,
+        chunk,
+        start,
+        end,
+        score: Math.round(score * 1000) / 1000,
+        text: reference.content.slice(start, end),
+      };
+    });
+}
+
+/**
+ * @param {object[]} passages - From retrievePassages().
+ * @returns {object[]} What a response reports about them: the passages
+ *   without their text.
+ */
+function usedReferences(passages) {
+  return passages.map(({ text, ...rest }) => rest);
+}
+
+/* ------------------------------------------------------------------
+ * Library
+ */
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} programmeId
+ * @returns {Promise<object[]>} The programme's references without their
+ *   text, with `length` and `chunkCount`, newest first.
+ * @throws {HttpError} 404 if the caller has no access to the programme.
+ */
+async function listReferences(store, userId, programmeId) {
+  await requireProgramme(store, userId, programmeId, 'read');
+  return (await store.list(COLLECTION, { programmeId })).map(summary);
+}
+
+/**
+ * Upload a reference script or transcript and index it.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {object} body - `{ title, kind, content }`; kind is script
+ *   (default) or transcript.
+ * @returns {Promise<object>} The stored reference, as listed.
+ * @throws {ValidationError} For an invalid body.
+ * @throws {HttpError} 404 for an unknown programme, 403 if the caller
+ *   cannot edit it.
+ */
+async function addReference(store, userId, programmeId, body) {
+  const programme = await requireProgramme(store, userId, programmeId, 'edit');
+  assertValid(REFERENCE_SCHEMA, body);
+  const now = new Date().toISOString();
+  const reference = await store.insert(COLLECTION, {
+    id: generateId('reference'),
+    programmeId,
+    userId: programme.userId,
+    addedBy: userId,
+    title: body.title.trim(),
+    kind: body.kind || 'script',
+    content: body.content,
+    chunks: referenceChunks(body.content),
+    indexedAt: now,
+    createdAt: now,
+  });
+  return summary(reference);
+}
+
+/**
+ * Chunk a programme's references again, e.g. after changing
+ * REFERENCE_CHUNK_CHARS.
+ *
+ * @returns {Promise<object[]>} The references, as listed.
+ * @throws {HttpError} See addReference().
+ */
+async function reindexReferences(store, userId, programmeId) {
+  await requireProgramme(store, userId, programmeId, 'edit');
+  const now = new Date().toISOString();
+  const references = [];
+  for (const reference of await store.list(COLLECTION, { programmeId })) {
+    references.push(summary(await store.update(COLLECTION, reference.id, {
+      chunks: referenceChunks(reference.content),
+      indexedAt: now,
+    })));
+  }
+  return references;
+}
+
+/**
+ * @throws {HttpError} 404 for an unknown reference; see addReference().
+ */
+async function deleteReference(store, userId, programmeId, referenceId) {
+  await requireProgramme(store, userId, programmeId, 'edit');
+  const reference = await store.get(COLLECTION, referenceId);
+  if (!reference || reference.programmeId !== programmeId) throw new HttpError(404, 'Reference not found');
+  await store.remove(COLLECTION, referenceId);
+}
+
+/**
+ * Remove a deleted programme's references.
+ *
+ * @param {object} store
+ * @param {string} programmeId
+ */
+async function deleteReferences(store, programmeId) {
+  for (const reference of await store.list(COLLECTION, { programmeId })) await store.remove(COLLECTION, reference.id);
+  if (indexes.has(store)) indexes.get(store).delete(programmeId);
+}
+
+module.exports = {
+  REFERENCE_SCHEMA,
+  addReference,
+  deleteReference,
+  deleteReferences,
+  listReferences,
+  referenceChunks,
+  reindexReferences,
+  retrievePassages,
+  usedReferences,
+};
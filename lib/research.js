@@ -0,0 +1,309 @@
+/*
+ * Deep research jobs.
+ *
+ * A research job takes a topic through three stages:
+ *
+ *   1. plan       – the model breaks the topic into sub‑questions
+ *                   (skipped when the client supplies `questions`);
+ *   2. investigate – each sub‑question is answered with the requested
+ *                   model or mode, a few at a time;
+ *   3. synthesize – the findings are merged into one report.
+ *
+ * POST /api/research stores the job and answers straight away; the job
+ * runs in the background and is saved after every step, so polling
+ * GET /api/research/:id shows its progress.  A failed sub‑question is
+ * recorded and skipped; the job only fails if none of them succeeded.
+ *
+ * Citations from every step are normalized to `{ uri, title }` and
+ * de‑duplicated by URL (see citations.js), and can be attached to
+ * a script's `sources`.
+ */
+
+const { normalizeSources } = require('./citations');
+const { HttpError, ProviderError, ValidationError } = require('./errors');
+const {
+  orchestrate, parseGenerationRequest, parseJsonAnswer, primaryAnswer, sumUsage,
+} = require('./generation');
+const { log } = require('./log');
+const { getProgramme } = require('./programmes');
+const { getScript, updateScript } = require('./scripts');
+const { generateId } = require('./storage');
+
+const COLLECTION = 'research';
+const DEFAULT_QUESTIONS = 4;
+const MAX_QUESTIONS = 8;
+// Sub‑questions answered at the same time.
+const CONCURRENCY = 2;
+
+/* ------------------------------------------------------------------
+ * Prompts
+ */
+
+function planPrompt(topic, count) {
+  return `أنت باحث خبير. نريد إجراء بحث معمق وشامل حول الموضوع التالي: "${topic}".
+قسّم هذا الموضوع إلى ${count} أسئلة فرعية محددة، يغطي كل منها جانبًا مختلفًا (الخلفية، الحقائق والأرقام، الآراء المختلفة، أحدث التطورات...).
+
+أجب بمصفوفة JSON من النصوص فقط، دون أي نص آخر، بالشكل التالي:
+["السؤال الأول", "السؤال الثاني"]`;
+}
+
+function questionPrompt(topic, question) {
+  return `في إطار بحث معمق حول "${topic}"، أجب عن السؤال التالي بدقة وتفصيل: "${question}".
+استخدم أحدث المعلومات من مصادر موثوقة ومتنوعة.
+**يجب أن يكون كل ادعاء أو معلومة مدعومًا بمصدره المباشر** على شكل رابط هايبرلينك بصيغة ماركداون [العنوان](الرابط).`;
+}
+
+function synthesisPrompt(topic, findings) {
+  const sections = findings.map((f, i) => {
+    const sources = f.sources.map((s) => `- [${s.title}](${s.uri})`).join('\n') || '- (لا توجد)';
+    return `### ${i + 1}. ${f.question}\n${f.answer}\n\nالمصادر:\n${sources}`;
+  }).join('\n\n');
+  return `أنت باحث خبير. فيما يلي نتائج بحث حول "${topic}"، مقسمة حسب الأسئلة الفرعية:
+
+${sections}
+
+المهمة: ادمج هذه النتائج في تقرير واحد مفصل ومنظم بعناوين واضحة، مع إزالة التكرار والإشارة إلى أي تعارض بين النتائج.
+**احتفظ بالمصادر:** يجب أن تبقى كل معلومة مدعومة بمصدرها على شكل رابط هايبرلينك بصيغة ماركداون [العنوان](الرابط)، ولا تضف روابط غير موجودة أعلاه.`;
+}
+
+// Accept the JSON array the prompt asks for; fall back to one question
+// per line ending in a question mark.
+function parseQuestions(text) {
+  const parsed = parseJsonAnswer(text);
+  const list = Array.isArray(parsed)
+    ? parsed.map((q) => (q && typeof q === 'object' ? q.question : q))
+    : String(text || '').split(/\r?\n/).filter((line) => /[?؟]\s*$/.test(line))
+      .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)-])\s*/, ''));
+  return list.filter((q) => typeof q === 'string' && q.trim()).map((q) => q.trim());
+}
+
+/* ------------------------------------------------------------------
+ * Running a job
+ */
+
+function describeError(err) {
+  if (err instanceof ProviderError) return err.toJSON();
+  return { error: err.message || String(err) };
+}
+
+async function save(store, job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await store.update(COLLECTION, job.id, job);
+}
+
+async function ask(request, prompt) {
+  const result = await orchestrate({ ...request, prompt });
+  const answer = primaryAnswer(result, request.provider);
+  return { ...answer, usage: result.usage, sources: normalizeSources(answer.sources) };
+}
+
+async function investigate(store, job, request) {
+  const usages = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < job.questions.length) {
+      const entry = job.questions[next];
+      next += 1;
+      entry.status = 'running';
+      try {
+        const answer = await ask(request, questionPrompt(job.topic, entry.question));
+        Object.assign(entry, {
+          status: 'completed',
+          answer: answer.text,
+          sources: answer.sources,
+          provider: answer.provider,
+          model: answer.model,
+        });
+        usages.push({ usage: answer.usage });
+      } catch (err) {
+        Object.assign(entry, { status: 'failed', error: describeError(err) });
+      }
+      await save(store, job, {});
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, job.questions.length) }, worker));
+  return usages;
+}
+
+async function runJob(store, job, request, maxQuestions) {
+  const usages = [];
+  if (!job.questions.length) {
+    await save(store, job, { stage: 'plan' });
+    const plan = await ask(request, planPrompt(job.topic, maxQuestions));
+    usages.push({ usage: plan.usage });
+    const questions = parseQuestions(plan.text).slice(0, maxQuestions);
+    if (!questions.length) throw new Error('The model did not return any sub-questions');
+    job.questions = questions.map((question) => ({ question, status: 'pending' }));
+  }
+
+  await save(store, job, { stage: 'investigate' });
+  usages.push(...await investigate(store, job, request));
+  const findings = job.questions.filter((q) => q.status === 'completed');
+  if (!findings.length) throw new Error('None of the sub-questions could be answered');
+
+  await save(store, job, { stage: 'synthesize' });
+  const collected = normalizeSources(findings.flatMap((f) => f.sources));
+  let report;
+  try {
+    const synthesis = await ask(request, synthesisPrompt(job.topic, findings));
+    usages.push({ usage: synthesis.usage });
+    report = { text: synthesis.text, sources: normalizeSources([...synthesis.sources, ...collected]) };
+  } catch (err) {
+    // Keep the findings rather than losing the whole job.
+    report = {
+      text: findings.map((f) => `## ${f.question}\n\n${f.answer}`).join('\n\n'),
+      sources: collected,
+      synthesisError: describeError(err),
+    };
+  }
+  const completedAt = new Date().toISOString();
+  await save(store, job, {
+    status: 'completed',
+    stage: null,
+    report: report.text,
+    sources: report.sources,
+    ...(report.synthesisError ? { synthesisError: report.synthesisError } : {}),
+    usage: sumUsage(usages),
+    completedAt,
+  });
+}
+
+/* ------------------------------------------------------------------
+ * Public API
+ */
+
+/**
+ * Store a new research job and start it in the background.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {object} body - `{ topic, model, mode, programmeId, questions,
+ *   maxQuestions }` from the request.  `questions` is an optional list
+ *   of sub‑questions to use instead of planning them.
+ * @returns {Promise<object>} The job as stored, with status `running`.
+ * @throws {HttpError} 400 for an invalid body, 404 for an unknown programme.
+ */
+async function startResearch(store, userId, body) {
+  const topic = typeof body.topic === 'string' ? body.topic.trim() : '';
+  if (!topic) throw new HttpError(400, 'Missing topic');
+  const maxQuestions = body.maxQuestions === undefined ? DEFAULT_QUESTIONS : Number(body.maxQuestions);
+  if (!Number.isInteger(maxQuestions) || maxQuestions < 1 || maxQuestions > MAX_QUESTIONS) {
+    throw new HttpError(400, `maxQuestions must be an integer between 1 and ${MAX_QUESTIONS}`);
+  }
+  let questions = [];
+  if (body.questions !== undefined) {
+    if (!Array.isArray(body.questions) || body.questions.some((q) => typeof q !== 'string')) {
+      throw new HttpError(400, 'questions must be an array of strings');
+    }
+    questions = body.questions.map((q) => q.trim()).filter(Boolean).slice(0, MAX_QUESTIONS);
+  }
+  if (body.programmeId !== undefined && !(await getProgramme(store, userId, body.programmeId))) {
+    throw new HttpError(404, 'Programme not found');
+  }
+  const { request, error, errors } = parseGenerationRequest({ ...body, prompt: topic });
+  if (error) throw new ValidationError(error, errors);
+
+  const now = new Date().toISOString();
+  const job = await store.insert(COLLECTION, {
+    id: generateId('research'),
+    userId,
+    ...(body.programmeId !== undefined ? { programmeId: body.programmeId } : {}),
+    topic,
+    mode: request.mode,
+    provider: request.provider,
+    status: 'running',
+    stage: null,
+    questions: questions.map((question) => ({ question, status: 'pending' })),
+    report: null,
+    sources: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+
+  // runJob updates its own copy in place and saves it after each step.
+  const running = { ...job, questions: job.questions.map((q) => ({ ...q })) };
+  runJob(store, running, request, maxQuestions).catch((err) => (
+    save(store, running, { status: 'failed', stage: null, error: describeError(err) })
+  )).catch((err) => log.error('Could not record research failure', { err }));
+  return job;
+}
+
+/**
+ * Mark jobs that were running when the server stopped as failed.
+ * Call once at startup, before accepting requests.
+ *
+ * @param {object} store
+ * @returns {Promise<number>} The number of jobs marked failed.
+ */
+async function failInterruptedResearch(store) {
+  const running = await store.list(COLLECTION, { status: 'running' });
+  for (const job of running) {
+    await store.update(COLLECTION, job.id, {
+      status: 'failed',
+      stage: null,
+      error: { error: 'The server restarted before the job finished' },
+      updatedAt: new Date().toISOString(),
+    });
+  }
+  return running.length;
+}
+
+/**
+ * @returns {Promise<object[]>} The user's jobs, newest first, without
+ *   the report and findings.
+ */
+async function listResearch(store, userId) {
+  const jobs = await store.list(COLLECTION, { userId });
+  return jobs.map(({ report, questions, sources, ...summary }) => ({
+    ...summary,
+    questionCount: questions.length,
+    sourceCount: sources.length,
+  }));
+}
+
+/**
+ * @returns {Promise<object>} The full job.
+ * @throws {HttpError} 404 if it does not exist or belongs to someone else.
+ */
+async function getResearch(store, userId, id) {
+  const job = await store.get(COLLECTION, id);
+  if (!job || job.userId !== userId) throw new HttpError(404, 'Research job not found');
+  return job;
+}
+
+async function deleteResearch(store, userId, id) {
+  const job = await getResearch(store, userId, id);
+  await store.remove(COLLECTION, job.id);
+}
+
+/**
+ * Add a completed job's citations to a script's sources, recording a
+ * new revision.  Sources the script already has are not repeated, and
+ * if nothing is new the script is returned unchanged.
+ *
+ * @returns {Promise<object>} The updated script.
+ * @throws {HttpError} 404 for an unknown job or script, 409 if the job
+ *   has not completed.
+ */
+async function attachResearch(store, userId, id, scriptId) {
+  const job = await getResearch(store, userId, id);
+  if (job.status !== 'completed') throw new HttpError(409, 'Research job has not completed');
+  const script = await getScript(store, userId, scriptId, 'edit');
+  if (!script) throw new HttpError(404, 'Script not found');
+  const sources = normalizeSources([...(script.sources || []), ...job.sources]);
+  if (JSON.stringify(sources) === JSON.stringify(script.sources)) return script;
+  return updateScript(store, userId, script.id, {
+    content: script.content,
+    sources,
+    origin: { type: 'research', researchId: job.id },
+  });
+}
+
+module.exports = {
+  attachResearch,
+  deleteResearch,
+  failInterruptedResearch,
+  getResearch,
+  listResearch,
+  startResearch,
+};
@@ -0,0 +1,192 @@
+/*
+ * Timeouts, retries and circuit breaking for upstream provider calls.
+ *
+ *   PROVIDER_TIMEOUT_MS           time allowed per call (default 60000);
+ *                                 GEMINI_TIMEOUT_MS, CLAUDE_TIMEOUT_MS,
+ *                                 OPENAI_TIMEOUT_MS and OTHER_TIMEOUT_MS
+ *                                 override it.  A
+ *                                 streamed call has to start in time and
+ *                                 is cut off if the provider then sends
+ *                                 nothing for as long.
+ *   PROVIDER_RETRIES              retries after a transient failure
+ *                                 (default 2): timeouts, network errors,
+ *                                 408, 429 and 5xx responses
+ *   CIRCUIT_BREAKER_THRESHOLD     failed calls in a row that pause a
+ *                                 provider (default 5, 0 disables)
+ *   CIRCUIT_BREAKER_COOLDOWN_MS   how long it stays paused (default 30000)
+ *
+ * Retries back off exponentially with full jitter, or wait as long as
+ * the upstream's Retry-After asks, unless that is longer than
+ * MAX_RETRY_WAIT_MS, in which case the error is returned at once so a
+ * fallback provider can take over.
+ *
+ * Only failures the provider itself reported count towards pausing it:
+ * errors, timeouts and unreachable or refusing servers.  A call that
+ * failed on our side, e.g. on a malformed prompt, says nothing about
+ * the provider.  Nor does a user's own API key being rejected or out of
+ * quota: the breaker is shared by everyone calling the provider, so one
+ * bad saved key must not pause it for the rest.
+ *
+ * A paused provider is not called at all.  Once the cooldown is over a
+ * single trial call is let through: if it succeeds the provider is
+ * back, if not it is paused again.  Breaker state is kept in memory
+ * per process.
+ */
+
+const { ProviderError } = require('./errors');
+
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+const MAX_RETRY_WAIT_MS = 10000;
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * @param {string} provider
+ * @returns {number} Milliseconds a call to `provider` may take.
+ */
+function callTimeout(provider) {
+  const fallback = setting('PROVIDER_TIMEOUT_MS', 60000);
+  return setting(`${provider.toUpperCase()}_TIMEOUT_MS`, fallback) || fallback;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// How long to wait before retry number `attempt` (0‑based), or null
+// if `err` should not be retried.
+function retryDelay(err, attempt) {
+  if (!err || !err.transient) return null;
+  if (err.retryAfter !== undefined) {
+    const wait = err.retryAfter * 1000;
+    return wait <= MAX_RETRY_WAIT_MS ? wait : null;
+  }
+  return Math.round(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt));
+}
+
+/**
+ * Call `fn` until it succeeds, fails with a non‑transient error or the
+ * retries run out.
+ *
+ * @param {function(): Promise<*>} fn
+ * @param {AbortSignal} [signal] - Stops retrying once aborted.
+ * @returns {Promise<*>} What `fn` resolved with.
+ */
+async function withRetries(fn, signal) {
+  const retries = setting('PROVIDER_RETRIES', 2);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      const delay = attempt < retries ? retryDelay(err, attempt) : null;
+      if (delay === null || (signal && signal.aborted)) throw err;
+      await sleep(delay, signal);
+      if (signal && signal.aborted) throw err;
+    }
+  }
+}
+
+/* ------------------------------------------------------------------
+ * Circuit breaker
+ */
+
+// ProviderError types of calls the provider answered on their merits.
+const ANSWERED = ['bad_request', 'safety_blocked'];
+// ProviderError types that count as the provider failing.
+const FAILURES = ['auth', 'quota', 'upstream_unavailable', 'timeout', 'upstream_error'];
+// ProviderError types that are about the API key the call was made with.
+const KEY_FAILURES = ['auth', 'quota'];
+
+// provider -> { failures, state: closed | open | trial, openedAt }
+const circuits = new Map();
+
+function circuit(provider) {
+  if (!circuits.has(provider)) circuits.set(provider, { failures: 0, state: 'closed', openedAt: 0 });
+  return circuits.get(provider);
+}
+
+/**
+ * Ask whether `provider` may be called now.  When a cooldown has just
+ * ended this admits the trial call, which must be reported with
+ * circuitResult().
+ *
+ * @param {string} provider
+ * @returns {number} 0 if the call may go ahead, otherwise the seconds
+ *   until the provider will be tried again.
+ */
+function circuitWait(provider) {
+  const threshold = setting('CIRCUIT_BREAKER_THRESHOLD', 5);
+  const c = circuit(provider);
+  if (!threshold || c.state === 'closed') return 0;
+  const cooldown = setting('CIRCUIT_BREAKER_COOLDOWN_MS', 30000);
+  const wait = c.openedAt + cooldown - Date.now();
+  if (c.state === 'open' && wait <= 0) {
+    c.state = 'trial';
+    return 0;
+  }
+  // During a trial call the others wait as if the cooldown went on.
+  return Math.max(1, Math.ceil(Math.max(wait, 1000) / 1000));
+}
+
+/**
+ * Report how a call admitted by circuitWait() went.  An answer the
+ * provider refused on its merits (a bad request, a blocked prompt)
+ * counts as success.  A call that never got an answer from it, because
+ * the client left, a local limit or setting stopped it or it failed
+ * on our side, counts as neither.  So does a user's own key being
+ * rejected or out of quota.
+ *
+ * @param {string} provider
+ * @param {Error} [err] - The error the call failed with, if it did.
+ * @param {object} [options]
+ * @param {boolean} [options.ownKey] - The call was made with the
+ *   user's own API key rather than the server's.
+ */
+function circuitResult(provider, err, options = {}) {
+  const c = circuit(provider);
+  const upstream = err instanceof ProviderError;
+  if (!err || (upstream && ANSWERED.includes(err.type))) {
+    c.failures = 0;
+    c.state = 'closed';
+    return;
+  }
+  if (!upstream || !FAILURES.includes(err.type) || (options.ownKey && KEY_FAILURES.includes(err.type))) {
+    if (c.state === 'trial') c.state = 'open';
+    return;
+  }
+  c.failures += 1;
+  const threshold = setting('CIRCUIT_BREAKER_THRESHOLD', 5);
+  if (threshold && (c.state === 'trial' || c.failures >= threshold)) {
+    c.state = 'open';
+    c.openedAt = Date.now();
+  }
+}
+
+/**
+ * @returns {object} provider -> `{ state, failures }` for every
+ *   provider called since the process started.
+ */
+function circuitStates() {
+  return Object.fromEntries(Array.from(circuits, ([provider, c]) => [provider, {
+    state: c.state,
+    failures: c.failures,
+  }]));
+}
+
+module.exports = {
+  callTimeout,
+  circuitResult,
+  circuitStates,
+  circuitWait,
+  withRetries,
+};
@@ -0,0 +1,141 @@
+/*
+ * Script revision history.
+ *
+ * Every change to a script's content or sources appends an immutable
+ * revision recording who made it, when, and where the text came from:
+ *
+ *   origin: { type: 'manual' }
+ *   origin: { type: 'generated', provider: 'claude', model: '…' }
+ *   origin: { type: 'restore', restoredFrom: 3 }
+ *   origin: { type: 'research', researchId: '…' }
+ *   origin: { type: 'chat', sessionId: '…', messageId: '…', provider, model }
+ *
+ * Revisions are numbered from 1 per script and are never updated; the
+ * script record keeps the number of its current revision in
+ * `revision`.
+ */
+
+const { diffText, GRANULARITIES } = require('./diff');
+const { HttpError } = require('./errors');
+const { generateId } = require('./storage');
+
+const COLLECTION = 'revisions';
+const ORIGIN_TYPES = ['manual', 'generated', 'restore', 'import', 'research', 'chat'];
+
+/**
+ * Normalize a client supplied origin.  Accepts a type string or an
+ * object; anything unrecognised is recorded as a manual edit.
+ *
+ * @param {string|object} [origin]
+ * @returns {object}
+ */
+function normalizeOrigin(origin) {
+  const value = typeof origin === 'string' ? { type: origin } : origin || {};
+  const type = ORIGIN_TYPES.includes(value.type) ? value.type : 'manual';
+  const normalized = { type };
+  if (type === 'generated' || type === 'chat') {
+    if (value.provider) normalized.provider = String(value.provider);
+    if (value.model) normalized.model = String(value.model);
+    if (value.mode) normalized.mode = String(value.mode);
+  }
+  if (type === 'chat') {
+    if (value.sessionId) normalized.sessionId = String(value.sessionId);
+    if (value.messageId) normalized.messageId = String(value.messageId);
+  }
+  if (type === 'restore' && value.restoredFrom) normalized.restoredFrom = Number(value.restoredFrom);
+  if (type === 'research' && value.researchId) normalized.researchId = String(value.researchId);
+  return normalized;
+}
+
+/**
+ * Append a revision capturing the script's current content and sources.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {object} script - The script as stored after the change.
+ * @param {object} meta
+ * @param {string} meta.author - User ID of whoever made the change.
+ * @param {object} meta.origin - See normalizeOrigin().
+ * @returns {Promise<object>} The new revision.
+ */
+async function recordRevision(store, script, { author, origin }) {
+  return store.insert(COLLECTION, {
+    id: generateId('revision'),
+    scriptId: script.id,
+    userId: script.userId,
+    number: script.revision,
+    content: script.content,
+    sources: script.sources,
+    author,
+    origin: normalizeOrigin(origin),
+    createdAt: script.updatedAt || script.createdAt,
+  });
+}
+
+/**
+ * @returns {Promise<object[]>} Revision metadata, newest first, without
+ *   the content itself.
+ */
+async function listRevisions(store, scriptId) {
+  const revisions = await store.list(COLLECTION, { scriptId });
+  return revisions.map(({ content, sources, ...meta }) => ({
+    ...meta,
+    length: (content || '').length,
+    sourceCount: (sources || []).length,
+  }));
+}
+
+/**
+ * @returns {Promise<object>} The full revision.
+ * @throws {HttpError} 404 if the script has no such revision.
+ */
+async function getRevision(store, scriptId, number) {
+  const [revision] = await store.list(COLLECTION, { scriptId, number: Number(number) });
+  if (!revision) throw new HttpError(404, 'Revision not found');
+  return revision;
+}
+
+/**
+ * Diff two revisions of a script.  `from` defaults to the revision
+ * before `to`, and `to` to the latest revision.
+ *
+ * @param {object} store
+ * @param {object} script
+ * @param {object} [options]
+ * @param {number|string} [options.from]
+ * @param {number|string} [options.to]
+ * @param {string} [options.granularity] - line (default) or word.
+ * @returns {Promise<object>} See diff.diffText(), plus `from` and `to`.
+ */
+async function diffRevisions(store, script, options = {}) {
+  const granularity = options.granularity || 'line';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new HttpError(400, `granularity must be one of ${GRANULARITIES.join(', ')}`);
+  }
+  const to = options.to !== undefined ? Number(options.to) : script.revision;
+  const from = options.from !== undefined ? Number(options.from) : to - 1;
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+    throw new HttpError(400, 'from and to must be revision numbers');
+  }
+  const [before, after] = await Promise.all([
+    getRevision(store, script.id, from),
+    getRevision(store, script.id, to),
+  ]);
+  return { from, to, ...diffText(before.content, after.content, granularity) };
+}
+
+/**
+ * Delete every revision of a script.
+ */
+async function deleteRevisions(store, scriptId) {
+  const revisions = await store.list(COLLECTION, { scriptId });
+  for (const revision of revisions) await store.remove(COLLECTION, revision.id);
+}
+
+module.exports = {
+  deleteRevisions,
+  diffRevisions,
+  getRevision,
+  listRevisions,
+  normalizeOrigin,
+  recordRevision,
+};
@@ -0,0 +1,148 @@
+/*
+ * Programme‑aware script generation.  The client only sends a topic;
+ * the prompt is built on the server from the stored programme and its
+ * templates (see prompts.js), run through the requested model or mode,
+ * and the result is saved as a new script linked to the programme.
+ * Passages of the programme's reference library relevant to the topic
+ * are included in the prompt (see references.js).
+ *
+ * With `fitLength: true`, a script whose estimated duration misses the
+ * programme's episodeLength by more than LENGTH_TOLERANCE (see
+ * analysis.js) is rewritten once by the model that wrote it, shortened
+ * or expanded toward the target, and the rewrite is kept if it comes
+ * closer.
+ */
+
+const { analyzeScript } = require('./analysis');
+const { parseDuration } = require('./duration');
+const { HttpError, ValidationError } = require('./errors');
+const { orchestrate, parseGenerationRequest, primaryAnswer } = require('./generation');
+const { getProgramme } = require('./programmes');
+const { buildPrompt } = require('./prompts');
+const { dedupeSources, generate } = require('./providers');
+const { retrievePassages, usedReferences } = require('./references');
+const { createScript } = require('./scripts');
+
+/**
+ * Check a request to generate a script for a programme.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {object} body - `{ topic, model, mode, fitLength }` from the request.
+ * @returns {Promise<{programme: object, topic: string, request: object, references: object[]}>}
+ *   The programme, the topic, the generation request to run and the
+ *   reference passages in its prompt (see references.usedReferences).
+ * @throws {HttpError} 404 for an unknown programme, 403 if the user's role
+ *   does not allow editing it, 400 for a bad request.
+ */
+async function parseScriptRequest(store, userId, programmeId, body) {
+  const programme = await getProgramme(store, userId, programmeId, 'edit');
+  if (!programme) throw new HttpError(404, 'Programme not found');
+  const topic = typeof body.topic === 'string' ? body.topic.trim() : '';
+  if (!topic) throw new HttpError(400, 'Missing topic');
+  if (body.fitLength !== undefined && typeof body.fitLength !== 'boolean') {
+    throw new HttpError(400, 'fitLength must be a boolean');
+  }
+  if (body.fitLength && !parseDuration(programme.episodeLength)) {
+    throw new HttpError(400, 'fitLength needs the programme to have an episodeLength such as "3 دقائق"');
+  }
+  const passages = await retrievePassages(store, programme.id, topic);
+  const prompt = buildPrompt('script', programme, { topic, passages });
+  const { request, error, errors } = parseGenerationRequest({ ...body, prompt });
+  if (error) throw new ValidationError(error, errors);
+  return { programme, topic, request, references: usedReferences(passages) };
+}
+
+// What a fit report says about a text's length.
+function lengthOf(analysis) {
+  const { words, estimatedSeconds, difference: { percent, verdict } } = analysis;
+  return { words, estimatedSeconds, percent, verdict };
+}
+
+/**
+ * Rewrite an answer toward the programme's episode length if it is off
+ * target.  A failed rewrite leaves the answer as it was.
+ *
+ * @param {object} programme
+ * @param {object} answer - From generation.primaryAnswer().
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{answer: object, fit: object}>} The answer to keep
+ *   and `{ applied, target, before, after, provider, model, usage }`,
+ *   with `error` instead of `after` if the rewrite failed.
+ */
+async function fitToLength(programme, answer, options = {}) {
+  const before = analyzeScript({ content: answer.text, sources: answer.sources }, programme);
+  const fit = { applied: false, target: before.target, before: lengthOf(before), after: null };
+  if (before.difference.verdict === 'on_target') return { answer, fit };
+
+  const prompt = buildPrompt('fit', programme, {
+    script: answer.text,
+    words: before.words,
+    targetWords: before.target.words,
+    instruction: before.difference.verdict === 'long'
+      ? 'اختصر النص بحذف التكرار والتفاصيل الأقل أهمية'
+      : 'وسّع النص بتفاصيل وأمثلة إضافية موثقة بمصادرها',
+  });
+  let result;
+  try {
+    result = await generate(answer.provider, prompt, {
+      signal: options.signal,
+      params: { model: answer.model },
+      fallback: [],
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return { answer, fit: { ...fit, error: err.message } };
+  }
+  const fitted = {
+    ...answer,
+    text: result.text,
+    sources: dedupeSources([...result.sources, ...answer.sources]),
+  };
+  const after = analyzeScript({ content: fitted.text, sources: fitted.sources }, programme);
+  const applied = Math.abs(after.difference.percent) < Math.abs(before.difference.percent);
+  return {
+    answer: applied ? fitted : answer,
+    fit: { ...fit, applied, after: lengthOf(after), provider: result.provider, model: result.model, usage: result.usage },
+  };
+}
+
+/**
+ * Generate and save a script for one of the user's programmes.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} programmeId
+ * @param {object} body - See parseScriptRequest().
+ * @param {object} [links] - Extra fields to store on the script, e.g. `ideaId`.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels generation; nothing is saved.
+ * @returns {Promise<{script: object, generation: object, references: object[], fit: object|null}>}
+ *   The saved script, the generation result without its text
+ *   (provider, model, usage, steps or cross‑check results), the
+ *   reference passages the prompt included and, with `fitLength`, the
+ *   report of fitToLength().
+ * @throws {HttpError} See parseScriptRequest().
+ * @throws {ProviderError} If generation failed.
+ */
+async function generateProgrammeScript(store, userId, programmeId, body, links = {}, options = {}) {
+  const { programme, topic, request, references } = await parseScriptRequest(store, userId, programmeId, body);
+  const result = await orchestrate(request, { signal: options.signal });
+  let answer = primaryAnswer(result, request.provider);
+  let fit = null;
+  if (body.fitLength) ({ answer, fit } = await fitToLength(programme, answer, { signal: options.signal }));
+  const script = await createScript(store, userId, {
+    programmeId: programme.id,
+    topic,
+    content: answer.text,
+    sources: answer.sources,
+    origin: { type: 'generated', provider: answer.provider, model: answer.model, mode: request.mode },
+    ...links,
+  });
+  const { text, ...generation } = result;
+  return { script, generation, references, fit };
+}
+
+module.exports = { generateProgrammeScript, parseScriptRequest };
@@ -0,0 +1,273 @@
+/*
+ * Saved scripts.  A script usually belongs to a programme through
+ * `programmeId`, whose members share it (see sharing.js), and is then
+ * owned by the programme's owner whoever wrote it; `createdBy` is the
+ * user who saved it.  A script outside any programme belongs to that
+ * user.  Scripts are returned with the caller's `role` on them.  Every write also appends a revision (see revisions.js), so
+ * `revision` on the script is the number of its current revision.
+ * `status` and `airDate` belong to the editorial workflow (see
+ * workflow.js); the status only changes through its transitions, or
+ * back to draft when approved text is edited.
+ */
+
+const { HttpError, ValidationError } = require('./errors');
+const { deleteComments } = require('./comments');
+const { deleteFactChecks } = require('./fact-check');
+const { getProgramme } = require('./programmes');
+const { deleteRevisions, getRevision, recordRevision } = require('./revisions');
+const { indexRecord, unindexRecord } = require('./search');
+const { assertCan, memberships, scriptRole } = require('./sharing');
+const { generateId } = require('./storage');
+const { assertValid } = require('./validation');
+const {
+  INITIAL_STATUS, checkAirDate, deleteWorkflowEvents, recordEvent, scriptStatus, statusAfterEdit,
+} = require('./workflow');
+
+const COLLECTION = 'scripts';
+
+// Request body of POST, PUT and PATCH /api/scripts (see validation.js).
+const SCRIPT_SCHEMA = {
+  programmeId: { type: 'string', nullable: true },
+  topic: { type: 'string', nullable: true, maxLength: 1000 },
+  content: { type: 'string', required: true },
+  sources: {
+    type: 'array',
+    nullable: true,
+    maxItems: 200,
+    items: {
+      type: 'object',
+      fields: {
+        uri: { type: 'string' },
+        url: { type: 'string' },
+        title: { type: 'string', nullable: true },
+      },
+    },
+  },
+  airDate: { type: 'string', nullable: true },
+  origin: { type: ['string', 'object'] },
+  ideaId: { type: 'string' },
+};
+
+// Records that hang off a script and are owned along with it.
+const DEPENDENTS = ['revisions', 'factChecks', 'comments', 'workflowEvents'];
+
+// A script may only be filed under a programme the user can edit.
+// Returns the programme, or null for none.
+async function checkProgramme(store, userId, programmeId) {
+  if (!programmeId) return null;
+  const programme = await getProgramme(store, userId, programmeId, 'edit');
+  if (!programme) {
+    throw new ValidationError('Invalid request body', [
+      { field: 'programmeId', message: 'does not match any of your programmes' },
+    ]);
+  }
+  return programme;
+}
+
+// Hand a script's dependent records to its new owner.
+async function transferDependents(store, scriptId, userId) {
+  for (const name of DEPENDENTS) {
+    for (const record of await store.list(name, { scriptId })) {
+      if (record.userId !== userId) await store.update(name, record.id, { userId });
+    }
+  }
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @returns {Promise<object[]>} The user's own scripts and those in
+ *   programmes they own or are a member of, each with their `role`,
+ *   newest first.
+ */
+async function listScripts(store, userId) {
+  const byId = new Map();
+  for (const script of await store.list(COLLECTION, { userId })) byId.set(script.id, { ...script, role: 'owner' });
+  const programmes = (await store.list('programmes', { userId })).map((p) => ({ programmeId: p.id, role: 'owner' }));
+  for (const { programmeId, role } of programmes.concat(await memberships(store, userId))) {
+    for (const script of await store.list(COLLECTION, { programmeId })) {
+      if (!byId.has(script.id)) byId.set(script.id, { ...script, role });
+    }
+  }
+  return Array.from(byId.values())
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} id
+ * @param {string} [action] - What the caller means to do with it; see
+ *   sharing.can().
+ * @returns {Promise<object|null>} The script with the caller's `role`,
+ *   or null if it does not exist or is not shared with them.
+ * @throws {HttpError} 403 if their role does not allow `action`.
+ */
+async function getScript(store, userId, id, action = 'read') {
+  const script = await store.get(COLLECTION, id);
+  const role = script && await scriptRole(store, userId, script);
+  if (!role) return null;
+  assertCan(role, action, 'script');
+  return { ...script, role };
+}
+
+/**
+ * Save a new script as revision 1.  `fields.origin` describes where the
+ * text came from (see revisions.normalizeOrigin); it defaults to a
+ * manual edit.  `fields.ideaId` links a script promoted from an
+ * episode idea back to it.
+ *
+ * @throws {ValidationError} If `fields` does not match SCRIPT_SCHEMA or
+ *   `programmeId` is not one of the user's programmes.
+ */
+async function createScript(store, userId, fields) {
+  assertValid(SCRIPT_SCHEMA, fields);
+  const { programmeId, topic, content, sources, origin, ideaId } = fields;
+  const airDate = fields.airDate === undefined ? undefined : checkAirDate(fields.airDate);
+  const programme = await checkProgramme(store, userId, programmeId);
+  const script = await store.insert(COLLECTION, {
+    id: generateId('script'),
+    userId: programme ? programme.userId : userId,
+    createdBy: userId,
+    programmeId,
+    topic,
+    content,
+    sources,
+    ...(ideaId ? { ideaId } : {}),
+    status: INITIAL_STATUS,
+    ...(airDate ? { airDate } : {}),
+    revision: 1,
+    createdAt: new Date().toISOString(),
+  });
+  await recordRevision(store, script, { author: userId, origin });
+  await indexRecord(store, 'script', script);
+  return { ...script, role: programme ? programme.role : 'owner' };
+}
+
+/**
+ * Replace a script's content and sources, recording a new revision.
+ * With `options.partial` (PATCH) only the fields present change, and
+ * `topic`, `programmeId` and `airDate` can be changed too; a new
+ * revision is only recorded if the content or sources changed, and a
+ * new air date is recorded as a workflow event.  Revising an approved
+ * script sends it back to draft (see workflow.statusAfterEdit).
+ * Filing the script under a programme hands it to the programme's
+ * owner; only owners of the script can take it out of its programme.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.partial]
+ * @returns {Promise<object|null>} The updated script, or null if not found.
+ * @throws {ValidationError} If `fields` does not match SCRIPT_SCHEMA or
+ *   `programmeId` is not one of the user's programmes.
+ * @throws {HttpError} 403 if the user's role does not allow editing,
+ *   or moving the script out of its programme; 409 for a revision of a
+ *   recorded or aired script.
+ */
+async function updateScript(store, userId, id, fields, options = {}) {
+  const partial = options.partial === true;
+  assertValid(SCRIPT_SCHEMA, fields, { partial });
+  const current = await getScript(store, userId, id, 'edit');
+  if (!current) return null;
+  const { content, sources, origin } = fields;
+  const revised = !partial || content !== undefined || sources !== undefined;
+  const status = revised ? statusAfterEdit(current) : null;
+  const now = new Date().toISOString();
+  const reset = status ? { status, statusChangedAt: now, statusChangedBy: userId } : {};
+  if (!partial) {
+    const updated = await store.update(COLLECTION, id, {
+      content,
+      sources,
+      ...reset,
+      revision: (current.revision || 0) + 1,
+      updatedAt: now,
+    });
+    await recordRevision(store, updated, { author: userId, origin });
+    await recordReset(store, updated, current, userId);
+    await indexRecord(store, 'script', updated);
+    return { ...updated, role: current.role };
+  }
+
+  const changes = {};
+  for (const name of ['programmeId', 'topic', 'content', 'sources']) {
+    if (fields[name] !== undefined) changes[name] = fields[name];
+  }
+  const moved = changes.programmeId !== undefined && changes.programmeId !== (current.programmeId || null);
+  if (moved) {
+    const programme = await checkProgramme(store, userId, changes.programmeId);
+    if (programme) changes.userId = programme.userId;
+    else if (current.programmeId) assertCan(current.role, 'delete', 'script');
+  }
+  if (fields.airDate !== undefined) changes.airDate = checkAirDate(fields.airDate);
+  const rescheduled = changes.airDate !== undefined && changes.airDate !== (current.airDate || null);
+  if (revised) changes.revision = (current.revision || 0) + 1;
+  const updated = await store.update(COLLECTION, id, { ...changes, ...reset, updatedAt: now });
+  if (changes.userId && changes.userId !== current.userId) await transferDependents(store, id, changes.userId);
+  if (revised) {
+    await recordRevision(store, updated, { author: userId, origin });
+    await recordReset(store, updated, current, userId);
+  }
+  if (rescheduled) {
+    await recordEvent(store, updated, { author: userId, type: 'airDate', from: current.airDate, to: changes.airDate });
+  }
+  await indexRecord(store, 'script', updated);
+  return { ...updated, role: moved ? await scriptRole(store, userId, updated) : current.role };
+}
+
+// Record the move back to draft of a script whose approved text changed.
+async function recordReset(store, updated, current, userId) {
+  const from = scriptStatus(current);
+  if (updated.status === from) return;
+  await recordEvent(store, updated, {
+    author: userId, type: 'status', from, to: updated.status, note: 'Text changed after approval',
+  });
+}
+
+/**
+ * Make an old revision current again.  The old revision is left
+ * untouched; its content is copied into a new revision.
+ *
+ * @returns {Promise<object|null>} The updated script, or null if the
+ *   script was not found.
+ * @throws {HttpError} 404 if the revision does not exist.
+ */
+async function restoreScriptRevision(store, userId, id, number) {
+  const script = await getScript(store, userId, id, 'edit');
+  if (!script) return null;
+  const revision = await getRevision(store, id, number);
+  if (revision.number === script.revision) {
+    throw new HttpError(409, 'Revision is already current');
+  }
+  return updateScript(store, userId, id, {
+    content: revision.content,
+    sources: revision.sources,
+    origin: { type: 'restore', restoredFrom: revision.number },
+  });
+}
+
+/**
+ * Delete a script together with its revision history, fact-checks,
+ * comments and workflow events.  Only owners of
+ * the script or its programme can.
+ *
+ * @returns {Promise<boolean>} Whether the script existed.
+ */
+async function deleteScript(store, userId, id) {
+  const script = await getScript(store, userId, id, 'delete');
+  if (!script) return false;
+  await deleteRevisions(store, id);
+  await deleteFactChecks(store, id);
+  await deleteComments(store, id);
+  await deleteWorkflowEvents(store, id);
+  await unindexRecord(store, 'script', id);
+  return store.remove(COLLECTION, id);
+}
+
+module.exports = {
+  SCRIPT_SCHEMA,
+  createScript,
+  deleteScript,
+  getScript,
+  listScripts,
+  restoreScriptRevision,
+  updateScript,
+};
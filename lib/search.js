@@ -0,0 +1,400 @@
+/*
+ * Full‑text search over the scripts (topic and content) and programmes
+ * (name) a user can see: the same records listScripts() and
+ * listProgrammes() return, so their own and those filed under a
+ * programme they own or are a member of (see sharing.js).
+ *
+ * One inverted index per store maps stemmed, normalized terms (see
+ * arabic.js) to the documents containing them, with how often each
+ * term occurs per field.  It is built from the store on the first
+ * search and then kept current by scripts.js and programmes.js, which
+ * report every create, update and delete; anything that writes those
+ * collections directly, such as a workspace import, drops the index so
+ * it is rebuilt.  The index lives in memory per process.  Access is
+ * decided per search, so sharing a programme needs no reindexing.
+ *
+ * Results are ranked with BM25 over the fields, a match in a title
+ * counting three times one in the content; the statistics are taken
+ * over the documents the user can see only, so other users' records
+ * neither show up nor shift the ranking.  Every query word must match,
+ * the last one also as a prefix so results appear while typing.
+ */
+
+const { stem, tokenize } = require('./arabic');
+const { HttpError } = require('./errors');
+const { memberships } = require('./sharing');
+
+const SCRIPTS = 'scripts';
+const PROGRAMMES = 'programmes';
+const FIELD_WEIGHTS = { title: 3, content: 1 };
+const K1 = 1.2;
+const B = 0.75;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_LENGTH = 160;
+// Shortest query prefix that is matched against longer terms.
+const MIN_PREFIX = 2;
+
+// Common words that only add noise to a query, in normalized form.
+const STOP_WORDS = new Set([
+  'في', 'من', 'علي', 'الي', 'عن', 'مع', 'او', 'ان', 'هذا', 'هذه', 'ذلك', 'تلك', 'التي', 'الذي',
+  'هو', 'هي', 'ما', 'لا', 'لم', 'لن', 'قد', 'ثم', 'كل', 'بين', 'عند', 'كان', 'و', 'يا',
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'is', 'with',
+]);
+
+/**
+ * @param {string} text
+ * @returns {{term: string, start: number, end: number}[]} The text's
+ *   searchable terms with their offsets.
+ */
+function terms(text) {
+  return tokenize(text)
+    .filter((t) => !STOP_WORDS.has(t.word))
+    .map((t) => ({ term: stem(t.word), start: t.start, end: t.end }));
+}
+
+/* ------------------------------------------------------------------
+ * Index
+ */
+
+// store -> index
+const indexes = new WeakMap();
+
+function emptyIndex() {
+  return {
+    docs: new Map(), // key -> { key, type, id, userId, programmeId, createdAt, lengths, counts }
+    postings: new Map(), // term -> Set of keys
+    totalLengths: { title: 0, content: 0 },
+  };
+}
+
+function documentFor(type, record) {
+  const fields = type === 'script'
+    ? { title: record.topic, content: record.content }
+    : { title: record.name, content: '' };
+  const counts = new Map(); // term -> { title, content }
+  const lengths = {};
+  for (const [field, text] of Object.entries(fields)) {
+    const found = terms(typeof text === 'string' ? text : '');
+    lengths[field] = found.length;
+    for (const { term } of found) {
+      if (!counts.has(term)) counts.set(term, { title: 0, content: 0 });
+      counts.get(term)[field] += 1;
+    }
+  }
+  return {
+    key: `${type}:${record.id}`,
+    type,
+    id: record.id,
+    userId: record.userId,
+    programmeId: type === 'script' ? record.programmeId || null : record.id,
+    createdAt: record.createdAt,
+    lengths,
+    counts,
+  };
+}
+
+function removeDocument(index, key) {
+  const doc = index.docs.get(key);
+  if (!doc) return;
+  for (const term of doc.counts.keys()) {
+    const keys = index.postings.get(term);
+    keys.delete(key);
+    if (!keys.size) index.postings.delete(term);
+  }
+  for (const field of Object.keys(index.totalLengths)) index.totalLengths[field] -= doc.lengths[field];
+  index.docs.delete(key);
+}
+
+function addDocument(index, doc) {
+  removeDocument(index, doc.key);
+  index.docs.set(doc.key, doc);
+  for (const term of doc.counts.keys()) {
+    if (!index.postings.has(term)) index.postings.set(term, new Set());
+    index.postings.get(term).add(doc.key);
+  }
+  for (const field of Object.keys(index.totalLengths)) index.totalLengths[field] += doc.lengths[field];
+}
+
+async function storeIndex(store) {
+  if (!indexes.has(store)) {
+    // Keep the promise so parallel first searches build it once.
+    indexes.set(store, (async () => {
+      const index = emptyIndex();
+      for (const script of await store.list(SCRIPTS)) addDocument(index, documentFor('script', script));
+      for (const programme of await store.list(PROGRAMMES)) addDocument(index, documentFor('programme', programme));
+      return index;
+    })());
+  }
+  try {
+    return await indexes.get(store);
+  } catch (err) {
+    indexes.delete(store);
+    throw err;
+  }
+}
+
+// Apply a change to the index if it has been built; otherwise the next
+// search builds it with the change included.
+async function changeIndex(store, change) {
+  if (!indexes.has(store)) return;
+  change(await storeIndex(store));
+}
+
+/**
+ * Add or refresh a saved script or programme in the index.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} type - script or programme.
+ * @param {object} record - As stored.
+ */
+async function indexRecord(store, type, record) {
+  await changeIndex(store, (index) => addDocument(index, documentFor(type, record)));
+}
+
+/**
+ * Remove a deleted script or programme from the index.
+ *
+ * @param {object} store
+ * @param {string} type - script or programme.
+ * @param {string} id
+ */
+async function unindexRecord(store, type, id) {
+  await changeIndex(store, (index) => removeDocument(index, `${type}:${id}`));
+}
+
+/**
+ * Drop the index after records were changed in bulk; it is rebuilt
+ * from the store on the next search.
+ *
+ * @param {object} store
+ */
+function forgetIndex(store) {
+  indexes.delete(store);
+}
+
+// Whether the user can see a document: it is theirs, or filed under a
+// programme they own or are a member of.
+async function visibility(store, userId) {
+  const programmes = new Set((await store.list(PROGRAMMES, { userId })).map((p) => p.id));
+  for (const { programmeId } of await memberships(store, userId)) programmes.add(programmeId);
+  return (doc) => doc.userId === userId || (doc.programmeId !== null && programmes.has(doc.programmeId));
+}
+
+/* ------------------------------------------------------------------
+ * Querying
+ */
+
+// Index terms a query term matches: itself, or for the last query word
+// every term it is a prefix of.
+function expand(index, term, prefix) {
+  if (!prefix || term.length < MIN_PREFIX) return index.postings.has(term) ? [ term ] : [];
+  return Array.from(index.postings.keys()).filter((t) => t.startsWith(term));
+}
+
+// Document count and field lengths over the documents the user can
+// see, with the document frequency of a term counted among them.
+function statistics(index, visible) {
+  const stats = { count: 0, totalLengths: { title: 0, content: 0 }, frequencies: new Map() };
+  for (const doc of index.docs.values()) {
+    if (!visible(doc)) continue;
+    stats.count += 1;
+    for (const field of Object.keys(stats.totalLengths)) stats.totalLengths[field] += doc.lengths[field];
+  }
+  stats.df = (term) => {
+    if (!stats.frequencies.has(term)) {
+      let df = 0;
+      for (const key of index.postings.get(term)) if (visible(index.docs.get(key))) df += 1;
+      stats.frequencies.set(term, df);
+    }
+    return stats.frequencies.get(term);
+  };
+  return stats;
+}
+
+function score(stats, doc, matched) {
+  const { count } = stats;
+  let total = 0;
+  for (const group of matched) {
+    for (const term of group) {
+      const counts = doc.counts.get(term);
+      if (!counts) continue;
+      const df = stats.df(term);
+      const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+      let tf = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const average = stats.totalLengths[field] / count || 1;
+        tf += weight * counts[field] / (1 - B + B * doc.lengths[field] / average);
+      }
+      total += idf * tf * (K1 + 1) / (tf + K1);
+    }
+  }
+  return total;
+}
+
+// The matched words in `text`, as offsets.
+function highlights(text, wanted) {
+  return terms(text)
+    .filter(({ term }) => wanted(term))
+    .map(({ start, end }) => ({ start, end }));
+}
+
+// A window of the content around its densest run of matches, with the
+// highlights shifted into it.
+function snippet(text, marks) {
+  if (!text) return null;
+  if (!marks.length) {
+    const cut = text.length > SNIPPET_LENGTH;
+    return { text: text.slice(0, SNIPPET_LENGTH).trim() + (cut ? '…' : ''), highlights: [] };
+  }
+  let best = 0;
+  let bestCount = 0;
+  for (let i = 0, j = 0; i < marks.length; i++) {
+    while (j < marks.length && marks[j].end - marks[i].start <= SNIPPET_LENGTH) j += 1;
+    if (j - i > bestCount) {
+      best = i;
+      bestCount = j - i;
+    }
+  }
+  let start = Math.max(0, marks[best].start - Math.floor(SNIPPET_LENGTH / 4));
+  // Start on a word boundary.
+  if (start > 0) {
+    const space = text.lastIndexOf(' ', start);
+    start = space === -1 ? 0 : space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.indexOf(' ', end);
+    end = space === -1 ? text.length : space;
+  }
+  const prefix = start > 0 ? '…' : '';
+  return {
+    text: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+    highlights: marks
+      .filter((m) => m.start >= start && m.end <= end)
+      .map((m) => ({ start: m.start - start + prefix.length, end: m.end - start + prefix.length })),
+  };
+}
+
+function parseDate(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const text = String(value);
+  // A bare date covers the whole day.
+  const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text);
+  if (Number.isNaN(time)) throw new HttpError(400, `${name} must be an ISO date`);
+  return time;
+}
+
+/**
+ * Parse the query string of GET /api/search.
+ *
+ * @param {object} query - `{ q, programmeId, type, from, to, limit, offset }`.
+ * @returns {object} Options for search().
+ * @throws {HttpError} 400 for a missing query or invalid filter.
+ */
+function parseSearchQuery(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) throw new HttpError(400, 'Missing search query (q)');
+  const type = query.type || 'all';
+  if (!['all', 'scripts', 'programmes'].includes(type)) {
+    throw new HttpError(400, 'type must be one of all, scripts, programmes');
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) throw new HttpError(400, 'offset must be a non-negative integer');
+  return {
+    q,
+    type,
+    programmeId: query.programmeId || null,
+    from: parseDate(query.from, 'from', false),
+    to: parseDate(query.to, 'to', true),
+    limit,
+    offset,
+  };
+}
+
+/**
+ * Search the scripts and programmes a user can see.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} options - As returned by parseSearchQuery().
+ * @param {string} options.q - The query text.
+ * @param {string} [options.type] - all (default), scripts or programmes.
+ * @param {string} [options.programmeId] - Only scripts filed under this
+ *   programme, and the programme itself.
+ * @param {number} [options.from] - Earliest creation time (ms).
+ * @param {number} [options.to] - Latest creation time (ms).
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @returns {Promise<object>} `{ query, total, results }`, best match
+ *   first.  Each result has `type, id, programmeId, title, score,
+ *   titleHighlights, snippet, createdAt, updatedAt`; `snippet` is
+ *   `{ text, highlights }` (null for programmes) and every highlight is
+ *   `{ start, end }` into the text it belongs to.
+ */
+async function search(store, userId, options) {
+  const { q, type = 'all', programmeId = null, from = null, to = null } = options;
+  const limit = options.limit || DEFAULT_LIMIT;
+  const offset = options.offset || 0;
+  const index = await storeIndex(store);
+  const visible = await visibility(store, userId);
+
+  const queryTerms = [...new Set(terms(q).map((t) => t.term))];
+  const last = queryTerms.length - 1;
+  const matched = queryTerms.map((term, i) => expand(index, term, i === last));
+  if (!queryTerms.length || matched.some((group) => !group.length)) {
+    return { query: q, total: 0, results: [] };
+  }
+
+  const stats = statistics(index, visible);
+  // Documents matching every query term, smallest posting set first.
+  const sets = matched
+    .map((group) => new Set(group.flatMap((t) => Array.from(index.postings.get(t)))))
+    .sort((a, b) => a.size - b.size);
+  const hits = Array.from(sets[0])
+    .filter((key) => sets.every((set) => set.has(key)))
+    .map((key) => index.docs.get(key))
+    .filter((doc) => visible(doc)
+      && (type === 'all' || `${doc.type}s` === type)
+      && (!programmeId || doc.programmeId === programmeId)
+      && (from === null || Date.parse(doc.createdAt) >= from)
+      && (to === null || Date.parse(doc.createdAt) <= to))
+    .map((doc) => ({ doc, score: score(stats, doc, matched) }))
+    .sort((a, b) => b.score - a.score || String(b.doc.createdAt).localeCompare(String(a.doc.createdAt)));
+
+  const wantedTerms = new Set(matched.flat());
+  const wanted = (term) => wantedTerms.has(term);
+  const results = [];
+  for (const { doc, score: value } of hits.slice(offset, offset + limit)) {
+    const record = await store.get(doc.type === 'script' ? SCRIPTS : PROGRAMMES, doc.id);
+    if (!record) continue;
+    const title = (doc.type === 'script' ? record.topic : record.name) || '';
+    const content = doc.type === 'script' && typeof record.content === 'string' ? record.content : '';
+    results.push({
+      type: doc.type,
+      id: doc.id,
+      programmeId: doc.type === 'script' ? doc.programmeId : undefined,
+      title,
+      score: Math.round(value * 1000) / 1000,
+      titleHighlights: highlights(title, wanted),
+      snippet: doc.type === 'script' ? snippet(content, highlights(content, wanted)) : null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+    });
+  }
+  return { query: q, total: hits.length, results };
+}
+
+module.exports = {
+  STOP_WORDS,
+  forgetIndex,
+  indexRecord,
+  parseSearchQuery,
+  search,
+  terms,
+  unindexRecord,
+};
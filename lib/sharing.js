@@ -0,0 +1,349 @@
+/*
+ * Sharing programmes with a writers' room.
+ *
+ * A programme's creator is its owner; other users join it as members
+ * with one of these roles:
+ *
+ *   owner     everything, including deleting and sharing the programme
+ *   editor    change the programme and write, edit and generate scripts
+ *   reviewer  read, and comment on or fact‑check scripts
+ *   viewer    read only
+ *
+ * A script follows its programme: it is owned by the programme's
+ * owner, whoever wrote it, and members see it with their role on the
+ * programme, losing it when they leave.
+ *
+ * Members are added by invitation, addressed to a user ID or to an
+ * email address, which the invitee accepts or declines.  Only owners
+ * can invite, change roles and remove members; anyone can leave.
+ *
+ * An email invitation only reaches a user whose token has an
+ * `email_verified: true` claim (Firebase ID tokens do).
+ *
+ *   SHARING_UNVERIFIED_EMAILS  `true` to accept the token's email claim
+ *                              without it, for identity providers that
+ *                              only issue verified addresses but do not
+ *                              say so, such as Supabase (default false)
+ *
+ * Stored in `members` (one record per programme and user, ID
+ * `<programmeId>:<userId>`) and `invitations`.
+ */
+
+const { HttpError } = require('./errors');
+const { generateId } = require('./storage');
+
+const MEMBERS = 'members';
+const INVITATIONS = 'invitations';
+const PROGRAMMES = 'programmes';
+const ROLES = ['owner', 'editor', 'reviewer', 'viewer'];
+
+// Roles allowed each action, and how to describe it in a 403.
+const PERMISSIONS = {
+  read: { roles: ['owner', 'editor', 'reviewer', 'viewer'], label: 'viewing' },
+  comment: { roles: ['owner', 'editor', 'reviewer'], label: 'commenting on' },
+  edit: { roles: ['owner', 'editor'], label: 'editing' },
+  delete: { roles: ['owner'], label: 'deleting' },
+  share: { roles: ['owner'], label: 'sharing' },
+};
+
+/**
+ * @param {string|null} role
+ * @param {string} action - read, comment, edit, delete or share.
+ * @returns {boolean}
+ */
+function can(role, action) {
+  return PERMISSIONS[action].roles.includes(role);
+}
+
+/**
+ * @param {string} role
+ * @param {string} action
+ * @param {string} what - e.g. "programme", for the message.
+ * @throws {HttpError} 403 if `role` does not allow `action`.
+ */
+function assertCan(role, action, what) {
+  if (!can(role, action)) {
+    throw new HttpError(403, `Your role on this ${what} (${role}) does not allow ${PERMISSIONS[action].label} it`);
+  }
+}
+
+/**
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {object} programme - As stored.
+ * @returns {Promise<string|null>} The user's role on the programme, or
+ *   null if they have no access.
+ */
+async function programmeRole(store, userId, programme) {
+  if (programme.userId === userId) return 'owner';
+  const member = await store.get(MEMBERS, `${programme.id}:${userId}`);
+  return member ? member.role : null;
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} script - As stored.
+ * @returns {Promise<string|null>} The user's role on the script, or
+ *   null if they have no access.
+ */
+async function scriptRole(store, userId, script) {
+  if (script.userId === userId) return 'owner';
+  if (!script.programmeId) return null;
+  const programme = await store.get(PROGRAMMES, script.programmeId);
+  return programme ? programmeRole(store, userId, programme) : null;
+}
+
+/**
+ * @param {object} store
+ * @param {string} userId
+ * @returns {Promise<{programmeId: string, role: string}[]>} The
+ *   programmes shared with the user, newest membership first.
+ */
+async function memberships(store, userId) {
+  const members = await store.list(MEMBERS, { userId });
+  return members.map(({ programmeId, role }) => ({ programmeId, role }));
+}
+
+// The caller's role on a programme they may share, or a 404/403.
+async function shareableProgramme(store, userId, programmeId) {
+  const programme = await store.get(PROGRAMMES, programmeId);
+  const role = programme && await programmeRole(store, userId, programme);
+  if (!role) throw new HttpError(404, 'Programme not found');
+  assertCan(role, 'share', 'programme');
+  return programme;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new HttpError(400, `role must be one of ${ROLES.join(', ')}`);
+}
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/* ------------------------------------------------------------------
+ * Members
+ */
+
+/**
+ * List who has access to a programme.  Owners also see the pending
+ * invitations.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {string} programmeId
+ * @returns {Promise<object>} `{ role, members, invitations }`, where
+ *   `role` is the caller's and `members` starts with the creator.
+ * @throws {HttpError} 404 if the caller has no access.
+ */
+async function listMembers(store, userId, programmeId) {
+  const programme = await store.get(PROGRAMMES, programmeId);
+  const role = programme && await programmeRole(store, userId, programme);
+  if (!role) throw new HttpError(404, 'Programme not found');
+  const members = (await store.list(MEMBERS, { programmeId })).reverse()
+    .map(({ userId: member, role: memberRole, addedBy, createdAt }) => ({
+      userId: member, role: memberRole, addedBy, createdAt,
+    }));
+  return {
+    role,
+    members: [ { userId: programme.userId, role: 'owner', creator: true, createdAt: programme.createdAt }, ...members ],
+    invitations: can(role, 'share') ? await store.list(INVITATIONS, { programmeId, status: 'pending' }) : [],
+  };
+}
+
+/**
+ * Change a member's role.
+ *
+ * @param {object} store
+ * @param {string} userId - The caller, who must be an owner.
+ * @param {string} programmeId
+ * @param {string} memberId - The member's user ID.
+ * @param {object} body - `{ role }`.
+ * @returns {Promise<object>} The updated membership.
+ * @throws {HttpError} 400 for an unknown role, 404 for an unknown
+ *   member, 409 for the programme's creator.
+ */
+async function updateMember(store, userId, programmeId, memberId, body) {
+  const programme = await shareableProgramme(store, userId, programmeId);
+  checkRole(body.role);
+  if (memberId === programme.userId) throw new HttpError(409, 'The programme\'s creator is always an owner');
+  const updated = await store.update(MEMBERS, `${programmeId}:${memberId}`, {
+    role: body.role,
+    updatedAt: new Date().toISOString(),
+  });
+  if (!updated) throw new HttpError(404, 'Member not found');
+  return updated;
+}
+
+/**
+ * Remove a member, or leave a programme when `memberId` is the caller.
+ *
+ * @throws {HttpError} 404 for an unknown member, 409 for the
+ *   programme's creator.
+ */
+async function removeMember(store, userId, programmeId, memberId) {
+  const programme = await store.get(PROGRAMMES, programmeId);
+  if (memberId !== userId || !programme) await shareableProgramme(store, userId, programmeId);
+  if (memberId === programme.userId) throw new HttpError(409, 'The programme\'s creator cannot be removed');
+  if (!(await store.remove(MEMBERS, `${programmeId}:${memberId}`))) throw new HttpError(404, 'Member not found');
+}
+
+/**
+ * Remove everyone's access to a deleted programme.
+ *
+ * @param {object} store
+ * @param {string} programmeId
+ */
+async function deleteSharing(store, programmeId) {
+  for (const member of await store.list(MEMBERS, { programmeId })) await store.remove(MEMBERS, member.id);
+  for (const invitation of await store.list(INVITATIONS, { programmeId })) {
+    await store.remove(INVITATIONS, invitation.id);
+  }
+}
+
+/* ------------------------------------------------------------------
+ * Invitations
+ */
+
+/**
+ * Invite someone to a programme.  Inviting the same person again
+ * replaces their pending invitation.
+ *
+ * @param {object} store
+ * @param {string} userId - The caller, who must be an owner.
+ * @param {string} programmeId
+ * @param {object} body - `{ userId }` or `{ email }`, and `role`.
+ * @returns {Promise<object>} The pending invitation.
+ * @throws {HttpError} 400 for an invalid body, 409 if the invitee is
+ *   already a member.
+ */
+async function invite(store, userId, programmeId, body) {
+  const programme = await shareableProgramme(store, userId, programmeId);
+  checkRole(body.role);
+  const hasUser = typeof body.userId === 'string' && body.userId.trim() !== '';
+  const hasEmail = typeof body.email === 'string' && /^[^\s@]+@[^\s@]+$/.test(body.email.trim());
+  if (hasUser === hasEmail || (body.email !== undefined && !hasEmail)) {
+    throw new HttpError(400, 'Give either userId or a valid email to invite');
+  }
+  const invitee = hasUser ? { userId: body.userId.trim() } : { email: normalizeEmail(body.email) };
+  if (invitee.userId && (invitee.userId === programme.userId
+    || await store.get(MEMBERS, `${programmeId}:${invitee.userId}`))) {
+    throw new HttpError(409, 'Already a member; change their role instead');
+  }
+
+  const pending = await store.list(INVITATIONS, { programmeId, status: 'pending', ...invitee });
+  for (const old of pending) await store.remove(INVITATIONS, old.id);
+  return store.insert(INVITATIONS, {
+    id: generateId('invite'),
+    programmeId,
+    programmeName: programme.name,
+    ...invitee,
+    role: body.role,
+    invitedBy: userId,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Withdraw a pending invitation.
+ *
+ * @throws {HttpError} 404 if there is no such pending invitation.
+ */
+async function revokeInvitation(store, userId, programmeId, invitationId) {
+  await shareableProgramme(store, userId, programmeId);
+  const invitation = await store.get(INVITATIONS, invitationId);
+  if (!invitation || invitation.programmeId !== programmeId || invitation.status !== 'pending') {
+    throw new HttpError(404, 'Invitation not found');
+  }
+  await store.remove(INVITATIONS, invitationId);
+}
+
+/**
+ * @returns {boolean} Whether a token's email claim is trusted without
+ *   `email_verified`.
+ */
+function unverifiedEmailsAllowed() {
+  return String(process.env.SHARING_UNVERIFIED_EMAILS || '').trim().toLowerCase() === 'true';
+}
+
+// Whether an invitation is addressed to the authenticated user.  An
+// email invitation needs an email claim the identity provider has
+// verified (see SHARING_UNVERIFIED_EMAILS).
+function addressedTo(invitation, user) {
+  if (invitation.userId) return invitation.userId === user.uid;
+  const verified = Boolean(user.claims && user.claims.email_verified === true) || unverifiedEmailsAllowed();
+  return verified && Boolean(user.email) && normalizeEmail(user.email) === invitation.email;
+}
+
+/**
+ * @param {object} store
+ * @param {{uid: string, email: (string|null), claims: object}} user -
+ *   See auth.verifyToken.
+ * @returns {Promise<object[]>} Pending invitations for the user,
+ *   newest first.
+ */
+async function listInvitations(store, user) {
+  const pending = await store.list(INVITATIONS, { status: 'pending' });
+  return pending.filter((invitation) => addressedTo(invitation, user));
+}
+
+/**
+ * Accept or decline an invitation.  Accepting makes the user a member
+ * with the invited role, or changes their role if they already are.
+ *
+ * @param {object} store
+ * @param {object} user - See listInvitations().
+ * @param {string} invitationId
+ * @param {boolean} accept
+ * @returns {Promise<object>} The invitation, with the membership as
+ *   `member` when accepted.
+ * @throws {HttpError} 404 if there is no such pending invitation for
+ *   the user.
+ */
+async function respondToInvitation(store, user, invitationId, accept) {
+  const invitation = await store.get(INVITATIONS, invitationId);
+  if (!invitation || invitation.status !== 'pending' || !addressedTo(invitation, user)) {
+    throw new HttpError(404, 'Invitation not found');
+  }
+  const now = new Date().toISOString();
+  const updated = await store.update(INVITATIONS, invitationId, {
+    status: accept ? 'accepted' : 'declined',
+    acceptedBy: accept ? user.uid : undefined,
+    respondedAt: now,
+  });
+  if (!accept) return updated;
+
+  const programme = await store.get(PROGRAMMES, invitation.programmeId);
+  if (!programme) throw new HttpError(404, 'Programme not found');
+  if (programme.userId === user.uid) return updated;
+  const id = `${programme.id}:${user.uid}`;
+  const member = await store.update(MEMBERS, id, { role: invitation.role, updatedAt: now })
+    || await store.insert(MEMBERS, {
+      id,
+      programmeId: programme.id,
+      userId: user.uid,
+      role: invitation.role,
+      addedBy: invitation.invitedBy,
+      createdAt: now,
+    });
+  return { ...updated, member };
+}
+
+module.exports = {
+  ROLES,
+  assertCan,
+  can,
+  deleteSharing,
+  invite,
+  listInvitations,
+  listMembers,
+  memberships,
+  programmeRole,
+  removeMember,
+  respondToInvitation,
+  revokeInvitation,
+  scriptRole,
+  updateMember,
+};
@@ -0,0 +1,110 @@
+/*
+ * Server‑Sent Events helpers.  parseSseStream() reads the event
+ * streams returned by the upstream providers; openSse() and
+ * sendSseEvent() write our own streams to the browser.  Both servers
+ * share these because an Express response is a plain
+ * http.ServerResponse underneath.
+ */
+
+const { log } = require('./log');
+
+/**
+ * Parse a `text/event-stream` body into events.  Multi‑line `data:`
+ * fields are joined with newlines as the SSE specification requires;
+ * comments and `id`/`retry` fields are ignored.
+ *
+ * @param {AsyncIterable<Uint8Array|string>} body - e.g. a fetch Response body.
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* parseSseStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.search(/\r?\n/)) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(buffer[newline] === '\r' ? newline + 2 : newline + 1);
+      if (line === '') {
+        if (data.length) yield { event, data: data.join('\n') };
+        event = 'message';
+        data = [];
+        continue;
+      }
+      if (line.startsWith(':')) continue;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) value = value.slice(1);
+      if (field === 'event') event = value;
+      else if (field === 'data') data.push(value);
+    }
+  }
+  if (data.length) yield { event, data: data.join('\n') };
+}
+
+/**
+ * Start an event stream on a Node response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {object} [headers] - Extra headers, e.g. CORS headers.
+ */
+function openSse(res, headers = {}) {
+  res.writeHead(200, {
+    ...headers,
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  if (res.flushHeaders) res.flushHeaders();
+}
+
+/**
+ * Write one named event with a JSON payload.
+ *
+ * @param {http.ServerResponse} res
+ * @param {string} event - Event name.
+ * @param {object} data - Serialized as JSON.
+ */
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// True if the client asked for an event stream via the Accept header.
+function wantsEventStream(req) {
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Relay a stream of normalized generation events (see
+ * providers.streamGenerate) to the client as `delta`, `done` and
+ * `error` events.  If the client disconnects first, `controller` is
+ * aborted so the upstream request is cancelled as well.
+ *
+ * @param {http.ServerResponse} res
+ * @param {function(AbortSignal): AsyncIterable<object>} start - Starts the upstream stream.
+ * @param {object} [headers] - Extra response headers.
+ */
+async function pipeGenerationStream(res, start, headers) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  openSse(res, headers);
+  try {
+    for await (const event of start(controller.signal)) {
+      const { type, ...data } = event;
+      sendSseEvent(res, type, data);
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    log.error('Streaming generation error', { err });
+    sendSseEvent(res, 'error', err.toJSON ? err.toJSON() : { error: err.message });
+  }
+  res.end();
+}
+
+module.exports = { openSse, parseSseStream, pipeGenerationStream, sendSseEvent, wantsEventStream };
@@ -0,0 +1,193 @@
+/*
+ * Append‑only JSON file store.
+ *
+ * The journal is a JSON Lines file.  Its first line is a header with
+ * the schema version; every following line records one mutation:
+ *
+ *   {"schemaVersion":1}
+ *   {"op":"insert","collection":"scripts","record":{...}}
+ *   {"op":"update","collection":"scripts","record":{...}}
+ *   {"op":"remove","collection":"scripts","id":"…"}
+ *
+ * On start‑up the journal is replayed into a MemoryStore, which then
+ * serves all reads.  A mutation is written as a single line and
+ * flushed to disk before the call resolves, so a crash can at worst
+ * leave a truncated last line, which replay ignores.  When the journal
+ * has grown well past the live data, or after a migration, it is
+ * compacted: a fresh journal is written to a temporary file and
+ * renamed over the old one, which is atomic on POSIX filesystems.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../log');
+const { MemoryStore } = require('./memory');
+const { SCHEMA_VERSION, migrate } = require('./migrations');
+
+// Compact once the journal holds this many more lines than records.
+const COMPACT_SLACK = 1000;
+
+class FileStore {
+  /**
+   * @param {string} file - Path of the journal; created if missing.
+   */
+  constructor(file) {
+    this.file = path.resolve(file);
+    this.memory = new MemoryStore();
+    this.lines = 0;
+    this.handle = null;
+    // Mutations are chained so lines are written in call order.
+    this.queue = Promise.resolve();
+    this.ready = this.open();
+  }
+
+  async open() {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    let version = SCHEMA_VERSION;
+    let needsCompaction = false;
+    if (fs.existsSync(this.file)) {
+      const text = await fs.promises.readFile(this.file, 'utf8');
+      const entries = text.split('\n').filter(Boolean);
+      entries.forEach((line, i) => {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (err) {
+          // Only the last line can be partial; anything else is corruption.
+          if (i === entries.length - 1) {
+            log.warn('Ignoring truncated last line of journal', { file: this.file });
+            needsCompaction = true;
+            return;
+          }
+          throw new Error(`Corrupt journal ${this.file} at line ${i + 1}: ${err.message}`);
+        }
+        if (i === 0 && entry.schemaVersion !== undefined) {
+          version = entry.schemaVersion;
+          return;
+        }
+        this.apply(entry);
+      });
+      this.lines = entries.length;
+      if (version !== SCHEMA_VERSION) {
+        this.memory.load(migrate(this.memory.snapshot(), version));
+        needsCompaction = true;
+      }
+    } else {
+      needsCompaction = true;
+    }
+    if (needsCompaction) await this.compact();
+    this.handle = await fs.promises.open(this.file, 'a');
+  }
+
+  // Replay one journal entry into memory.
+  apply(entry) {
+    const items = this.memory.collection(entry.collection);
+    if (entry.op === 'insert') {
+      items.set(entry.record.id, entry.record);
+    } else if (entry.op === 'update') {
+      if (items.has(entry.record.id)) items.set(entry.record.id, entry.record);
+    } else if (entry.op === 'remove') {
+      items.delete(entry.id);
+    }
+  }
+
+  recordCount() {
+    let count = 0;
+    for (const items of this.memory.collections.values()) count += items.size;
+    return count;
+  }
+
+  /**
+   * Rewrite the journal as a header followed by one insert per live
+   * record.  Written to a temporary file first and renamed into place.
+   */
+  async compact() {
+    const data = this.memory.snapshot();
+    const lines = [ JSON.stringify({ schemaVersion: SCHEMA_VERSION }) ];
+    for (const collection of Object.keys(data)) {
+      for (const record of data[collection]) {
+        lines.push(JSON.stringify({ op: 'insert', collection, record }));
+      }
+    }
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+      await handle.writeFile(`${lines.join('\n')}\n`);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    const reopen = this.handle !== null;
+    if (reopen) {
+      await this.handle.close();
+      this.handle = null;
+    }
+    await fs.promises.rename(tmp, this.file);
+    if (reopen) this.handle = await fs.promises.open(this.file, 'a');
+    this.lines = lines.length;
+  }
+
+  // Append one entry to the journal.  The change has already been
+  // applied to `memory` by the caller.
+  write(entry) {
+    const run = async () => {
+      await this.ready;
+      await this.handle.write(`${JSON.stringify(entry)}\n`);
+      await this.handle.datasync();
+      this.lines += 1;
+      if (this.lines > this.recordCount() + COMPACT_SLACK) await this.compact();
+    };
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async list(collection, filter) {
+    await this.ready;
+    return this.memory.list(collection, filter);
+  }
+
+  async get(collection, id) {
+    await this.ready;
+    return this.memory.get(collection, id);
+  }
+
+  async insert(collection, record) {
+    await this.ready;
+    const stored = await this.memory.insert(collection, record);
+    await this.write({ op: 'insert', collection, record: stored });
+    return stored;
+  }
+
+  async update(collection, id, changes) {
+    await this.ready;
+    const updated = await this.memory.update(collection, id, changes);
+    if (updated) await this.write({ op: 'update', collection, record: updated });
+    return updated;
+  }
+
+  async remove(collection, id) {
+    await this.ready;
+    const removed = await this.memory.remove(collection, id);
+    if (removed) await this.write({ op: 'remove', collection, id });
+    return removed;
+  }
+
+  /**
+   * Resolve if the journal was loaded and can still be written to.
+   */
+  async ping() {
+    await this.ready;
+    if (!this.handle) throw new Error(`Journal ${this.file} is closed`);
+    await fs.promises.access(this.file, fs.constants.W_OK);
+  }
+
+  async close() {
+    await this.ready;
+    await this.queue;
+    if (this.handle) await this.handle.close();
+    this.handle = null;
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,57 @@
+/*
+ * Storage layer shared by both servers.
+ *
+ * All persisted data goes through a store with the same small async
+ * interface, regardless of where it lives:
+ *
+ *   list(collection, filter)     -> records, newest first
+ *   get(collection, id)          -> record or null
+ *   insert(collection, record)   -> record (must carry a unique `id`)
+ *   update(collection, id, obj)  -> merged record or null
+ *   remove(collection, id)       -> boolean
+ *   ping()                       -> resolves if the store is usable
+ *   close()
+ *
+ * The driver is chosen with the STORAGE_DRIVER environment variable:
+ *
+ *   file    (default) append‑only JSON journal at STORAGE_PATH,
+ *           ./data/store.jsonl unless configured;
+ *   memory  nothing persisted; intended for tests.
+ *
+ * A Firestore or Supabase driver only needs to implement the same
+ * methods, with each collection mapped to a collection or table.
+ */
+
+const { FileStore } = require('./file');
+const { MemoryStore } = require('./memory');
+
+/**
+ * Generate a random ID using the current time and a random suffix,
+ * e.g. `script-1727530000000-k3j9x0a1b`.
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+function generateId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Create the store configured by the environment.
+ *
+ * @param {object} [env] - Defaults to process.env.
+ * @returns {MemoryStore|FileStore}
+ */
+function createStore(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'file').toLowerCase();
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore(env.STORAGE_PATH || 'data/store.jsonl');
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+module.exports = { createStore, FileStore, generateId, MemoryStore };
@@ -0,0 +1,122 @@
+/*
+ * In‑memory store.  Nothing survives a restart, which makes it the
+ * right choice for tests and quick local experiments.  It is also the
+ * state container the file store replays its journal into.
+ */
+
+// Records are cloned on the way in and out so callers can never
+// mutate stored state by accident.
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function matches(record, filter) {
+  return Object.keys(filter).every((key) => record[key] === filter[key]);
+}
+
+class MemoryStore {
+  constructor() {
+    // collection name -> Map(id -> record), in insertion order.
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new Map());
+    return this.collections.get(name);
+  }
+
+  /**
+   * List the records of a collection, newest first.
+   *
+   * @param {string} collection
+   * @param {object} [filter] - Field/value pairs every record must match.
+   * @returns {Promise<object[]>}
+   */
+  async list(collection, filter = {}) {
+    const records = Array.from(this.collection(collection).values()).reverse();
+    return clone(records.filter((r) => matches(r, filter)));
+  }
+
+  /**
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(collection, id) {
+    return clone(this.collection(collection).get(id)) || null;
+  }
+
+  /**
+   * Insert a record.  The record must carry a unique `id`.
+   *
+   * @param {string} collection
+   * @param {object} record
+   * @returns {Promise<object>} The stored record.
+   */
+  async insert(collection, record) {
+    if (!record || !record.id) throw new Error('Records must have an id');
+    const items = this.collection(collection);
+    if (items.has(record.id)) throw new Error(`Duplicate id ${record.id} in ${collection}`);
+    items.set(record.id, clone(record));
+    return clone(record);
+  }
+
+  /**
+   * Shallow‑merge `changes` into an existing record.  Fields set to
+   * `undefined` are removed.
+   *
+   * @param {string} collection
+   * @param {string} id
+   * @param {object} changes
+   * @returns {Promise<object|null>} The updated record, or null if missing.
+   */
+  async update(collection, id, changes) {
+    const items = this.collection(collection);
+    const current = items.get(id);
+    if (!current) return null;
+    const updated = clone({ ...current, ...changes, id });
+    items.set(id, updated);
+    return clone(updated);
+  }
+
+  /**
+   * @param {string} collection
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a record was removed.
+   */
+  async remove(collection, id) {
+    return this.collection(collection).delete(id);
+  }
+
+  /**
+   * Export every collection as plain arrays, oldest first.
+   *
+   * @returns {object} collection name -> records
+   */
+  snapshot() {
+    const data = {};
+    for (const [name, items] of this.collections) data[name] = clone(Array.from(items.values()));
+    return data;
+  }
+
+  /**
+   * Replace the whole state with `data` as produced by snapshot().
+   *
+   * @param {object} data
+   */
+  load(data) {
+    this.collections = new Map();
+    for (const name of Object.keys(data)) {
+      this.collections.set(name, new Map(data[name].map((r) => [r.id, clone(r)])));
+    }
+  }
+
+  /**
+   * Resolve if the store can serve requests; memory always can.
+   */
+  async ping() {}
+
+  async close() {}
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,110 @@
+/*
+ * Schema migrations for persisted data.
+ *
+ * Every journal written by the file store starts with the schema
+ * version it was written with.  When the server opens an older
+ * journal, each migration with a higher version is applied in order to
+ * the replayed data, and the journal is then compacted so the upgrade
+ * only happens once.
+ *
+ * To change the shape of stored records, append an entry here with
+ * the next version number.  `up` receives an object mapping collection
+ * names to arrays of records (oldest first) and must return the same
+ * structure.  Never edit a migration that has already shipped.
+ */
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema: programmes and scripts owned by userId',
+    up: (data) => data,
+  },
+  {
+    version: 2,
+    description: 'Script revision history: seed revision 1 from each existing script',
+    up: (data) => {
+      const scripts = data.scripts || [];
+      const revisions = data.revisions || [];
+      scripts.forEach((script, i) => {
+        script.revision = 1;
+        revisions.push({
+          id: `revision-migrated-${script.id}-${i}`,
+          scriptId: script.id,
+          userId: script.userId,
+          number: 1,
+          content: script.content,
+          sources: script.sources,
+          author: script.userId,
+          origin: { type: 'manual' },
+          createdAt: script.updatedAt || script.createdAt,
+        });
+      });
+      return { ...data, scripts, revisions };
+    },
+  },
+  {
+    version: 3,
+    description: 'Editorial workflow: every existing script starts as a draft',
+    up: (data) => {
+      const scripts = (data.scripts || []).map((script) => ({ status: 'draft', ...script }));
+      return { ...data, scripts };
+    },
+  },
+  {
+    version: 4,
+    description: 'Scripts in a programme belong to its owner; whoever saved one is its createdBy',
+    up: (data) => {
+      const owners = new Map((data.programmes || []).map((p) => [p.id, p.userId]));
+      const scripts = (data.scripts || []).map((script) => ({
+        ...script,
+        createdBy: script.createdBy || script.userId,
+        userId: owners.get(script.programmeId) || script.userId,
+      }));
+      const scriptOwners = new Map(scripts.map((script) => [script.id, script.userId]));
+      const follow = (records) => (records || []).map((record) => (scriptOwners.has(record.scriptId)
+        ? { ...record, userId: scriptOwners.get(record.scriptId) }
+        : record));
+      return {
+        ...data,
+        scripts,
+        revisions: follow(data.revisions),
+        factChecks: follow(data.factChecks),
+        comments: follow(data.comments),
+        workflowEvents: follow(data.workflowEvents),
+      };
+    },
+  },
+  {
+    version: 5,
+    description: 'Ideas belong to their programme\'s owner; whoever generated one is its createdBy',
+    up: (data) => {
+      const owners = new Map((data.programmes || []).map((p) => [p.id, p.userId]));
+      const ideas = (data.ideas || []).map((idea) => ({
+        ...idea,
+        createdBy: idea.createdBy || idea.userId,
+        userId: owners.get(idea.programmeId) || idea.userId,
+      }));
+      return { ...data, ideas };
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring `data` from schema version `from` up to SCHEMA_VERSION.
+ *
+ * @param {object} data - collection name -> records
+ * @param {number} from - Version the data was written with.
+ * @returns {object} The migrated data.
+ */
+function migrate(data, from) {
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Stored data has schema version ${from}, newer than this server (${SCHEMA_VERSION})`);
+  }
+  return MIGRATIONS
+    .filter((m) => m.version > from)
+    .reduce((current, m) => m.up(current), data);
+}
+
+module.exports = { MIGRATIONS, SCHEMA_VERSION, migrate };
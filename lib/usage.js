@@ -0,0 +1,313 @@
+/*
+ * Per‑user rate limits and token accounting.
+ *
+ * Every call generate() or streamGenerate() makes to a provider on
+ * behalf of a user is admitted here first and counted afterwards with
+ * the token usage the provider reported.  Two limits apply, both to a
+ * user's calls as a whole and, optionally, to each provider:
+ *
+ *   RATE_LIMIT_RPM             calls per minute, sliding (default 30)
+ *   DAILY_TOKEN_BUDGET         tokens per UTC day (default unlimited)
+ *   RATE_LIMIT_RPM_<PROVIDER>, DAILY_TOKEN_BUDGET_<PROVIDER>
+ *                              the same for GEMINI, CLAUDE, OPENAI or OTHER
+ *
+ * 0 means unlimited.  A call over a limit fails with a `rate_limited`
+ * ProviderError (429) whose `retryAfter` says when to try again.
+ * Tokens are only known once a call returns, so the call that crosses
+ * a budget completes and the next one is refused.
+ *
+ * Counters live in the store (`usage`, one record per user, day and
+ * provider; `rateLimits`, the recent call times per user and scope)
+ * and so survive restarts.  The user being served is carried through
+ * the async call chain with withUsage(); calls made outside it, such
+ * as those from a script run without a user, are not metered.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { ProviderError } = require('./errors');
+const { log } = require('./log');
+const models = require('./models');
+
+const COUNTERS = 'usage';
+const WINDOWS = 'rateLimits';
+const PROVIDERS = Object.keys(models.PROVIDERS);
+const ALL = '*';
+const DEFAULT_RPM = 30;
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_REPORT_DAYS = 7;
+const MAX_REPORT_DAYS = 90;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Read the limits from the environment.  `null` means unlimited.
+ *
+ * @param {object} [env] - Defaults to process.env.
+ * @returns {object} `{ requestsPerMinute, dailyTokens, providers }`,
+ *   with the same two fields per provider.
+ */
+function usageLimits(env = process.env) {
+  const limit = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    const chosen = Number.isInteger(value) && value >= 0 ? value : fallback;
+    return chosen > 0 ? chosen : null;
+  };
+  return {
+    requestsPerMinute: limit('RATE_LIMIT_RPM', DEFAULT_RPM),
+    dailyTokens: limit('DAILY_TOKEN_BUDGET', 0),
+    providers: Object.fromEntries(PROVIDERS.map((p) => [p, {
+      requestsPerMinute: limit(`RATE_LIMIT_RPM_${p.toUpperCase()}`, 0),
+      dailyTokens: limit(`DAILY_TOKEN_BUDGET_${p.toUpperCase()}`, 0),
+    }])),
+  };
+}
+
+function scopeLimits(limits, scope) {
+  return scope === ALL ? limits : limits.providers[scope] || {};
+}
+
+function today(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((midnight.getTime() - now) / 1000));
+}
+
+// Admission and counting read, then write, the same records; calls for
+// one user run one at a time so parallel calls (cross_check) cannot
+// lose each other's updates.
+const queues = new Map();
+
+function serialized(key, task) {
+  const run = (queues.get(key) || Promise.resolve()).then(task, task);
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return run;
+}
+
+/* ------------------------------------------------------------------
+ * Counters
+ */
+
+// Call times within the last minute for a user and scope.
+async function recentCalls(store, userId, scope, now) {
+  const window = await store.get(WINDOWS, `${userId}:${scope}`);
+  return window ? window.calls.filter((t) => t > now - WINDOW_MS) : [];
+}
+
+async function dailyCounters(store, userId, day) {
+  return store.list(COUNTERS, { userId, day });
+}
+
+function tokensUsed(counters, scope) {
+  return counters
+    .filter((c) => scope === ALL || c.provider === scope)
+    .reduce((sum, c) => sum + c.totalTokens, 0);
+}
+
+async function checkScope(store, userId, scope, limits, now, counters) {
+  const { requestsPerMinute, dailyTokens } = scopeLimits(limits, scope);
+  const provider = scope === ALL ? undefined : scope;
+  const label = provider ? ` for ${provider}` : '';
+  if (requestsPerMinute) {
+    const calls = await recentCalls(store, userId, scope, now);
+    if (calls.length >= requestsPerMinute) {
+      throw new ProviderError('rate_limited',
+        `Rate limit of ${requestsPerMinute} requests per minute${label} reached`, {
+          provider,
+          retryAfter: Math.max(1, Math.ceil((calls[0] + WINDOW_MS - now) / 1000)),
+        });
+    }
+  }
+  if (dailyTokens && tokensUsed(counters, scope) >= dailyTokens) {
+    throw new ProviderError('rate_limited',
+      `Daily budget of ${dailyTokens} tokens${label} used up`, {
+        provider,
+        retryAfter: secondsUntilTomorrow(now),
+      });
+  }
+}
+
+/**
+ * Check that a user is within their limits without counting a call.
+ * Routes call this up front so a request that would be refused fails
+ * before any work starts, e.g. before a research job is queued.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {string} userId
+ * @param {string} [provider] - Also check this provider's own limits.
+ * @throws {ProviderError} `rate_limited` with `retryAfter`.
+ */
+async function checkLimits(store, userId, provider) {
+  const now = Date.now();
+  const limits = usageLimits();
+  const counters = await dailyCounters(store, userId, today(now));
+  await checkScope(store, userId, ALL, limits, now, counters);
+  if (provider) await checkScope(store, userId, provider, limits, now, counters);
+}
+
+/**
+ * Run `fn` on behalf of a user: provider calls made anywhere inside
+ * it, including work it leaves running in the background, are
+ * admitted and counted against that user.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {function(): *} fn
+ * @returns {*} Whatever `fn` returns.
+ */
+function withUsage(store, userId, fn) {
+  return context.run({ store, userId }, fn);
+}
+
+/**
+ * @returns {{store: object, userId: string}|null} The user whose calls
+ *   are being metered, from withUsage(), or null outside it.
+ */
+function currentUser() {
+  return context.getStore() || null;
+}
+
+/**
+ * Admit one call to `provider` for the current user, if any, and note
+ * its time.  Used by providers.js before every upstream request.
+ *
+ * @param {string} provider
+ * @throws {ProviderError} `rate_limited` if a limit has been reached.
+ */
+async function admitCall(provider) {
+  const current = context.getStore();
+  if (!current) return;
+  const { store, userId } = current;
+  await serialized(userId, async () => {
+    const now = Date.now();
+    await checkLimits(store, userId, provider);
+    for (const scope of [ALL, provider]) {
+      if (!scopeLimits(usageLimits(), scope).requestsPerMinute) continue;
+      const id = `${userId}:${scope}`;
+      const calls = [...await recentCalls(store, userId, scope, now), now];
+      if (!(await store.update(WINDOWS, id, { calls }))) {
+        await store.insert(WINDOWS, { id, userId, scope, calls });
+      }
+    }
+  });
+}
+
+/**
+ * Count a finished call for the current user, if any.  Failures to
+ * save are logged rather than failing the generation they follow.
+ *
+ * @param {string} provider
+ * @param {object|null} usage - The envelope's `usage`, or null if the
+ *   call failed.
+ */
+async function recordCall(provider, usage) {
+  const current = context.getStore();
+  if (!current) return;
+  const { store, userId } = current;
+  try {
+    await serialized(userId, async () => {
+      const now = new Date();
+      const day = today(now.getTime());
+      const id = `${userId}:${day}:${provider}`;
+      const counter = await store.get(COUNTERS, id) || {
+        id, userId, day, provider, requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0,
+      };
+      const u = usage || {};
+      const changes = {
+        requests: counter.requests + 1,
+        failures: counter.failures + (usage ? 0 : 1),
+        inputTokens: counter.inputTokens + (u.inputTokens || 0),
+        outputTokens: counter.outputTokens + (u.outputTokens || 0),
+        totalTokens: counter.totalTokens + (u.totalTokens || 0),
+        updatedAt: now.toISOString(),
+      };
+      if (!(await store.update(COUNTERS, id, changes))) await store.insert(COUNTERS, { ...counter, ...changes });
+    });
+  } catch (err) {
+    log.error('Could not record usage', { err });
+  }
+}
+
+/* ------------------------------------------------------------------
+ * Report
+ */
+
+function emptyTotals() {
+  return { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+}
+
+function addTotals(total, counter) {
+  for (const key of Object.keys(emptyTotals())) total[key] += counter[key] || 0;
+  return total;
+}
+
+/**
+ * A user's usage per day and provider, with their limits and what is
+ * left of them right now.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {number|string} [options.days] - Days to cover, including
+ *   today (default 7, at most 90).
+ * @returns {Promise<object>} `{ limits, remaining, total, days }`;
+ *   `days` is newest first, each with its totals and `providers`.
+ */
+async function usageReport(store, userId, options = {}) {
+  const requested = parseInt(options.days, 10);
+  const span = Math.min(requested > 0 ? requested : DEFAULT_REPORT_DAYS, MAX_REPORT_DAYS);
+  const now = Date.now();
+  const first = today(now - (span - 1) * 24 * 3600 * 1000);
+  const counters = (await store.list(COUNTERS, { userId })).filter((c) => c.day >= first);
+
+  const days = new Map();
+  for (let i = 0; i < span; i++) {
+    days.set(today(now - i * 24 * 3600 * 1000), { ...emptyTotals(), providers: {} });
+  }
+  const total = emptyTotals();
+  for (const counter of counters) {
+    const entry = days.get(counter.day);
+    if (!entry) continue;
+    addTotals(entry, counter);
+    entry.providers[counter.provider] = addTotals(entry.providers[counter.provider] || emptyTotals(), counter);
+    addTotals(total, counter);
+  }
+
+  const limits = usageLimits();
+  const todays = counters.filter((c) => c.day === today(now));
+  const remaining = {};
+  for (const scope of [ALL, ...PROVIDERS]) {
+    const { requestsPerMinute, dailyTokens } = scopeLimits(limits, scope);
+    if (!requestsPerMinute && !dailyTokens) continue;
+    remaining[scope === ALL ? 'all' : scope] = {
+      requestsThisMinute: requestsPerMinute
+        ? Math.max(requestsPerMinute - (await recentCalls(store, userId, scope, now)).length, 0)
+        : null,
+      tokensToday: dailyTokens ? Math.max(dailyTokens - tokensUsed(todays, scope), 0) : null,
+    };
+  }
+
+  return {
+    limits,
+    remaining,
+    total,
+    days: Array.from(days, ([day, entry]) => ({ day, ...entry })),
+  };
+}
+
+module.exports = {
+  admitCall,
+  checkLimits,
+  currentUser,
+  recordCall,
+  usageLimits,
+  usageReport,
+  withUsage,
+};
@@ -0,0 +1,150 @@
+/*
+ * Declarative validation of request bodies.  A schema maps each field
+ * to a rule:
+ *
+ *   type        string, number, integer, boolean, array or object, or a
+ *               list of them
+ *   required    the field must be present (and not null)
+ *   nullable    null is accepted and means "clear this field"
+ *   minLength, maxLength   for strings, after trimming
+ *   min, max    for numbers
+ *   minItems, maxItems     for arrays
+ *   items       the rule every array element must follow
+ *   fields      a schema for the keys of an object
+ *   enum        the accepted values
+ *
+ * validate() reports every invalid field rather than stopping at the
+ * first, so a form can mark them all at once; assertValid() throws them
+ * as a ValidationError, which the servers send as problem+json.
+ *
+ * Request bodies are also limited in size:
+ *
+ *   MAX_BODY_BYTES     any JSON body (default 1 MB)
+ *   MAX_IMPORT_BYTES   a workspace archive for /api/import (default 25 MB)
+ */
+
+const { ValidationError } = require('./errors');
+
+const DEFAULT_BODY_BYTES = 1024 * 1024;
+const DEFAULT_IMPORT_BYTES = 25 * 1024 * 1024;
+
+/**
+ * @param {string} [kind] - `import` for /api/import, anything else for
+ *   other routes.
+ * @returns {number} The largest request body accepted, in bytes.
+ */
+function bodyLimit(kind) {
+  const [name, fallback] = kind === 'import'
+    ? ['MAX_IMPORT_BYTES', DEFAULT_IMPORT_BYTES]
+    : ['MAX_BODY_BYTES', DEFAULT_BODY_BYTES];
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(types) {
+  const names = types.map((t) => (['array', 'object', 'integer'].includes(t) ? `an ${t}` : `a ${t}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+function checkValue(rule, value, field, errors) {
+  const fail = (message) => errors.push({ field, message });
+  if (value === null) {
+    if (!rule.nullable) fail(rule.required ? 'is required' : 'must not be null');
+    return;
+  }
+  const types = [].concat(rule.type || []);
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    return fail(`must be ${describe(types)}`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of ${rule.enum.join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (rule.minLength && length < rule.minLength) {
+      return fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+  }
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+  if (Array.isArray(value)) {
+    if (rule.minItems && value.length < rule.minItems) {
+      return fail(rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items`);
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return fail(`must have at most ${rule.maxItems} items`);
+    }
+    if (rule.items) value.forEach((item, i) => checkValue(rule.items, item, `${field}[${i}]`, errors));
+  }
+  if (rule.fields && typeOf(value) === 'object') {
+    checkFields(rule.fields, value, `${field}.`, errors, false);
+  }
+}
+
+function checkFields(schema, body, prefix, errors, partial) {
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = body[name];
+    if (value === undefined) {
+      if (rule.required && !partial) errors.push({ field: prefix + name, message: 'is required' });
+      continue;
+    }
+    checkValue(rule, value, prefix + name, errors);
+  }
+}
+
+/**
+ * Check a request body against a schema.  Fields the schema does not
+ * mention are ignored.
+ *
+ * @param {object} schema - Field name -> rule (see above).
+ * @param {*} body - The parsed request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Only check the fields present,
+ *   as for a PATCH.
+ * @returns {{field: string, message: string}[]} Every problem found;
+ *   empty if the body is valid.
+ */
+function validate(schema, body, options = {}) {
+  if (typeOf(body) !== 'object') return [ { field: '', message: 'must be a JSON object' } ];
+  const errors = [];
+  checkFields(schema, body, '', errors, options.partial === true);
+  return errors;
+}
+
+/**
+ * Like validate(), but throw when the body is invalid.
+ *
+ * @param {object} schema
+ * @param {*} body
+ * @param {object} [options] - See validate().
+ * @param {string} [message] - Summary for the problem's `detail`.
+ * @throws {ValidationError} 400 listing every invalid field.
+ */
+function assertValid(schema, body, options = {}, message = 'Invalid request body') {
+  const errors = validate(schema, body, options);
+  if (errors.length) throw new ValidationError(message, errors);
+}
+
+module.exports = {
+  assertValid,
+  bodyLimit,
+  validate,
+};
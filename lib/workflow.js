@@ -0,0 +1,232 @@
+/*
+ * Editorial workflow for scripts.
+ *
+ * Every script has a `status` that moves through
+ *
+ *   draft -> in_review -> approved -> recorded -> aired
+ *
+ * only along the transitions below, each allowed to some roles (see
+ * sharing.js): editors submit drafts for review, reviewers approve
+ * them or send them back, and editors mark approved scripts recorded
+ * and then aired.  Owners can do everything.
+ *
+ * Approval is for a text: changing the content or sources of an
+ * approved script sends it back to draft, and once a script has been
+ * recorded its text can no longer change.
+ *
+ * Status changes and changes to a script's `airDate` are recorded as
+ * workflow events, which together with its revisions make up the
+ * script's history of who changed what.
+ */
+
+const { HttpError, ValidationError } = require('./errors');
+const { listRevisions } = require('./revisions');
+const { generateId } = require('./storage');
+const { assertValid } = require('./validation');
+
+const COLLECTION = 'workflowEvents';
+const STATUSES = ['draft', 'in_review', 'approved', 'recorded', 'aired'];
+const INITIAL_STATUS = 'draft';
+// Statuses whose text is final.
+const LOCKED = ['recorded', 'aired'];
+
+// From status -> to status -> roles allowed to make the change.
+const TRANSITIONS = {
+  draft: { in_review: ['owner', 'editor'] },
+  in_review: { draft: ['owner', 'editor', 'reviewer'], approved: ['owner', 'reviewer'] },
+  approved: { in_review: ['owner', 'reviewer'], draft: ['owner', 'editor'], recorded: ['owner', 'editor'] },
+  recorded: { aired: ['owner', 'editor'], approved: ['owner', 'editor'] },
+  aired: {},
+};
+
+// Request body of POST /api/scripts/:id/status (see validation.js).
+const STATUS_SCHEMA = {
+  status: { type: 'string', required: true, enum: STATUSES },
+  note: { type: 'string', nullable: true, maxLength: 2000 },
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Normalize a client supplied air date: a calendar day (`2025-03-01`)
+ * is kept as it is, a date‑time with an offset is converted to UTC.
+ *
+ * @param {string|null} value
+ * @returns {string|null|undefined} The normalized value, null to clear
+ *   it, or undefined if it is not a valid date.
+ */
+function parseAirDate(value) {
+  if (value === null) return null;
+  if (typeof value !== 'string') return undefined;
+  const text = value.trim();
+  if (DATE.test(text)) {
+    const day = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(day.getTime()) && day.toISOString().startsWith(text) ? text : undefined;
+  }
+  if (DATE_TIME.test(text)) {
+    const time = new Date(text);
+    return Number.isNaN(time.getTime()) ? undefined : time.toISOString();
+  }
+  return undefined;
+}
+
+/**
+ * @param {string|null} value - See parseAirDate().
+ * @returns {string|null} The normalized air date.
+ * @throws {ValidationError} If it is not a valid date.
+ */
+function checkAirDate(value) {
+  const airDate = parseAirDate(value);
+  if (airDate === undefined) {
+    throw new ValidationError('Invalid request body', [
+      { field: 'airDate', message: 'must be a date (YYYY-MM-DD) or a date-time with a time zone' },
+    ]);
+  }
+  return airDate;
+}
+
+/**
+ * @param {object} script
+ * @returns {string} Its status; scripts saved before the workflow
+ *   existed are drafts.
+ */
+function scriptStatus(script) {
+  return script.status || INITIAL_STATUS;
+}
+
+/**
+ * Check that a script's content and sources may change, and say what
+ * its status becomes if they do.
+ *
+ * @param {object} script - As stored.
+ * @returns {string|null} The status to move it to, or null to keep it.
+ * @throws {HttpError} 409 if the script has been recorded or aired.
+ */
+function statusAfterEdit(script) {
+  const status = scriptStatus(script);
+  if (LOCKED.includes(status)) {
+    throw new HttpError(409, `The script has been ${status}; its text can no longer change`);
+  }
+  return status === 'approved' ? INITIAL_STATUS : null;
+}
+
+/**
+ * @param {string} from
+ * @param {string} role
+ * @returns {string[]} The statuses `role` can move a script to from `from`.
+ */
+function nextStatuses(from, role) {
+  return Object.entries(TRANSITIONS[from] || {})
+    .filter(([, roles]) => roles.includes(role))
+    .map(([to]) => to);
+}
+
+/**
+ * Append a workflow event to a script's history.
+ *
+ * @param {object} store - See lib/storage.
+ * @param {object} script - The script as stored.
+ * @param {object} event
+ * @param {string} event.author - User ID of whoever made the change.
+ * @param {string} event.type - `status` or `airDate`.
+ * @param {*} event.from
+ * @param {*} event.to
+ * @param {string} [event.note]
+ * @returns {Promise<object>} The stored event.
+ */
+async function recordEvent(store, script, { author, type, from, to, note }) {
+  return store.insert(COLLECTION, {
+    id: generateId('event'),
+    scriptId: script.id,
+    userId: script.userId,
+    author,
+    type,
+    from: from === undefined ? null : from,
+    to: to === undefined ? null : to,
+    ...(note ? { note } : {}),
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Move a script to another status.
+ *
+ * @param {object} store
+ * @param {string} userId
+ * @param {object} script - From scripts.getScript(), with the caller's `role`.
+ * @param {object} body - `{ status, note }`.
+ * @returns {Promise<object>} The updated script, with `role`.
+ * @throws {ValidationError} For an invalid body.
+ * @throws {HttpError} 409 if the workflow has no such transition, 403
+ *   if the caller's role may not make it.
+ */
+async function changeStatus(store, userId, script, body) {
+  assertValid(STATUS_SCHEMA, body);
+  const from = scriptStatus(script);
+  const to = body.status;
+  const roles = (TRANSITIONS[from] || {})[to];
+  if (!roles) {
+    const allowed = Object.keys(TRANSITIONS[from] || {});
+    throw new HttpError(409, `A script cannot move from ${from} to ${to}`
+      + (allowed.length ? `; it can move to ${allowed.join(', ')}` : ''));
+  }
+  if (!roles.includes(script.role)) {
+    throw new HttpError(403, `Your role on this script (${script.role}) does not allow moving it from ${from} to ${to}`);
+  }
+  const now = new Date().toISOString();
+  const updated = await store.update('scripts', script.id, {
+    status: to,
+    statusChangedAt: now,
+    statusChangedBy: userId,
+  });
+  await recordEvent(store, updated, { author: userId, type: 'status', from, to, note: body.note });
+  return { ...updated, role: script.role };
+}
+
+/**
+ * A script's history: workflow events and revisions, newest first.
+ * Revisions appear as `{ type: 'revision', number, author, origin }`.
+ *
+ * @param {object} store
+ * @param {object} script
+ * @returns {Promise<object>} `{ status, next, events }`, where `next`
+ *   lists the statuses the caller can move the script to.
+ */
+async function scriptHistory(store, script) {
+  const events = await store.list(COLLECTION, { scriptId: script.id });
+  const revisions = (await listRevisions(store, script.id)).map((r) => ({
+    id: r.id,
+    scriptId: r.scriptId,
+    type: 'revision',
+    number: r.number,
+    author: r.author,
+    origin: r.origin,
+    createdAt: r.createdAt,
+  }));
+  const status = scriptStatus(script);
+  return {
+    status,
+    next: nextStatuses(status, script.role),
+    events: events.concat(revisions)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))),
+  };
+}
+
+async function deleteWorkflowEvents(store, scriptId) {
+  const events = await store.list(COLLECTION, { scriptId });
+  for (const event of events) await store.remove(COLLECTION, event.id);
+}
+
+module.exports = {
+  INITIAL_STATUS,
+  STATUSES,
+  changeStatus,
+  checkAirDate,
+  deleteWorkflowEvents,
+  parseAirDate,
+  recordEvent,
+  scriptHistory,
+  scriptStatus,
+  statusAfterEdit,
+};
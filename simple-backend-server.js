@@ -4,12 +4,14 @@
  * CORS middleware, which cannot be installed in the current
  * environment.  The server acts as a proxy for calling external
  * Large Language Model (LLM) APIs (Gemini, Anthropic Claude and
- * OpenAI ChatGPT).  It also exposes simple in‑memory CRUD
- * endpoints for programmes and scripts.  API keys are loaded from
+ * OpenAI ChatGPT).  It also exposes CRUD endpoints for programmes
+ * and scripts backed by the storage layer in lib/storage.  API keys are loaded from
  * environment variables defined in a `.env` file if present.
  *
- * NOTE: This is not a production‑ready server.  It lacks user
- * authentication, persistent storage and proper input validation.
+ * NOTE: This is not a production‑ready server.  Request bodies are
+ * validated against the schemas in lib/ (see lib/validation.js) and
+ * requests are logged and measured (lib/log.js, lib/metrics.js), but
+ * it has no TLS or clustering.
  * However it demonstrates how to run a secure proxy without
  * exposing your API keys to the browser.  See report.md for a full
  * implementation plan that includes authentication and database
@@ -19,6 +21,7 @@
 const http = require('http');
 const { readFileSync, existsSync } = require('fs');
 const { parse: parseUrl } = require('url');
+const { addLogContext, log, withLogContext } = require('./lib/log');
 
 /* ------------------------------------------------------------------
  * Environment loading
@@ -47,151 +50,204 @@ function loadDotEnv() {
       }
     }
   } catch (err) {
-    console.error('Error loading .env file:', err);
+    log.error('Error loading .env file', { err });
   }
 }
 
 loadDotEnv();
 
 /* ------------------------------------------------------------------
- * Helpers to call external LLM APIs
+ * External LLM APIs
  *
- * Each helper returns a Promise that resolves with the parsed JSON
- * response from the upstream API or rejects with an Error.  They
- * rely on the native `fetch` API available in Node.js v22+.
+ * The provider helpers live in lib/providers.js, which only uses
+ * Node's built‑in modules and the native `fetch` API.  generate()
+ * returns the same normalized envelope for every provider.
  */
-async function callGemini(prompt) {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) throw new Error('GEMINI_API_KEY not configured');
-  const url = `https://generativelanguage.googleapis.com/v1/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-  const body = {
-    contents: [ { parts: [ { text: prompt } ] } ],
-    generationConfig: { maxOutputTokens: 2048, temperature: 0.7 },
-  };
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Gemini API error: ${response.status} – ${text}`);
-  }
-  return await response.json();
-}
-
-async function callClaude(prompt) {
-  const apiKey = process.env.CLAUDE_API_KEY;
-  if (!apiKey) throw new Error('CLAUDE_API_KEY not configured');
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'x-api-key': apiKey,
-      'anthropic-version': '2023-06-01',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'claude-3-opus-20240229',
-      max_tokens: 2048,
-      messages: [ { role: 'user', content: prompt } ],
-    }),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Claude API error: ${response.status} – ${text}`);
-  }
-  return await response.json();
-}
-
-async function callOpenAI(prompt) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('OPENAI_API_KEY not configured');
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: 'gpt-4-turbo',
-      messages: [ { role: 'user', content: prompt } ],
-      max_tokens: 2048,
-    }),
-  });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} – ${text}`);
-  }
-  return await response.json();
-}
+const { availableProviders, resolveProvider, streamGenerate } = require('./lib/providers');
+const { orchestrate, parseGenerationRequest } = require('./lib/generation');
+const { modelCatalog } = require('./lib/models');
+const { pipeGenerationStream, wantsEventStream } = require('./lib/sse');
+const {
+  HttpError, PROBLEM_CONTENT_TYPE, ProviderError, ValidationError,
+} = require('./lib/errors');
+const { bodyLimit } = require('./lib/validation');
+const { AuthError, bearerToken, verifyToken } = require('./lib/auth');
+const { healthReport } = require('./lib/health');
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE, metricsAllowed, renderMetrics, trackRequest,
+} = require('./lib/metrics');
 
 /* ------------------------------------------------------------------
- * In‑memory data stores for programmes and scripts.  In a real
- * implementation you should persist these to Firestore, Supabase or
- * another database keyed by user ID.  The structure is an object
- * keyed by user ID mapping to arrays of programmes or scripts.
+ * Persistent storage for programmes and scripts.  The driver is
+ * selected with STORAGE_DRIVER (`file` by default, or `memory`); see
+ * lib/storage.  Records are owned by the user ID that created them;
+ * programmes and their scripts can be shared (lib/sharing.js).
  */
-const programmes = {};
-const scripts = {};
+const { createStore } = require('./lib/storage');
+const {
+  createProgramme, deleteProgramme, getProgramme, listProgrammes, updateProgramme,
+} = require('./lib/programmes');
+const {
+  createScript, deleteScript, getScript, listScripts, restoreScriptRevision, updateScript,
+} = require('./lib/scripts');
+const { diffRevisions, getRevision, listRevisions } = require('./lib/revisions');
+const { changeStatus, scriptHistory } = require('./lib/workflow');
+const {
+  addComment, deleteComment, listComments, updateComment,
+} = require('./lib/comments');
+const { programmeCalendar, toICalendar } = require('./lib/calendar');
+const {
+  addReference, deleteReference, listReferences, reindexReferences,
+} = require('./lib/references');
+const { checkScript, checkText, latestFactCheck } = require('./lib/fact-check');
+const { exportScript } = require('./lib/export');
+const { analyzeScript } = require('./lib/analysis');
+const {
+  applyToScript, createSession, deleteSession, getSession, listSessions, sendMessage,
+} = require('./lib/chat');
+const { generateProgrammeScript } = require('./lib/script-generation');
+const {
+  deleteIdea, generateIdeas, listIdeas, promoteIdea, updateIdea,
+} = require('./lib/ideas');
+const {
+  attachResearch, deleteResearch, failInterruptedResearch, getResearch, listResearch, startResearch,
+} = require('./lib/research');
+const {
+  cancelJob, deleteJob, getJob, listJobs, pipeJobEvents, recoverJobs, submitJob,
+} = require('./lib/jobs');
+const { exportWorkspace, importWorkspace, parseImportRequest } = require('./lib/archive');
+const { checkLimits, usageReport, withUsage } = require('./lib/usage');
+const { deleteApiKey, listApiKeys, saveApiKey } = require('./lib/api-keys');
+const {
+  invite, listInvitations, listMembers, removeMember, respondToInvitation, revokeInvitation, updateMember,
+} = require('./lib/sharing');
+const { parseSearchQuery, search } = require('./lib/search');
+
+const store = createStore();
 
 /* ------------------------------------------------------------------
  * Utility functions
  */
-// Generate a random ID using the current time and a random suffix.
-function generateId(prefix) {
-  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-}
+// CORS headers sent with every response.
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Request-Id',
+};
 
 // Send a JSON response with the given status code and object.
-function sendJson(res, statusCode, obj) {
+function sendJson(res, statusCode, obj, contentType = 'application/json') {
   const payload = JSON.stringify(obj);
   res.writeHead(statusCode, {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Content-Type': contentType,
+    ...CORS_HEADERS,
   });
   res.end(payload);
 }
 
+// Match a pathname against a pattern such as `/api/scripts/:id/diff`.
+// Returns an object of decoded parameters, or null if it does not match.
+// A match is recorded as the request's route for its metrics and logs.
+function matchRoute(pattern, pathname) {
+  const expected = pattern.split('/');
+  const actual = pathname.split('/');
+  if (expected.length !== actual.length) return null;
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i].startsWith(':')) {
+      if (!actual[i]) return null;
+      params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  addLogContext({ route: pattern });
+  return params;
+}
+
 // Parse the JSON body of a request.  Returns a Promise that
-// resolves with the parsed object or rejects if parsing fails.
-function parseRequestBody(req) {
+// resolves with the parsed object, or rejects with a ValidationError
+// if the body is not valid JSON (400) or larger than `limit` (413).
+function parseRequestBody(req, limit = bodyLimit()) {
   return new Promise((resolve, reject) => {
-    let data = '';
+    const tooLarge = () => new ValidationError(`Request body is larger than ${limit} bytes`, [], 413);
+    if (parseInt(req.headers['content-length'], 10) > limit) return reject(tooLarge());
+    const chunks = [];
+    let size = 0;
     req.on('data', (chunk) => {
-      data += chunk;
+      // Past the limit the rest is drained so the error can be sent.
+      if (size > limit) return;
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
     });
     req.on('end', () => {
+      if (size > limit) return;
+      const data = Buffer.concat(chunks).toString('utf8');
       if (!data) return resolve({});
       try {
-        const parsed = JSON.parse(data);
-        resolve(parsed);
+        resolve(JSON.parse(data));
       } catch (err) {
-        reject(err);
+        reject(new ValidationError(`Invalid JSON in request body: ${err.message}`));
       }
     });
     req.on('error', (err) => reject(err));
   });
 }
 
+// Send a failed generation as JSON.  ProviderErrors carry their own
+// status and typed body; anything else is a 500.
+function sendGenerationError(res, err) {
+  log.error('Generation error', { err });
+  if (err instanceof ProviderError) {
+    if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+    return sendJson(res, err.status, err);
+  }
+  return sendJson(res, 500, { error: err.message || 'Internal Server Error' });
+}
+
 /*
- * Minimal authentication middleware.  In this demo server we do not
- * verify tokens; instead we accept any non‑empty Authorization header
- * of the form `Bearer <token>` and assign a fixed user ID.  In a
- * production server you must verify JWTs from Firebase, Supabase or
- * your auth provider and extract the user ID from the decoded
- * token.【876323371830981†L1404-L1460】
+ * Authentication.  The `Bearer <token>` header is verified as a JWT by
+ * lib/auth.js (HS256 shared secret or RS256/ES256 against a JWKS from
+ * Firebase, Supabase or a local file; see that module for the AUTH_*
+ * environment variables).  Resolves with the user from the token
+ * (`{ uid, email, claims }`), or null if the header is missing or the
+ * token does not verify; rejects with a 503 HttpError if the signing
+ * keys cannot be loaded.
  */
-function getUserId(req) {
-  const authHeader = req.headers['authorization'] || '';
-  if (!authHeader.startsWith('Bearer ')) {
+async function getUser(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  try {
+    const user = await verifyToken(token);
+    addLogContext({ userId: user.uid });
+    return user;
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    if (!(err instanceof AuthError)) log.error('Authentication error', { err });
     return null;
   }
-  const token = authHeader.slice('Bearer '.length);
-  if (!token) return null;
-  // In a real implementation, verify the token and return the UID.
-  return 'demo-user';
+}
+
+// Like getUser(), resolving with just the user ID.
+async function getUserId(req) {
+  const user = await getUser(req);
+  return user ? user.uid : null;
+}
+
+/*
+ * Run a route that calls a provider.  The caller must be within their
+ * rate limits and token budgets (lib/usage.js), or gets a 429 with
+ * Retry-After before any work starts; every provider call `handler`
+ * makes, including from background jobs it starts, is counted against
+ * them.
+ */
+async function metered(userId, body, handler) {
+  await checkLimits(store, userId, resolveProvider(body.model));
+  return withUsage(store, userId, handler);
 }
 
 /* ------------------------------------------------------------------
@@ -204,148 +260,490 @@ function getUserId(req) {
 async function handleRequest(req, res) {
   // Respond to preflight CORS requests quickly.
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    });
+    res.writeHead(204, CORS_HEADERS);
     return res.end();
   }
   const { pathname, query } = parseUrl(req.url, true);
   try {
-    // Health check
+    // Health and readiness of storage and providers (lib/health.js);
+    // 503 when the server cannot serve.
     if (req.method === 'GET' && pathname === '/api/health') {
-      return sendJson(res, 200, { status: 'ok' });
+      const report = await healthReport(store);
+      return sendJson(res, report.status === 'unavailable' ? 503 : 200, report);
+    }
+    // Prometheus metrics (lib/metrics.js), behind METRICS_TOKEN if set.
+    if (req.method === 'GET' && pathname === '/metrics') {
+      if (!metricsAllowed(bearerToken(req))) return sendJson(res, 401, { error: 'Missing or invalid metrics token' });
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': METRICS_CONTENT_TYPE });
+      return res.end(renderMetrics());
     }
-    // Generation proxy
-    if (req.method === 'POST' && pathname === '/api/generate') {
-      const userId = getUserId(req);
+    // Generation proxy.  `mode` selects single, hybrid or cross_check
+    // generation (see lib/generation.js).  /api/generate/stream, or
+    // /api/generate with `Accept: text/event-stream`, relays the
+    // provider's output as Server‑Sent Events instead of waiting for
+    // the full response.  `model` is a provider or a model id from
+    // /api/models; `temperature`, `maxTokens` and `system` override its
+    // defaults.  `fallback` lists models to try in order if the
+    // selected one fails.
+    if (req.method === 'POST' && (pathname === '/api/generate' || pathname === '/api/generate/stream')) {
+      const userId = await getUserId(req);
       if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
       const body = await parseRequestBody(req);
-      const { model, prompt } = body;
-      if (!model || !prompt) return sendJson(res, 400, { error: 'Missing model or prompt' });
-      let result;
-      switch (String(model).toLowerCase()) {
-        case 'gemini':
-          result = await callGemini(prompt);
-          break;
-        case 'claude':
-          result = await callClaude(prompt);
-          break;
-        case 'openai':
-        case 'chatgpt':
-          result = await callOpenAI(prompt);
-          break;
-        default:
-          return sendJson(res, 400, { error: 'Unsupported model' });
-      }
-      return sendJson(res, 200, result);
+      const { request, error, errors } = parseGenerationRequest(body);
+      if (error) throw new ValidationError(error, errors);
+      if (pathname === '/api/generate/stream' || wantsEventStream(req)) {
+        if (request.mode !== 'single') {
+          return sendJson(res, 400, { error: 'Streaming is only available in single mode' });
+        }
+        const { provider, prompt, fallback, params } = request;
+        return await metered(userId, body, () => pipeGenerationStream(res,
+          (signal) => streamGenerate(provider, prompt, { signal, fallback, params }), CORS_HEADERS));
+      }
+      const includeRaw = body.raw === true || query.raw === '1';
+      try {
+        return sendJson(res, 200, await metered(userId, body, () => orchestrate(request, { includeRaw })));
+      } catch (err) {
+        return sendGenerationError(res, err);
+      }
     }
     // CRUD for programmes
     if (pathname === '/api/programmes') {
-      const userId = getUserId(req);
+      const userId = await getUserId(req);
       if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
       if (req.method === 'GET') {
-        const list = programmes[userId] || [];
-        return sendJson(res, 200, list);
+        return sendJson(res, 200, await listProgrammes(store, userId));
       }
       if (req.method === 'POST') {
         const body = await parseRequestBody(req);
-        const { name, genre, targetAudience, episodeLength, styleReferences } = body;
-        const programme = {
-          id: generateId('programme'),
-          name,
-          genre,
-          targetAudience,
-          episodeLength,
-          styleReferences: styleReferences || [],
-          createdAt: new Date().toISOString(),
-        };
-        if (!programmes[userId]) programmes[userId] = [];
-        programmes[userId].unshift(programme);
-        return sendJson(res, 201, programme);
-      }
-    }
-    // PUT/DELETE /api/programmes/:id
-    if (pathname.startsWith('/api/programmes/')) {
-      const userId = getUserId(req);
+        return sendJson(res, 201, await createProgramme(store, userId, body));
+      }
+    }
+    // PUT/PATCH/DELETE /api/programmes/:id; PATCH only changes the
+    // fields present.
+    let params = matchRoute('/api/programmes/:id', pathname);
+    if (params) {
+      const userId = await getUserId(req);
       if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
-      const id = pathname.split('/').pop();
-      const list = programmes[userId] || [];
-      const index = list.findIndex((p) => p.id === id);
-      if (index === -1) return sendJson(res, 404, { error: 'Programme not found' });
-      if (req.method === 'PUT') {
+      const { id } = params;
+      if (req.method === 'PUT' || req.method === 'PATCH') {
         const body = await parseRequestBody(req);
-        const { name, genre, targetAudience, episodeLength, styleReferences } = body;
-        const updated = {
-          ...list[index],
-          name,
-          genre,
-          targetAudience,
-          episodeLength,
-          styleReferences: styleReferences || [],
-          updatedAt: new Date().toISOString(),
-        };
-        list[index] = updated;
+        const updated = await updateProgramme(store, userId, id, body, { partial: req.method === 'PATCH' });
+        if (!updated) return sendJson(res, 404, { error: 'Programme not found' });
         return sendJson(res, 200, updated);
       }
       if (req.method === 'DELETE') {
-        list.splice(index, 1);
+        if (!(await deleteProgramme(store, userId, id))) {
+          return sendJson(res, 404, { error: 'Programme not found' });
+        }
+        return sendJson(res, 204, {});
+      }
+    }
+    // Sharing a programme: members, their roles and invitations.
+    params = matchRoute('/api/programmes/:id/members', pathname)
+      || matchRoute('/api/programmes/:id/members/:memberId', pathname)
+      || matchRoute('/api/programmes/:id/invitations', pathname)
+      || matchRoute('/api/programmes/:id/invitations/:inviteId', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const { id, memberId, inviteId } = params;
+      if (req.method === 'GET' && pathname.endsWith('/members')) {
+        return sendJson(res, 200, await listMembers(store, userId, id));
+      }
+      if (req.method === 'PATCH' && memberId) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await updateMember(store, userId, id, memberId, body));
+      }
+      if (req.method === 'DELETE' && memberId) {
+        await removeMember(store, userId, id, memberId);
+        return sendJson(res, 204, {});
+      }
+      if (req.method === 'POST' && pathname.endsWith('/invitations')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await invite(store, userId, id, body));
+      }
+      if (req.method === 'DELETE' && inviteId) {
+        await revokeInvitation(store, userId, id, inviteId);
+        return sendJson(res, 204, {});
+      }
+    }
+    // The caller's pending invitations, and accepting or declining one.
+    params = matchRoute('/api/invitations/:id/accept', pathname)
+      || matchRoute('/api/invitations/:id/decline', pathname);
+    if ((params && req.method === 'POST') || (pathname === '/api/invitations' && req.method === 'GET')) {
+      const user = await getUser(req);
+      if (!user) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (!params) return sendJson(res, 200, await listInvitations(store, user));
+      return sendJson(res, 200, await respondToInvitation(store, user, params.id, pathname.endsWith('/accept')));
+    }
+    // Generate and save a script for a programme from a topic, optionally
+    // fitted to its episodeLength (`fitLength: true`).
+    params = matchRoute('/api/programmes/:id/scripts/generate', pathname);
+    if (params && req.method === 'POST') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const body = await parseRequestBody(req);
+      return sendJson(res, 201, await metered(userId, body,
+        () => generateProgrammeScript(store, userId, params.id, body)));
+    }
+    // A programme's episode calendar, as JSON or iCalendar (?format=ics).
+    params = matchRoute('/api/programmes/:id/calendar', pathname);
+    if (params && req.method === 'GET') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const calendar = await programmeCalendar(store, userId, params.id, query);
+      if (query.format !== 'ics' && !String(req.headers.accept || '').includes('text/calendar')) {
+        return sendJson(res, 200, calendar);
+      }
+      const file = toICalendar(calendar);
+      res.writeHead(200, {
+        ...CORS_HEADERS,
+        'Content-Type': file.contentType,
+        'Content-Disposition': file.disposition,
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+      });
+      return res.end(file.body);
+    }
+    // A programme's style reference library: list, upload, re-index
+    // and delete past scripts and transcripts.
+    params = matchRoute('/api/programmes/:id/references', pathname)
+      || matchRoute('/api/programmes/:id/references/:referenceId', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const { id, referenceId } = params;
+      if (req.method === 'GET' && !referenceId) return sendJson(res, 200, await listReferences(store, userId, id));
+      if (req.method === 'POST' && !referenceId) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await addReference(store, userId, id, body));
+      }
+      if (req.method === 'POST' && referenceId === 'reindex') {
+        return sendJson(res, 200, await reindexReferences(store, userId, id));
+      }
+      if (req.method === 'DELETE' && referenceId) {
+        await deleteReference(store, userId, id, referenceId);
+        return sendJson(res, 204, {});
+      }
+    }
+    // Episode ideas backlog for a programme.
+    params = matchRoute('/api/programmes/:id/ideas', pathname)
+      || matchRoute('/api/programmes/:id/ideas/generate', pathname)
+      || matchRoute('/api/programmes/:id/ideas/:ideaId', pathname)
+      || matchRoute('/api/programmes/:id/ideas/:ideaId/promote', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const { id, ideaId } = params;
+      if (req.method === 'GET' && !ideaId) {
+        return sendJson(res, 200, await listIdeas(store, userId, id, query.status));
+      }
+      if (req.method === 'POST' && pathname.endsWith('/ideas/generate')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await metered(userId, body, () => generateIdeas(store, userId, id, body)));
+      }
+      if (req.method === 'POST' && pathname.endsWith('/promote')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await metered(userId, body, () => promoteIdea(store, userId, id, ideaId, body)));
+      }
+      if (req.method === 'PATCH' && ideaId) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await updateIdea(store, userId, id, ideaId, body));
+      }
+      if (req.method === 'DELETE' && ideaId) {
+        await deleteIdea(store, userId, id, ideaId);
         return sendJson(res, 204, {});
       }
     }
     // CRUD for scripts
     if (pathname === '/api/scripts') {
-      const userId = getUserId(req);
+      const userId = await getUserId(req);
       if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
       if (req.method === 'GET') {
-        return sendJson(res, 200, scripts[userId] || []);
+        return sendJson(res, 200, await listScripts(store, userId));
       }
       if (req.method === 'POST') {
         const body = await parseRequestBody(req);
-        const { programmeId, topic, content, sources } = body;
-        const script = {
-          id: generateId('script'),
-          programmeId,
-          topic,
-          content,
-          sources,
-          createdAt: new Date().toISOString(),
-        };
-        if (!scripts[userId]) scripts[userId] = [];
-        scripts[userId].unshift(script);
-        return sendJson(res, 201, script);
-      }
-    }
-    // PUT/DELETE /api/scripts/:id
-    if (pathname.startsWith('/api/scripts/')) {
-      const userId = getUserId(req);
+        return sendJson(res, 201, await createScript(store, userId, body));
+      }
+    }
+    // PUT/PATCH/DELETE /api/scripts/:id; PATCH only changes the
+    // fields present.
+    params = matchRoute('/api/scripts/:id', pathname);
+    if (params) {
+      const userId = await getUserId(req);
       if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
-      const id = pathname.split('/').pop();
-      const list = scripts[userId] || [];
-      const index = list.findIndex((s) => s.id === id);
-      if (index === -1) return sendJson(res, 404, { error: 'Script not found' });
-      if (req.method === 'PUT') {
+      const { id } = params;
+      if (req.method === 'PUT' || req.method === 'PATCH') {
         const body = await parseRequestBody(req);
-        const { content, sources } = body;
-        const updated = {
-          ...list[index],
-          content,
-          sources,
-          updatedAt: new Date().toISOString(),
-        };
-        list[index] = updated;
+        const updated = await updateScript(store, userId, id, body, { partial: req.method === 'PATCH' });
+        if (!updated) return sendJson(res, 404, { error: 'Script not found' });
         return sendJson(res, 200, updated);
       }
       if (req.method === 'DELETE') {
-        list.splice(index, 1);
+        if (!(await deleteScript(store, userId, id))) {
+          return sendJson(res, 404, { error: 'Script not found' });
+        }
         return sendJson(res, 204, {});
       }
     }
+    // Search scripts and programmes (?q=, programmeId, type, from, to,
+    // limit, offset); see lib/search.js.
+    if (req.method === 'GET' && pathname === '/api/search') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      return sendJson(res, 200, await search(store, userId, parseSearchQuery(query)));
+    }
+    // Script revision history: list, fetch one, diff two and restore.
+    params = matchRoute('/api/scripts/:id/revisions', pathname)
+      || matchRoute('/api/scripts/:id/revisions/:number', pathname)
+      || matchRoute('/api/scripts/:id/diff', pathname)
+      || matchRoute('/api/scripts/:id/revisions/:number/restore', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'POST' && pathname.endsWith('/restore')) {
+        const restored = await restoreScriptRevision(store, userId, params.id, params.number);
+        if (!restored) return sendJson(res, 404, { error: 'Script not found' });
+        return sendJson(res, 200, restored);
+      }
+      if (req.method === 'GET') {
+        const script = await getScript(store, userId, params.id);
+        if (!script) return sendJson(res, 404, { error: 'Script not found' });
+        if (pathname.endsWith('/diff')) {
+          const { from, to, granularity } = query;
+          return sendJson(res, 200, await diffRevisions(store, script, { from, to, granularity }));
+        }
+        if (params.number) return sendJson(res, 200, await getRevision(store, script.id, params.number));
+        if (pathname.endsWith('/revisions')) return sendJson(res, 200, await listRevisions(store, script.id));
+      }
+    }
+    // Editorial workflow: change a script's status, or list its history.
+    params = matchRoute('/api/scripts/:id/status', pathname)
+      || matchRoute('/api/scripts/:id/history', pathname);
+    if (params && req.method === (pathname.endsWith('/status') ? 'POST' : 'GET')) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const script = await getScript(store, userId, params.id);
+      if (!script) return sendJson(res, 404, { error: 'Script not found' });
+      if (req.method === 'GET') return sendJson(res, 200, await scriptHistory(store, script));
+      const body = await parseRequestBody(req);
+      return sendJson(res, 200, await changeStatus(store, userId, script, body));
+    }
+    // Review comments anchored to ranges of a script's text.
+    params = matchRoute('/api/scripts/:id/comments', pathname)
+      || matchRoute('/api/scripts/:id/comments/:commentId', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const { commentId } = params;
+      const writes = req.method === 'POST' || req.method === 'PATCH';
+      const script = await getScript(store, userId, params.id, writes ? 'comment' : 'read');
+      if (!script) return sendJson(res, 404, { error: 'Script not found' });
+      if (req.method === 'GET' && !commentId) {
+        return sendJson(res, 200, await listComments(store, script, { resolved: query.resolved }));
+      }
+      if (req.method === 'POST' && !commentId) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await addComment(store, userId, script, body));
+      }
+      if (req.method === 'PATCH' && commentId) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await updateComment(store, userId, script, commentId, body));
+      }
+      if (req.method === 'DELETE' && commentId) {
+        await deleteComment(store, userId, script, commentId);
+        return sendJson(res, 204, {});
+      }
+    }
+    // Download a script in another format (?format=, see lib/export.js).
+    params = matchRoute('/api/scripts/:id/export', pathname);
+    if (params && req.method === 'GET') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const script = await getScript(store, userId, params.id);
+      if (!script) return sendJson(res, 404, { error: 'Script not found' });
+      const programme = script.programmeId ? await getProgramme(store, userId, script.programmeId) : null;
+      const file = exportScript(script, programme, query.format);
+      res.writeHead(200, {
+        ...CORS_HEADERS,
+        'Content-Type': file.contentType,
+        'Content-Disposition': file.disposition,
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+      });
+      return res.end(file.body);
+    }
+    // Length, structure and readability of a script (see lib/analysis.js).
+    params = matchRoute('/api/scripts/:id/analysis', pathname);
+    if (params && req.method === 'GET') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const script = await getScript(store, userId, params.id);
+      if (!script) return sendJson(res, 404, { error: 'Script not found' });
+      const programme = script.programmeId ? await getProgramme(store, userId, script.programmeId) : null;
+      return sendJson(res, 200, { scriptId: script.id, revision: script.revision, ...analyzeScript(script, programme) });
+    }
+    // Structured fact-checks of a saved script (stored) or of raw text.
+    params = matchRoute('/api/scripts/:id/fact-check', pathname);
+    if (params && (req.method === 'GET' || req.method === 'POST')) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const script = await getScript(store, userId, params.id, req.method === 'POST' ? 'comment' : 'read');
+      if (!script) return sendJson(res, 404, { error: 'Script not found' });
+      if (req.method === 'GET') return sendJson(res, 200, await latestFactCheck(store, script));
+      const body = await parseRequestBody(req);
+      return sendJson(res, 201, await metered(userId, body, () => checkScript(store, script, body)));
+    }
+    if (req.method === 'POST' && pathname === '/api/fact-check') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const body = await parseRequestBody(req);
+      return sendJson(res, 200, await metered(userId, body, () => checkText(body.text, body)));
+    }
+    // Chat sessions: list/create, fetch/delete, send a message and
+    // apply a reply to the session's script.
+    if (pathname === '/api/chat/sessions') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'GET') {
+        const { programmeId, scriptId } = query;
+        return sendJson(res, 200, await listSessions(store, userId, { programmeId, scriptId }));
+      }
+      if (req.method === 'POST') {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await createSession(store, userId, body));
+      }
+    }
+    params = matchRoute('/api/chat/sessions/:id', pathname)
+      || matchRoute('/api/chat/sessions/:id/messages', pathname)
+      || matchRoute('/api/chat/sessions/:id/apply', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'POST' && pathname.endsWith('/messages')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 201, await metered(userId, body, () => sendMessage(store, userId, params.id, body)));
+      }
+      if (req.method === 'POST' && pathname.endsWith('/apply')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await applyToScript(store, userId, params.id, body));
+      }
+      if (req.method === 'GET' && !pathname.endsWith('/messages') && !pathname.endsWith('/apply')) {
+        return sendJson(res, 200, await getSession(store, userId, params.id));
+      }
+      if (req.method === 'DELETE') {
+        await deleteSession(store, userId, params.id);
+        return sendJson(res, 204, {});
+      }
+    }
+    // Deep research jobs: start, poll, delete and attach to a script.
+    if (pathname === '/api/research') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'GET') return sendJson(res, 200, await listResearch(store, userId));
+      if (req.method === 'POST') {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 202, await metered(userId, body, () => startResearch(store, userId, body)));
+      }
+    }
+    params = matchRoute('/api/research/:id', pathname)
+      || matchRoute('/api/research/:id/attach', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'POST' && pathname.endsWith('/attach')) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await attachResearch(store, userId, params.id, body.scriptId));
+      }
+      if (req.method === 'GET') return sendJson(res, 200, await getResearch(store, userId, params.id));
+      if (req.method === 'DELETE') {
+        await deleteResearch(store, userId, params.id);
+        return sendJson(res, 204, {});
+      }
+    }
+    // Background jobs: queue, poll, cancel and follow them as events.
+    if (pathname === '/api/jobs' || pathname === '/api/jobs/events') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'GET' && pathname === '/api/jobs/events') {
+        return await pipeJobEvents(store, userId, res, CORS_HEADERS);
+      }
+      if (req.method === 'GET') return sendJson(res, 200, await listJobs(store, userId, { status: query.status }));
+      if (req.method === 'POST' && pathname === '/api/jobs') {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 202, await submitJob(store, userId, body));
+      }
+    }
+    params = matchRoute('/api/jobs/:id', pathname)
+      || matchRoute('/api/jobs/:id/cancel', pathname);
+    if (params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'POST' && pathname.endsWith('/cancel')) {
+        return sendJson(res, 200, await cancelJob(store, userId, params.id));
+      }
+      if (req.method === 'GET') return sendJson(res, 200, await getJob(store, userId, params.id));
+      if (req.method === 'DELETE') {
+        await deleteJob(store, userId, params.id);
+        return sendJson(res, 204, {});
+      }
+    }
+    // The model registry and which providers the caller can use
+    if (req.method === 'GET' && pathname === '/api/models') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      return sendJson(res, 200, modelCatalog(await availableProviders({ store, userId })));
+    }
+    // The caller's own provider API keys: list them masked, save or
+    // replace one, or delete it.
+    params = matchRoute('/api/keys/:provider', pathname);
+    if (pathname === '/api/keys' || params) {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      if (req.method === 'GET' && !params) return sendJson(res, 200, await listApiKeys(store, userId));
+      if (req.method === 'PUT' && params) {
+        const body = await parseRequestBody(req);
+        return sendJson(res, 200, await saveApiKey(store, userId, params.provider, body));
+      }
+      if (req.method === 'DELETE' && params) {
+        await deleteApiKey(store, userId, params.provider);
+        return sendJson(res, 204, {});
+      }
+    }
+    // The caller's provider calls and tokens per day (?days=), their
+    // limits and what is left of them.
+    if (req.method === 'GET' && pathname === '/api/usage') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      return sendJson(res, 200, await usageReport(store, userId, { days: query.days }));
+    }
+    // Workspace backup: download everything as one archive, or merge
+    // one back in (?strategy=skip|overwrite|duplicate, ?dryRun=true).
+    if (pathname === '/api/export' && req.method === 'GET') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const archive = await exportWorkspace(store, userId);
+      res.writeHead(200, {
+        ...CORS_HEADERS,
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="workspace-${archive.exportedAt.slice(0, 10)}.json"`,
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+      });
+      return res.end(JSON.stringify(archive));
+    }
+    if (pathname === '/api/import' && req.method === 'POST') {
+      const userId = await getUserId(req);
+      if (!userId) return sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+      const { archive, options } = parseImportRequest(await parseRequestBody(req, bodyLimit('import')), query);
+      const report = await importWorkspace(store, userId, archive, options);
+      return sendJson(res, report.dryRun ? 200 : 201, report);
+    }
     // Unknown route
     return sendJson(res, 404, { error: 'Not found' });
   } catch (err) {
-    console.error('Unhandled error', err);
+    if (err instanceof ValidationError) return sendJson(res, err.status, err, PROBLEM_CONTENT_TYPE);
+    if (err instanceof HttpError) return sendJson(res, err.status, err);
+    if (err instanceof ProviderError) return sendGenerationError(res, err);
+    log.error('Unhandled error', { err });
     return sendJson(res, 500, { error: err.message || 'Internal Server Error' });
   }
 }
@@ -354,7 +752,23 @@ async function handleRequest(req, res) {
  * Create and start the HTTP server
  */
 const port = parseInt(process.env.PORT || '5000', 10);
-const server = http.createServer(handleRequest);
-server.listen(port, () => {
-  console.log(`Simple backend proxy server listening on port ${port}`);
+// Every request is counted, timed and logged under its route: the
+// pattern matchRoute() matched, or the path itself for the routes
+// compared literally.
+const server = http.createServer((req, res) => {
+  const scope = trackRequest(req, res, () => {
+    if (scope.route) return scope.route;
+    // Preflights and 404s can be for any path.
+    return req.method === 'OPTIONS' || res.statusCode === 404 ? null : parseUrl(req.url).pathname;
+  });
+  return withLogContext(scope, () => handleRequest(req, res));
 });
+// Research and background jobs run in this process, so any left
+// running were cut off: fail the research, requeue the jobs.
+failInterruptedResearch(store)
+  .catch((err) => log.error('Could not check for interrupted research jobs', { err }))
+  .then(() => recoverJobs(store))
+  .catch((err) => log.error('Could not recover background jobs', { err }))
+  .then(() => server.listen(port, () => {
+    log.info('Simple backend proxy server listening', { port });
+  }));
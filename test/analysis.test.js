@@ -0,0 +1,40 @@
+/*
+ * Script analysis (see analysis.js).
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { analyzeScript } = require('../lib/analysis');
+
+test('reports a repeated phrase once, at its longest', () => {
+  const content = [
+    'نشرة الطقس الصباحية تبدأ الآن.',
+    'نشرة الطقس الصباحية انتهت.',
+    'نشرة الطقس مرة أخرى.',
+  ].join('\n');
+  const phrases = analyzeScript({ content }, null).repeatedPhrases.map((p) => [ p.phrase, p.count ]);
+  // "الطقس الصباحية" only occurs within the longer phrase; "نشرة الطقس" also on its own.
+  assert.deepEqual(phrases, [ [ 'نشرة الطقس', 3 ], [ 'نشرة الطقس الصباحية', 2 ] ]);
+});
+
+test('analyses a very long script without stalling', () => {
+  const words = 'البحر الموج الشاطئ الرمل السفينة الصياد الشبكة السمك الريح الغيم المطر الشمس القمر النجم الليل'.split(' ');
+  const lines = [];
+  let seed = 7;
+  for (let size = 0; size < 614000;) {
+    const line = [];
+    for (let i = 0; i < 12; i++) {
+      seed = (seed * 31 + 11) % 9973;
+      line.push(words[seed % words.length]);
+    }
+    lines.push(`${line.join(' ')}.`);
+    size += lines[lines.length - 1].length + 1;
+  }
+  const started = Date.now();
+  const { repeatedPhrases } = analyzeScript({ content: lines.join('\n') }, null);
+  assert.ok(Date.now() - started < 5000, `took ${Date.now() - started}ms`);
+  assert.equal(repeatedPhrases.length, 10);
+});
@@ -0,0 +1,101 @@
+/*
+ * Workspace export and import (see archive.js) over in-memory stores.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { exportWorkspace, importWorkspace } = require('../lib/archive');
+const { createProgramme } = require('../lib/programmes');
+const { addReference, listReferences, retrievePassages } = require('../lib/references');
+const { createScript, getScript } = require('../lib/scripts');
+const { MemoryStore } = require('../lib/storage');
+const { changeStatus, scriptHistory } = require('../lib/workflow');
+
+async function workspace() {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'alice', { name: 'Morning show' });
+  const script = await createScript(store, 'alice', { programmeId: programme.id, topic: 'Tides', content: 'The tide' });
+  for (const status of [ 'in_review', 'approved' ]) {
+    await changeStatus(store, 'alice', await getScript(store, 'alice', script.id), { status });
+  }
+  await addReference(store, 'alice', programme.id, { title: 'Pilot', content: 'Good morning.\n\nThe tide is high.' });
+  return { archive: await exportWorkspace(store, 'alice'), programme, script };
+}
+
+const invalid = (field) => (err) => err.name === 'ValidationError'
+  && err.errors.some((e) => e.field === field);
+
+test('round-trips a workspace, reviewed scripts coming back as drafts', async () => {
+  const { archive, programme, script } = await workspace();
+  const store = new MemoryStore();
+  const result = await importWorkspace(store, 'bob', archive);
+  assert.equal(result.summary.scripts.created, 1);
+  assert.equal(result.summary.references.created, 1);
+  assert.match(result.warnings.join('\n'), /was approved; imported as a draft/);
+
+  const imported = await getScript(store, 'bob', script.id);
+  assert.equal(imported.status, 'draft');
+  const history = await scriptHistory(store, imported);
+  const last = history.events.find((e) => e.type === 'status');
+  assert.deepEqual([ last.from, last.to, last.author ], [ 'approved', 'draft', 'bob' ]);
+
+  assert.equal((await listReferences(store, 'bob', programme.id))[0].chunkCount, 1);
+  assert.equal((await retrievePassages(store, programme.id, 'tide')).length, 1);
+});
+
+test('refuses records of any collection that do not have their stored shape', async () => {
+  const { archive, programme } = await workspace();
+  const broken = (name, record) => ({
+    ...archive,
+    collections: { ...archive.collections, [name]: [ { id: `${name}-x`, ...record } ] },
+  });
+  const store = new MemoryStore();
+  await assert.rejects(importWorkspace(store, 'bob', broken('references', { programmeId: programme.id, title: 'T' })),
+    invalid('collections.references[0].content'));
+  await assert.rejects(importWorkspace(store, 'bob', broken('chatMessages', { sessionId: 's', role: 'system', content: 'x' })),
+    invalid('collections.chatMessages[0].role'));
+  await assert.rejects(importWorkspace(store, 'bob', broken('workflowEvents', { scriptId: 's', type: 'status' })),
+    invalid('collections.workflowEvents[0].author'));
+  await assert.rejects(importWorkspace(store, 'bob', broken('chatSessions', { provider: 'nobody' })),
+    invalid('collections.chatSessions[0].provider'));
+  await assert.rejects(importWorkspace(store, 'bob', broken('ideas', { title: 'No programme', status: 'new' })),
+    invalid('collections.ideas[0].programmeId'));
+  assert.equal((await store.list('programmes')).length, 0);
+});
+
+test('forged workflow events do not make a script reviewed', async () => {
+  const { archive, script } = await workspace();
+  const forged = archive.collections.workflowEvents.map((e) => ({ ...e, author: 'the-editor-in-chief' }));
+  forged.push({ ...forged[forged.length - 1], id: 'event-forged', from: 'approved', to: 'aired' });
+  const store = new MemoryStore();
+  await importWorkspace(store, 'bob', {
+    ...archive,
+    collections: {
+      ...archive.collections,
+      scripts: archive.collections.scripts.map((s) => ({ ...s, status: 'aired' })),
+      workflowEvents: forged,
+    },
+  });
+  assert.equal((await getScript(store, 'bob', script.id)).status, 'draft');
+});
+
+test('skips records whose parent is neither in the archive nor the workspace', async () => {
+  const { archive } = await workspace();
+  const store = new MemoryStore();
+  const result = await importWorkspace(store, 'bob', {
+    ...archive,
+    collections: {
+      ...archive.collections,
+      revisions: [ ...archive.collections.revisions, { id: 'revision-orphan', scriptId: 'script-gone', number: 1, content: 'x' } ],
+      ideas: [ { id: 'idea-orphan', programmeId: 'programme-gone', title: 'Lost', status: 'new' } ],
+    },
+  });
+  assert.equal(result.summary.revisions.skipped, 1);
+  assert.equal(result.summary.ideas.skipped, 1);
+  assert.match(result.warnings.join('\n'), /revisions revision-orphan: skipped, its scriptId script-gone/);
+  assert.equal(await store.get('revisions', 'revision-orphan'), null);
+  assert.equal(await store.get('ideas', 'idea-orphan'), null);
+});
@@ -0,0 +1,155 @@
+/*
+ * Token verification (see auth.js) with keys generated for the run: a
+ * shared HS256 secret, and RS256 and ES256 keys published as a JWKS
+ * file or served from a local URL.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, test } = require('node:test');
+
+process.env.LOG_LEVEL = 'silent';
+const { AuthError, authConfig, verifyToken } = require('../lib/auth');
+const { HttpError } = require('../lib/errors');
+
+const SECRET = 'test-secret';
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const JWKS = {
+  keys: [
+    { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+    { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' },
+  ],
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(header, claims) {
+  const input = `${segment(header)}.${segment(claims)}`;
+  let signature;
+  if (header.alg === 'HS256') signature = crypto.createHmac('sha256', SECRET).update(input).digest();
+  else if (header.alg === 'RS256') signature = crypto.sign('sha256', Buffer.from(input), rsa.privateKey);
+  else signature = crypto.sign('sha256', Buffer.from(input), { key: ec.privateKey, dsaEncoding: 'ieee-p1363' });
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+function token(alg, claims = {}, header = {}) {
+  const kid = { RS256: 'rsa-1', ES256: 'ec-1' }[alg];
+  return sign({ alg, typ: 'JWT', ...(kid ? { kid } : {}), ...header }, { sub: 'alice', exp: now() + 600, ...claims });
+}
+
+// Serves the JWKS at /jwks.json and never answers /slow.  /flaky is
+// never cached and fails with a 500 while `jwksServer.down` is set.
+const jwksServer = http.createServer((req, res) => {
+  jwksServer.hits += 1;
+  if (req.url === '/slow') return;
+  if (req.url === '/flaky' && jwksServer.down) {
+    res.writeHead(500);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${req.url === '/flaky' ? 0 : 600}` });
+  res.end(JSON.stringify(JWKS));
+});
+jwksServer.hits = 0;
+
+let dir;
+let base;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  fs.writeFileSync(path.join(dir, 'jwks.json'), JSON.stringify(JWKS));
+  await new Promise((resolve) => jwksServer.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${jwksServer.address().port}`;
+});
+
+after(() => {
+  jwksServer.closeAllConnections();
+  jwksServer.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const rejectsWith = (promise, reason) => assert.rejects(promise,
+  (err) => err instanceof AuthError && err.reason === reason);
+
+test('verifies HS256 tokens against the shared secret', async () => {
+  const config = authConfig({ AUTH_JWT_SECRET: SECRET });
+  const user = await verifyToken(token('HS256', { email: 'a@example.com' }), config);
+  assert.equal(user.uid, 'alice');
+  assert.equal(user.email, 'a@example.com');
+  const forged = token('HS256').replace(/\.[^.]+$/, '.AAAA');
+  await rejectsWith(verifyToken(forged, config), 'bad signature');
+  await rejectsWith(verifyToken(token('RS256'), config), 'RS256 tokens are not accepted');
+});
+
+test('verifies RS256 and ES256 tokens against a JWKS file', async () => {
+  const config = authConfig({ AUTH_JWKS_FILE: path.join(dir, 'jwks.json') });
+  assert.equal((await verifyToken(token('RS256'), config)).uid, 'alice');
+  assert.equal((await verifyToken(token('ES256'), config)).uid, 'alice');
+  await rejectsWith(verifyToken(token('HS256'), config), 'HS256 tokens are not accepted');
+  await rejectsWith(verifyToken(token('RS256', {}, { kid: 'unknown' }), config), 'unknown signing key');
+  // An RS256 token claiming the EC key.
+  await rejectsWith(verifyToken(token('RS256', {}, { kid: 'ec-1' }), config), 'algorithm does not match key');
+});
+
+test('loads and caches a JWKS from a URL', async () => {
+  const config = authConfig({ AUTH_JWKS_URL: `${base}/jwks.json` });
+  const hits = jwksServer.hits;
+  assert.equal((await verifyToken(token('ES256'), config)).uid, 'alice');
+  assert.equal((await verifyToken(token('RS256'), config)).uid, 'alice');
+  assert.equal(jwksServer.hits, hits + 1);
+});
+
+test('fetches the JWKS once for concurrent requests', async () => {
+  const config = authConfig({ AUTH_JWKS_URL: `${base}/jwks.json?concurrent` });
+  const hits = jwksServer.hits;
+  const users = await Promise.all(Array.from({ length: 5 }, () => verifyToken(token('RS256'), config)));
+  assert.deepEqual(users.map((u) => u.uid), Array(5).fill('alice'));
+  assert.equal(jwksServer.hits, hits + 1);
+});
+
+test('keeps the cached keys and waits before refetching when a refresh fails', async () => {
+  const config = authConfig({ AUTH_JWKS_URL: `${base}/flaky` });
+  assert.equal((await verifyToken(token('RS256'), config)).uid, 'alice');
+  jwksServer.down = true;
+  const hits = jwksServer.hits;
+  for (let i = 0; i < 3; i++) assert.equal((await verifyToken(token('ES256'), config)).uid, 'alice');
+  jwksServer.down = false;
+  assert.equal(jwksServer.hits, hits + 1);
+});
+
+test('checks exp, nbf, iss and aud', async () => {
+  const config = authConfig({
+    AUTH_JWKS_FILE: path.join(dir, 'jwks.json'),
+    AUTH_ISSUER: 'https://issuer.example',
+    AUTH_AUDIENCE: 'app,other-app',
+    AUTH_CLOCK_TOLERANCE: '0',
+  });
+  const valid = { iss: 'https://issuer.example', aud: ['app'] };
+  assert.equal((await verifyToken(token('RS256', valid), config)).uid, 'alice');
+  await rejectsWith(verifyToken(token('RS256', { ...valid, exp: now() - 1 }), config), 'token expired');
+  await rejectsWith(verifyToken(token('RS256', { ...valid, exp: undefined }), config), 'missing exp');
+  await rejectsWith(verifyToken(token('RS256', { ...valid, nbf: now() + 60 }), config), 'token not yet valid');
+  await rejectsWith(verifyToken(token('RS256', { ...valid, iss: 'https://evil.example' }), config),
+    'unexpected issuer');
+  await rejectsWith(verifyToken(token('RS256', { ...valid, aud: 'someone-else' }), config), 'unexpected audience');
+});
+
+test('reads the user id from AUTH_UID_CLAIM', async () => {
+  const config = authConfig({ AUTH_JWKS_FILE: path.join(dir, 'jwks.json'), AUTH_UID_CLAIM: 'user_id' });
+  assert.equal((await verifyToken(token('ES256', { user_id: 'firebase-uid' }), config)).uid, 'firebase-uid');
+  await rejectsWith(verifyToken(token('ES256'), config), 'missing user_id claim');
+});
+
+test('fails with a 503 when the JWKS URL does not answer in time', async () => {
+  const config = authConfig({ AUTH_JWKS_URL: `${base}/slow`, AUTH_JWKS_TIMEOUT_MS: '200' });
+  const started = Date.now();
+  await assert.rejects(verifyToken(token('RS256'), config), (err) => err instanceof HttpError && err.status === 503);
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,57 @@
+/*
+ * Rendering scripts for download (see export.js).
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { exportScript, timeCues } = require('../lib/export');
+
+// 150 words a minute: each ten-word sentence takes four seconds.
+const sentence = 'واحد اثنان ثلاثة أربعة خمسة ستة سبعة ثمانية تسعة عشرة.';
+const script = (count) => ({ topic: 'المد والجزر', content: Array(count).fill(sentence).join('\n') });
+const programme = (episodeLength) => ({ name: 'صباح الخير', episodeLength });
+
+test('paces cues to fill the episode length', () => {
+  const { cues, duration, paced } = timeCues(script(10), programme('45 ثانية'));
+  assert.equal(paced, true);
+  assert.equal(duration, 45000);
+  assert.deepEqual([ cues[0].start, cues[0].end ], [ 0, 4500 ]);
+});
+
+test('times cues at the speaking rate without an episode length', () => {
+  const { duration, paced } = timeCues(script(10), programme('قريبا'));
+  assert.equal(paced, false);
+  assert.equal(duration, 40000);
+  assert.equal(timeCues(script(10), null).duration, 40000);
+});
+
+test('does not stretch a short script across a long episode', () => {
+  const { cues } = timeCues(script(2), programme('10 دقائق'));
+  assert.deepEqual(cues.map((c) => c.end - c.start), [ 5000, 5000 ]);
+  assert.equal(timeCues(script(100), programme('1 دقيقة')).duration, 320000);
+});
+
+test('SRT opens with a slate carrying the metadata', () => {
+  const { body } = exportScript(script(2), programme('8 ثوان'), 'srt');
+  const blocks = body.trim().split('\n\n');
+  assert.equal(blocks.length, 3);
+  assert.match(blocks[0], /^1\n00:00:00,000 --> 00:00:05,000\nالمد والجزر\nالبرنامج: صباح الخير\n/);
+  assert.match(blocks[1], /^2\n00:00:05,000 --> 00:00:09,000\n/);
+});
+
+test('HTML links only http(s) sources', () => {
+  const { body } = exportScript({
+    ...script(1),
+    sources: [
+      { title: 'Tides', uri: 'https://example.org/tides' },
+      { title: 'Trap', uri: 'javascript:alert(1)' },
+      { title: 'Data', uri: 'data:text/html,<script>alert(1)</script>' },
+    ],
+  }, null, 'html');
+  assert.match(body, /<a href="https:\/\/example.org\/tides">Tides<\/a>/);
+  assert.doesNotMatch(body, /href="(?:javascript|data):/);
+  assert.match(body, /<li>Trap <bdi class="uri">javascript:alert\(1\)<\/bdi><\/li>/);
+});
@@ -0,0 +1,32 @@
+/*
+ * Checking generation requests before any provider is called (see
+ * generation.parseGenerationRequest).
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { parseGenerationRequest } = require('../lib/generation');
+
+const conversation = {
+  system: 'You are a radio writer.',
+  messages: [ { role: 'user', content: 'Open the show' }, { role: 'assistant', content: 'Good morning' }, { role: 'user', content: 'Shorter' } ],
+};
+
+test('accepts a conversation in single mode', () => {
+  const { request, errors } = parseGenerationRequest({ model: 'openai', prompt: conversation });
+  assert.equal(errors, undefined);
+  assert.equal(request.mode, 'single');
+  assert.deepEqual(request.prompt, conversation);
+});
+
+test('refuses a conversation in the modes that quote the prompt', () => {
+  for (const mode of [ 'hybrid', 'cross_check' ]) {
+    const { request, errors } = parseGenerationRequest({ mode, model: 'openai', prompt: conversation });
+    assert.equal(request, undefined);
+    assert.deepEqual(errors, [ { field: 'prompt', message: `must be a string in ${mode} mode` } ]);
+  }
+  assert.equal(parseGenerationRequest({ mode: 'hybrid', model: 'openai', prompt: 'Open the show' }).request.mode, 'hybrid');
+});
@@ -0,0 +1,46 @@
+/*
+ * Deleting a programme (see programmes.js) and who owns its ideas, over
+ * an in-memory store.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { exportWorkspace } = require('../lib/archive');
+const { createSession, getSession } = require('../lib/chat');
+const { createProgramme, deleteProgramme } = require('../lib/programmes');
+const { createScript, getScript } = require('../lib/scripts');
+const { search } = require('../lib/search');
+const { MemoryStore } = require('../lib/storage');
+const { migrate } = require('../lib/storage/migrations');
+
+test('deleting a programme deletes its ideas and files the rest under none', async () => {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'alice', { name: 'Morning show' });
+  const idea = await store.insert('ideas', { id: 'idea-1', userId: 'alice', programmeId: programme.id, title: 'Tides', status: 'used' });
+  const script = await createScript(store, 'alice', { programmeId: programme.id, ideaId: idea.id, topic: 'Tides', content: 'The tide' });
+  const session = await createSession(store, 'alice', { programmeId: programme.id });
+  await store.insert('research', { id: 'research-1', userId: 'alice', programmeId: programme.id, topic: 'Tides' });
+
+  assert.equal(await deleteProgramme(store, 'alice', programme.id), true);
+  assert.deepEqual(await store.list('ideas'), []);
+  const kept = await getScript(store, 'alice', script.id);
+  assert.deepEqual([ kept.programmeId, kept.ideaId, kept.role ], [ null, null, 'owner' ]);
+  assert.equal((await getSession(store, 'alice', session.id)).programmeId, null);
+  assert.equal((await store.get('research', 'research-1')).programmeId, null);
+  assert.equal((await search(store, 'alice', { q: 'tide' })).results[0].programmeId, null);
+
+  const { collections } = await exportWorkspace(store, 'alice');
+  assert.deepEqual(collections.ideas, []);
+  assert.ok([ ...collections.scripts, ...collections.chatSessions, ...collections.research ].every((r) => r.programmeId === null));
+});
+
+test('ideas saved by a member move to the programme\'s owner', () => {
+  const data = migrate({
+    programmes: [ { id: 'programme-1', userId: 'olivia' } ],
+    ideas: [ { id: 'idea-1', userId: 'eddie', programmeId: 'programme-1' }, { id: 'idea-2', userId: 'eddie', programmeId: 'programme-gone' } ],
+  }, 4);
+  assert.deepEqual(data.ideas.map((i) => [ i.userId, i.createdBy ]), [ [ 'olivia', 'eddie' ], [ 'eddie', 'eddie' ] ]);
+});
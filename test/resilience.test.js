@@ -0,0 +1,51 @@
+/*
+ * What counts towards pausing a provider (see resilience.js).
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { beforeEach, test } = require('node:test');
+
+process.env.CIRCUIT_BREAKER_THRESHOLD = '3';
+const { ProviderError } = require('../lib/errors');
+const { circuitResult, circuitStates, circuitWait } = require('../lib/resilience');
+
+let provider;
+let next = 0;
+beforeEach(() => {
+  next += 1;
+  provider = `test-${next}`;
+});
+
+const fail = (type) => new ProviderError(type, type, { provider });
+const state = () => circuitStates()[provider].state;
+
+test('pauses a provider after repeated upstream failures', () => {
+  for (let i = 0; i < 3; i++) circuitResult(provider, fail('upstream_unavailable'));
+  assert.equal(state(), 'open');
+  assert.ok(circuitWait(provider) > 0);
+});
+
+test('does not count calls that never reached the provider', () => {
+  for (let i = 0; i < 5; i++) circuitResult(provider, new Error('bad prompt'));
+  assert.equal(circuitStates()[provider].failures, 0);
+  assert.equal(circuitWait(provider), 0);
+});
+
+test('does not count a user\'s own key being rejected or out of quota', () => {
+  for (let i = 0; i < 5; i++) {
+    circuitResult(provider, fail('auth'), { ownKey: true });
+    circuitResult(provider, fail('quota'), { ownKey: true });
+  }
+  assert.equal(state(), 'closed');
+  assert.equal(circuitWait(provider), 0);
+  // The provider failing still counts with any key.
+  for (let i = 0; i < 3; i++) circuitResult(provider, fail('timeout'), { ownKey: true });
+  assert.equal(state(), 'open');
+});
+
+test('counts the server\'s key being rejected', () => {
+  for (let i = 0; i < 3; i++) circuitResult(provider, fail('auth'));
+  assert.equal(state(), 'open');
+});
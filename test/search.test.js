@@ -0,0 +1,75 @@
+/*
+ * Search (see search.js) over an in-memory store: a user finds their
+ * own records and those shared with them, and nothing else.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createProgramme, deleteProgramme } = require('../lib/programmes');
+const { createScript, deleteScript, listScripts, updateScript } = require('../lib/scripts');
+const { search } = require('../lib/search');
+const { invite, removeMember, respondToInvitation } = require('../lib/sharing');
+const { MemoryStore } = require('../lib/storage');
+
+const titles = async (store, userId, q, options = {}) => (await search(store, userId, { q, ...options }))
+  .results.map((r) => `${r.type}:${r.title}`).sort();
+
+async function share(store, programme, userId, role) {
+  const invitation = await invite(store, programme.userId, programme.id, { userId, role });
+  await respondToInvitation(store, { uid: userId }, invitation.id, true);
+}
+
+test('finds scripts and programmes shared with the user', async () => {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'alice', { name: 'Morning weather' });
+  await createScript(store, 'alice', { programmeId: programme.id, topic: 'Weather today', content: 'Rain and wind' });
+  await createScript(store, 'alice', { topic: 'Weather notes', content: 'Private' });
+  await createScript(store, 'bob', { topic: 'Weather for bob', content: 'Sun' });
+
+  // Built before the share, so access cannot be baked into the index.
+  assert.deepEqual(await titles(store, 'bob', 'weather'), [ 'script:Weather for bob' ]);
+
+  await share(store, programme, 'bob', 'reviewer');
+  assert.deepEqual(await titles(store, 'bob', 'weather'),
+    [ 'programme:Morning weather', 'script:Weather for bob', 'script:Weather today' ]);
+  assert.deepEqual(await titles(store, 'bob', 'weather', { type: 'scripts', programmeId: programme.id }),
+    [ 'script:Weather today' ]);
+  // The same scripts the listing gives bob.
+  const listed = (await listScripts(store, 'bob')).map((s) => `script:${s.topic}`).sort();
+  assert.deepEqual(await titles(store, 'bob', 'weather', { type: 'scripts' }), listed);
+
+  assert.deepEqual(await titles(store, 'carol', 'weather'), []);
+
+  await removeMember(store, 'alice', programme.id, 'bob');
+  assert.deepEqual(await titles(store, 'bob', 'weather'), [ 'script:Weather for bob' ]);
+});
+
+test('keeps the index current as shared scripts change', async () => {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'alice', { name: 'Evening news' });
+  await share(store, programme, 'bob', 'editor');
+  const script = await createScript(store, 'alice', { programmeId: programme.id, topic: 'Harbour', content: 'Ships' });
+  assert.deepEqual(await titles(store, 'bob', 'harbour'), [ 'script:Harbour' ]);
+
+  // An edit by the member is seen by the owner.
+  await updateScript(store, 'bob', script.id, { topic: 'Harbour lights' }, { partial: true });
+  assert.deepEqual(await titles(store, 'alice', 'lights'), [ 'script:Harbour lights' ]);
+
+  await deleteScript(store, 'alice', script.id);
+  assert.deepEqual(await titles(store, 'bob', 'harbour'), []);
+  await deleteProgramme(store, 'alice', programme.id);
+  assert.deepEqual(await titles(store, 'bob', 'evening'), []);
+});
+
+test('ranks with statistics from the records the user can see', async () => {
+  const store = new MemoryStore();
+  await createScript(store, 'alice', { topic: 'Tides', content: 'Tides and currents' });
+  await createScript(store, 'alice', { topic: 'Ferries', content: 'Timetable' });
+  const before = (await search(store, 'alice', { q: 'tides' })).results[0].score;
+  // Records alice cannot see do not change her scores.
+  for (let i = 0; i < 5; i++) await createScript(store, 'carol', { topic: `Tides ${i}`, content: 'Tides' });
+  assert.equal((await search(store, 'alice', { q: 'tides' })).results[0].score, before);
+});
@@ -0,0 +1,111 @@
+/*
+ * Roles on shared programmes and their scripts (see sharing.js and
+ * scripts.js) over an in-memory store.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createProgramme } = require('../lib/programmes');
+const { createScript, deleteScript, getScript, listScripts, updateScript } = require('../lib/scripts');
+const { invite, listInvitations, removeMember, respondToInvitation } = require('../lib/sharing');
+const { MemoryStore } = require('../lib/storage');
+const { changeStatus } = require('../lib/workflow');
+
+const forbidden = (err) => err.status === 403;
+
+async function room() {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'olivia', { name: 'Morning show' });
+  for (const [userId, role] of [ [ 'eddie', 'editor' ], [ 'rita', 'reviewer' ], [ 'victor', 'viewer' ] ]) {
+    const invitation = await invite(store, 'olivia', programme.id, { userId, role });
+    await respondToInvitation(store, { uid: userId }, invitation.id, true);
+  }
+  return { store, programme };
+}
+
+test('a script in a programme belongs to its owner, whoever wrote it', async () => {
+  const { store, programme } = await room();
+  const script = await createScript(store, 'eddie', { programmeId: programme.id, topic: 'News', content: 'Text' });
+  assert.equal(script.userId, 'olivia');
+  assert.equal(script.createdBy, 'eddie');
+  assert.equal(script.role, 'editor');
+
+  const roles = {};
+  for (const userId of [ 'olivia', 'eddie', 'rita', 'victor', 'mallory' ]) {
+    const found = await getScript(store, userId, script.id);
+    roles[userId] = found && found.role;
+  }
+  assert.deepEqual(roles, { olivia: 'owner', eddie: 'editor', rita: 'reviewer', victor: 'viewer', mallory: null });
+});
+
+test('each role can do what the matrix allows on a script', async () => {
+  const { store, programme } = await room();
+  const script = await createScript(store, 'eddie', { programmeId: programme.id, content: 'Text' });
+  const edit = (userId) => updateScript(store, userId, script.id, { topic: userId }, { partial: true });
+
+  assert.equal((await edit('olivia')).topic, 'olivia');
+  assert.equal((await edit('eddie')).topic, 'eddie');
+  await assert.rejects(edit('rita'), forbidden);
+  await assert.rejects(edit('victor'), forbidden);
+  assert.equal(await edit('mallory'), null);
+
+  for (const userId of [ 'eddie', 'rita', 'victor' ]) await assert.rejects(deleteScript(store, userId, script.id), forbidden);
+
+  // The writer submits it but cannot approve it themselves.
+  const status = async (userId, to) => changeStatus(store, userId, await getScript(store, userId, script.id), { status: to });
+  await status('eddie', 'in_review');
+  await assert.rejects(status('eddie', 'approved'), forbidden);
+  await assert.rejects(status('victor', 'approved'), forbidden);
+  assert.equal((await status('rita', 'approved')).status, 'approved');
+
+  assert.equal(await deleteScript(store, 'olivia', script.id), true);
+});
+
+test('a member loses the scripts they wrote when they leave', async () => {
+  const { store, programme } = await room();
+  const script = await createScript(store, 'eddie', { programmeId: programme.id, content: 'Text' });
+  await removeMember(store, 'olivia', programme.id, 'eddie');
+  assert.equal(await getScript(store, 'eddie', script.id), null);
+  assert.equal(await deleteScript(store, 'eddie', script.id), false);
+  assert.deepEqual(await listScripts(store, 'eddie'), []);
+  assert.equal((await getScript(store, 'olivia', script.id)).role, 'owner');
+});
+
+test('filing a script under a programme hands it to the programme\'s owner', async () => {
+  const { store, programme } = await room();
+  const script = await createScript(store, 'eddie', { topic: 'Draft', content: 'Text' });
+  assert.equal(script.role, 'owner');
+  const moved = await updateScript(store, 'eddie', script.id, { programmeId: programme.id }, { partial: true });
+  assert.equal(moved.userId, 'olivia');
+  assert.equal(moved.role, 'editor');
+  assert.ok((await store.list('revisions', { scriptId: script.id })).every((r) => r.userId === 'olivia'));
+
+  // Only an owner can take it out again.
+  await assert.rejects(updateScript(store, 'eddie', script.id, { programmeId: null }, { partial: true }), forbidden);
+  const out = await updateScript(store, 'olivia', script.id, { programmeId: null }, { partial: true });
+  assert.equal(out.userId, 'olivia');
+  assert.equal(await getScript(store, 'eddie', script.id), null);
+});
+
+test('an email invitation only reaches a verified address', async () => {
+  const store = new MemoryStore();
+  const programme = await createProgramme(store, 'olivia', { name: 'Morning show' });
+  const invitation = await invite(store, 'olivia', programme.id, { email: 'Carol@Example.com', role: 'editor' });
+  const carol = (claims) => ({ uid: 'carol', email: 'carol@example.com', claims: { email: 'carol@example.com', ...claims } });
+
+  for (const claims of [ {}, { email_verified: false }, { email_verified: 'true' } ]) {
+    assert.deepEqual(await listInvitations(store, carol(claims)), []);
+    await assert.rejects(respondToInvitation(store, carol(claims), invitation.id, true), (err) => err.status === 404);
+  }
+  process.env.SHARING_UNVERIFIED_EMAILS = 'true';
+  try {
+    assert.equal((await listInvitations(store, carol({}))).length, 1);
+  } finally {
+    delete process.env.SHARING_UNVERIFIED_EMAILS;
+  }
+  await respondToInvitation(store, carol({ email_verified: true }), invitation.id, true);
+  assert.equal((await createScript(store, 'carol', { programmeId: programme.id, content: 'Text' })).role, 'editor');
+});
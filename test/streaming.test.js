@@ -0,0 +1,152 @@
+/*
+ * Streaming generation against a local mock of the OpenAI streaming
+ * API (see providers.streamGenerate and sse.pipeGenerationStream).
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+
+const IDLE_MS = 300;
+
+// The mock answers by the prompt: `stall` sends one delta and then
+// nothing, `slow` sends a delta every 50ms for ten seconds, anything
+// else two deltas and a usage chunk.
+const upstream = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const prompt = JSON.parse(body).messages.at(-1).content;
+    upstream.requests.push({ prompt, closed: false });
+    const seen = upstream.requests.at(-1);
+    res.on('close', () => { seen.closed = !res.writableEnded; });
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+    const delta = (content) => send({ model: 'gpt-mock', choices: [ { delta: { content } } ] });
+    if (prompt === 'stall') return delta('Hello');
+    if (prompt === 'slow') {
+      const timer = setInterval(() => delta('.'), 50);
+      res.on('close', () => clearInterval(timer));
+      return undefined;
+    }
+    delta('Hello');
+    delta(' world');
+    send({ model: 'gpt-mock', choices: [ { delta: {}, finish_reason: 'stop' } ] });
+    send({ model: 'gpt-mock', choices: [], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } });
+    res.end('data: [DONE]\n\n');
+    return undefined;
+  });
+});
+upstream.requests = [];
+
+let providers;
+let metrics;
+let sse;
+
+before(async () => {
+  await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    OPENAI_API_KEY: 'test',
+    OPENAI_BASE_URL: `http://127.0.0.1:${upstream.address().port}`,
+    OPENAI_TIMEOUT_MS: String(IDLE_MS),
+    PROVIDER_RETRIES: '0',
+    PROVIDER_FALLBACK: '',
+    CIRCUIT_BREAKER_THRESHOLD: '0',
+    LOG_LEVEL: 'silent',
+  });
+  providers = require('../lib/providers');
+  metrics = require('../lib/metrics');
+  sse = require('../lib/sse');
+});
+
+after(() => {
+  upstream.closeAllConnections();
+  upstream.close();
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function inFlight() {
+  const match = /^generations_in_flight\{provider="openai"\} (\S+)$/m.exec(metrics.renderMetrics());
+  return match ? Number(match[1]) : 0;
+}
+
+test('streams text deltas and a summary', async () => {
+  const events = [];
+  for await (const event of providers.streamGenerate('openai', 'hello')) events.push(event);
+  assert.deepEqual(events.slice(0, 2), [ { type: 'delta', text: 'Hello' }, { type: 'delta', text: ' world' } ]);
+  const done = events[2];
+  assert.equal(done.type, 'done');
+  assert.equal(done.provider, 'openai');
+  assert.equal(done.model, 'gpt-mock');
+  assert.equal(done.finishReason, 'stop');
+  assert.deepEqual(done.usage, { inputTokens: 3, outputTokens: 2, totalTokens: 5 });
+  assert.equal(inFlight(), 0);
+});
+
+test('cuts off an upstream that stops sending mid-stream', async () => {
+  const events = [];
+  const started = Date.now();
+  await assert.rejects(async () => {
+    for await (const event of providers.streamGenerate('openai', 'stall')) events.push(event);
+  }, (err) => err.name === 'ProviderError' && err.type === 'timeout');
+  assert.deepEqual(events, [ { type: 'delta', text: 'Hello' } ]);
+  assert.ok(Date.now() - started < IDLE_MS * 5);
+  assert.equal(inFlight(), 0);
+});
+
+test('keeps a stream going while the upstream keeps sending', async () => {
+  let deltas = 0;
+  for await (const event of providers.streamGenerate('openai', 'slow')) {
+    deltas += 1;
+    // Longer than the timeout in all, but never idle for that long.
+    if (event.type === 'delta' && deltas === 12) break;
+  }
+  assert.equal(deltas, 12);
+});
+
+test('aborts the upstream request when the consumer stops reading', async () => {
+  for await (const event of providers.streamGenerate('openai', 'slow')) {
+    assert.equal(event.type, 'delta');
+    break;
+  }
+  assert.equal(inFlight(), 0);
+  await sleep(100);
+  assert.equal(upstream.requests.at(-1).closed, true);
+});
+
+test('relays events over SSE and aborts the upstream when the client leaves', async () => {
+  const server = http.createServer((req, res) => {
+    const prompt = new URL(req.url, 'http://localhost').searchParams.get('prompt');
+    sse.pipeGenerationStream(res, (signal) => providers.streamGenerate('openai', prompt, { signal }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    const response = await fetch(`${base}/?prompt=hello`);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const events = [];
+    for await (const event of sse.parseSseStream(response.body)) events.push(event);
+    assert.deepEqual(events.map((e) => e.event), [ 'delta', 'delta', 'done' ]);
+
+    const stalled = await fetch(`${base}/?prompt=stall`);
+    const failed = [];
+    for await (const event of sse.parseSseStream(stalled.body)) failed.push(event);
+    assert.equal(failed.at(-1).event, 'error');
+    assert.equal(JSON.parse(failed.at(-1).data).type, 'timeout');
+
+    const controller = new AbortController();
+    const slow = await fetch(`${base}/?prompt=slow`, { signal: controller.signal });
+    const reader = slow.body.getReader();
+    await reader.read();
+    controller.abort();
+    await sleep(150);
+    assert.equal(upstream.requests.at(-1).closed, true);
+    assert.equal(inFlight(), 0);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,61 @@
+/*
+ * The editorial workflow (see workflow.js) as scripts are edited, over
+ * an in-memory store.
+ *
+ *   node --test test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { createScript, getScript, restoreScriptRevision, updateScript } = require('../lib/scripts');
+const { MemoryStore } = require('../lib/storage');
+const { changeStatus, scriptHistory } = require('../lib/workflow');
+
+async function scriptAt(statuses) {
+  const store = new MemoryStore();
+  const { id } = await createScript(store, 'alice', { topic: 'Tides', content: 'First text' });
+  for (const status of statuses) await changeStatus(store, 'alice', await getScript(store, 'alice', id), { status });
+  return { store, id };
+}
+
+test('editing approved text sends the script back to draft', async () => {
+  const { store, id } = await scriptAt([ 'in_review', 'approved' ]);
+  const edited = await updateScript(store, 'alice', id, { content: 'Changed text' }, { partial: true });
+  assert.equal(edited.status, 'draft');
+  const { events } = await scriptHistory(store, edited);
+  const reset = events.find((e) => e.type === 'status');
+  assert.deepEqual([ reset.from, reset.to, reset.author ], [ 'approved', 'draft', 'alice' ]);
+
+  // PUT and restoring an old revision are edits too.
+  for (const status of [ 'in_review', 'approved' ]) await changeStatus(store, 'alice', await getScript(store, 'alice', id), { status });
+  assert.equal((await updateScript(store, 'alice', id, { content: 'Again' })).status, 'draft');
+  for (const status of [ 'in_review', 'approved' ]) await changeStatus(store, 'alice', await getScript(store, 'alice', id), { status });
+  assert.equal((await restoreScriptRevision(store, 'alice', id, 1)).status, 'draft');
+});
+
+test('keeps the status when only the topic or air date change', async () => {
+  const { store, id } = await scriptAt([ 'in_review', 'approved' ]);
+  const edited = await updateScript(store, 'alice', id, { topic: 'High tides', airDate: '2026-11-02' }, { partial: true });
+  assert.equal(edited.status, 'approved');
+});
+
+test('leaves drafts and scripts in review where they are', async () => {
+  for (const statuses of [ [], [ 'in_review' ] ]) {
+    const { store, id } = await scriptAt(statuses);
+    const edited = await updateScript(store, 'alice', id, { content: 'Changed text' }, { partial: true });
+    assert.equal(edited.status, statuses.length ? 'in_review' : 'draft');
+  }
+});
+
+test('refuses to change the text of recorded and aired scripts', async () => {
+  for (const statuses of [ [ 'in_review', 'approved', 'recorded' ], [ 'in_review', 'approved', 'recorded', 'aired' ] ]) {
+    const { store, id } = await scriptAt(statuses);
+    await assert.rejects(updateScript(store, 'alice', id, { content: 'Changed' }, { partial: true }),
+      (err) => err.status === 409);
+    await assert.rejects(updateScript(store, 'alice', id, { content: 'Changed', sources: [] }), (err) => err.status === 409);
+    const script = await getScript(store, 'alice', id);
+    assert.equal(script.content, 'First text');
+    assert.equal(script.status, statuses[statuses.length - 1]);
+  }
+});